@@ -1,11 +1,69 @@
 class TgAlbumsApp {
-  constructor(service) {
+  // options:
+  //   transport      - a TgTransport; defaults to service.transport, then a new TgTransport()
+  //   imageProcessor - renders thumbs/screens; defaults to the first supported TgAlbumsApp.imageProcessors entry
+  //   renditions     - { thumb, screen } overrides of TgAlbumsApp.defaultRenditions
+  //   videoProcessor - extracts video posters; defaults to the first supported TgAlbumsApp.videoProcessors entry
+  //   posterTime     - seconds into a video at which the poster frame is taken (default 1)
+  //   dedup          - what addFiles does with content already uploaded: 'skip' (default), 'link' or 'off'
+  //   trashRetentionDays - files trashed longer ago are purged by ready()/purgeTrash() (default 30; 0 keeps them)
+  //   historyLimit   - number of previous root files remembered for rollback (default 50)
+  //   passphrase     - unlocks an encrypted library; a new library is created encrypted (see enableEncryption)
+  //   onUnreadableRoot - ({ fileId, error }) => boolean or Promise; asked when the root file named in the chat
+  //                    description downloads but can't be read. true starts over with an empty root (repair()
+  //                    recovers what it can of the old one); otherwise ready() rejects with err.code
+  //                    'ROOT_UNREADABLE'. Not asked for an encrypted library or with a passphrase set.
+  //   cache          - a TgBlobCache, TgBlobCache options, or false to download on every read
+  //   albumPageSize  - albums with more files are stored in pages of about this many files (default 500; 0 never)
+  //   chunkSize      - originals larger than this many bytes are stored in parts of this size, so each
+  //                    stays below the Bot API's 20 MB download limit (default 19 MiB; 0 never splits)
+  //   shareService   - TgFileService of a second bot that publishes shares (see shareAlbum); viewers get
+  //                    its token, never the library's
+  constructor(service, options = {}) {
     if (!service) throw new Error('TgFileService instance required');
     this.service = service;
     this.botToken = service.botToken;
     this.chatId = service.chatId;
-    this.root = []; // array of { name, thumbFileId, albumFileId, albumId }
+    this.transport = options.transport || service.transport || new TgTransport();
+    this.imageProcessor = options.imageProcessor || null;
+    this.renditions = TgAlbumsApp._resolveRenditions(options.renditions);
+    this.videoProcessor = options.videoProcessor || null;
+    this.posterTime = options.posterTime != null ? options.posterTime : 1;
+    this.dedup = options.dedup || 'skip';
+    this.trashRetentionDays = options.trashRetentionDays != null ? options.trashRetentionDays : 30;
+    this.historyLimit = options.historyLimit != null ? options.historyLimit : 50;
+    this.chunkSize = options.chunkSize != null ? options.chunkSize : 19 * 1024 * 1024;
+    this.albumPageSize = options.albumPageSize != null ? options.albumPageSize : 500;
+    this.onUnreadableRoot = options.onUnreadableRoot || null;
+    this.shareService = options.shareService || null;
+    this.root = []; // array of { name, thumbFileId, albumFileId, albumId, count?, parentId?, trashedAt?, encrypted? }
+    // library-level fields stored with the albums in the root file (see _serializeRoot): hashIndexFileId, searchIndexFileId,
+    // folders (see createFolder), shares (see shareAlbum),
+    // savedAt and op of this root, history [{ fileId, savedAt, op }] of previous roots (newest first)
+    this.rootMeta = {};
     this.rootFileId = null;
+    this._baseRoot = null; // root as last loaded from / saved to Telegram, base for merges
+    this._baseMeta = {};
+    this._hashIndex = null; // Map sha256 -> file entry template, loaded on first use
+    this._hashIndexDirty = false;
+    this._pendingHashes = new Map(); // sha256 -> Promise of an upload in progress
+    this._searchIndex = null; // Map albumId -> { albumFileId, files }, loaded on first search
+    this._searchIndexDirty = false;
+    this._knownPages = new Map(); // sha256 -> fileId of album pages seen or uploaded, reused by _putAlbumFiles
+    this._pollTimer = null;
+    this._pendingShares = new Set(); // shareIds with an update queued, see _queueShareUpdates
+    this._albums = new Map(); // albumId -> canonical Album instance
+    this._queue = Promise.resolve(); // tail of the serialized mutation queue
+    this._op = null; // op of the running mutation
+    this._passphrase = options.passphrase || null; // only kept until the library is unlocked
+    this._key = null; // data key (CryptoKey) when the library is encrypted
+    this._encryption = null; // key info written into the root envelope, see TgCrypto
+    this._baseEncryption = null; // key info of the root last loaded or saved, base for merges
+    this.cache = options.cache === false ? null
+      : options.cache instanceof TgBlobCache ? options.cache : new TgBlobCache(options.cache || {});
+    this._downloader = new TgDownloader(service, this.cache, () => this._key);
+    this._objectUrls = new Map(); // fileId -> { url: Promise<string>, refs }
+    this._listeners = new Map(); // event type -> Set of listeners, see on()
     this._ready = this._init();
   }
 
@@ -13,21 +71,518 @@ class TgAlbumsApp {
 
   // --- Telegram API helpers ---
   async _callTelegram(method, body) {
-    const url = `https://api.telegram.org/bot${this.botToken}/${method}`;
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    const json = await res.json();
-    if (!json.ok) throw new Error(`Telegram API error: ${json.description}`);
-    return json.result;
+    return this.transport.call(this.botToken, method, body);
   }
 
   async _getChat() { return this._callTelegram('getChat', { chat_id: this.chatId }); }
   async _setChatDescription(desc) { return this._callTelegram('setChatDescription', { chat_id: this.chatId, description: desc }); }
 
+  // --- image renditions ---
+  // maxWidth/maxHeight bound the output; type null keeps the source MIME; quality is 0..1 for lossy types
+  static get defaultRenditions() {
+    return {
+      thumb: { maxWidth: 150, maxHeight: 150, type: null, quality: 0.8 },
+      screen: { maxWidth: 1920, maxHeight: 1080, type: null, quality: 0.9 }
+    };
+  }
+
+  static _resolveRenditions(overrides = {}) {
+    const out = TgAlbumsApp.defaultRenditions;
+    for (const kind of Object.keys(out)) Object.assign(out[kind], overrides[kind] || {});
+    return out;
+  }
+
+  // registerImageProcessor: adds a processor ahead of the built-in ones
+  static registerImageProcessor(processor) {
+    if (!processor || typeof processor.resize !== 'function') throw new Error('Image processor must implement resize(blob, options)');
+    TgAlbumsApp.imageProcessors.unshift(processor);
+  }
+
+  _pickImageProcessor() {
+    if (this.imageProcessor) return this.imageProcessor;
+    return TgAlbumsApp.imageProcessors.find(p => !p.isSupported || p.isSupported()) || null;
+  }
+
+  // renders the 'thumb' or 'screen' rendition of an image; returns { blob, mime }
+  async _renderRendition(blob, kind, sourceMime, orientation = 1) {
+    const spec = this.renditions[kind];
+    const processor = this._pickImageProcessor();
+    if (!processor) throw new Error('No image processor available in this environment');
+    const type = spec.type || sourceMime;
+    const out = await processor.resize(blob, { maxWidth: spec.maxWidth, maxHeight: spec.maxHeight, type, quality: spec.quality, orientation });
+    return { blob: out, mime: out.type || type };
+  }
+
+  // --- video posters ---
+  // registerVideoProcessor: adds a processor ahead of the built-in ones
+  static registerVideoProcessor(processor) {
+    if (!processor || typeof processor.extractPoster !== 'function') throw new Error('Video processor must implement extractPoster(blob, options)');
+    TgAlbumsApp.videoProcessors.unshift(processor);
+  }
+
+  _pickVideoProcessor() {
+    if (this.videoProcessor) return this.videoProcessor;
+    return TgAlbumsApp.videoProcessors.find(p => !p.isSupported || p.isSupported()) || null;
+  }
+
+  // returns { poster, duration, width, height, codec }; poster is null when no frame could be extracted
+  async _probeVideo(blob, mime) {
+    const processor = this._pickVideoProcessor();
+    let info = {};
+    if (!processor) {
+      console.warn('No video processor available in this environment, storing video without poster');
+    } else {
+      try {
+        info = (await processor.extractPoster(blob, { time: this.posterTime })) || {};
+      } catch (e) {
+        console.warn('Video poster extraction failed:', e);
+      }
+    }
+    let codec = info.codec || TgAlbumsApp._codecFromMime(mime);
+    if (!codec) {
+      try { codec = await TgAlbumsApp._sniffVideoCodec(blob); } catch (e) { codec = null; }
+    }
+    return {
+      poster: info.poster || null,
+      duration: info.duration != null ? info.duration : null,
+      width: info.width || null,
+      height: info.height || null,
+      codec: codec || null
+    };
+  }
+
+  static _normalizeCodec(tag) {
+    const codecs = {
+      avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', vp08: 'vp8', vp8: 'vp8', vp09: 'vp9', vp9: 'vp9',
+      av01: 'av1', mp4v: 'mpeg4', 'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av1'
+    };
+    return codecs[tag] || null;
+  }
+
+  // e.g. 'video/mp4; codecs="avc1.64001F, mp4a.40.2"' -> 'h264'
+  static _codecFromMime(mime) {
+    const m = /codecs\s*=\s*"?([^";]+)/i.exec(mime || '');
+    if (!m) return null;
+    for (const c of m[1].split(',')) {
+      const codec = TgAlbumsApp._normalizeCodec(c.trim().split('.')[0].toLowerCase());
+      if (codec) return codec;
+    }
+    return null;
+  }
+
+  // looks for the video sample entry of MP4/MOV ('stsd' box) or the CodecID of WebM/MKV;
+  // only the first and last MB are scanned since the moov box sits at either end
+  static async _sniffVideoCodec(blob) {
+    const span = 1024 * 1024;
+    const parts = blob.size > 2 * span ? [blob.slice(0, span), blob.slice(blob.size - span)] : [blob];
+    for (const part of parts) {
+      const bytes = new Uint8Array(await part.arrayBuffer());
+      const text = new TextDecoder('latin1').decode(bytes);
+      for (let i = text.indexOf('stsd'); i !== -1; i = text.indexOf('stsd', i + 4)) {
+        // type(4) version/flags(4) entry_count(4) entry size(4) -> sample entry format
+        const codec = TgAlbumsApp._normalizeCodec(text.substr(i + 16, 4));
+        if (codec) return codec;
+      }
+      const webm = /V_(?:MPEG4\/ISO\/AVC|MPEGH\/ISO\/HEVC|VP8|VP9|AV1)/.exec(text);
+      if (webm) return TgAlbumsApp._normalizeCodec(webm[0]);
+    }
+    return null;
+  }
+
+  // --- content hashes / dedup ---
+  // The hash index maps the SHA-256 of every uploaded original to its file entry
+  // (without album-specific fields); it is stored as its own file, referenced by rootMeta.hashIndexFileId.
+  async _loadHashIndex() {
+    if (!this._hashIndex) {
+      const fileId = this.rootMeta.hashIndexFileId;
+      // indexes are written with the root, so they are encrypted when the library is
+      const raw = fileId ? await this._fetchJson(fileId, 'hashes.json', this.encrypted) : {};
+      if (!this._hashIndex) this._hashIndex = new Map(Object.entries(raw));
+    }
+    return this._hashIndex;
+  }
+
+  async _saveHashIndex() {
+    if (!this._hashIndexDirty || !this._hashIndex) return;
+    this.rootMeta.hashIndexFileId = await this._putJson(Object.fromEntries(this._hashIndex));
+    this._hashIndexDirty = false;
+  }
+
+  static _hashTemplate(entry) {
+    const template = Object.assign({}, entry);
+    // per-file metadata belongs to the entry it was set on, not to the content
+    for (const k of ['originalAlbumIds', 'addedAt', 'caption', 'tags', 'favorite', 'rating']) delete template[k];
+    return template;
+  }
+
+  // needs the index loaded (_loadHashIndex)
+  _indexHash(entry) {
+    if (!entry.sha256) return;
+    this._pendingHashes.delete(entry.sha256);
+    this._hashIndex.set(entry.sha256, TgAlbumsApp._hashTemplate(entry));
+    this._hashIndexDirty = true;
+  }
+
+  // drops the index entries of removed files whose fullFileId no other album (Trash included) still
+  // holds, so their content is uploaded again next time; the removed entries themselves don't count,
+  // even while they are still in their album's list. options.force drops them anyway, for files
+  // that can't be downloaded any more.
+  async _forgetHashes(entries, options = {}) {
+    const index = await this._loadHashIndex();
+    const candidates = entries.filter(f => {
+      const known = f.sha256 && index.get(f.sha256);
+      return known && known.fullFileId === f.fullFileId;
+    });
+    if (!candidates.length) return;
+    const referenced = options.force ? new Set() : await this._referencedFullIds(new Set(entries));
+    for (const f of candidates) {
+      if (referenced.has(f.fullFileId)) continue;
+      index.delete(f.sha256);
+      this._hashIndexDirty = true;
+    }
+  }
+
+  // fullFileIds of the files of every album, leaving out the entry objects in skip
+  async _referencedFullIds(skip) {
+    const ids = new Set();
+    for (const entry of this.root) {
+      const album = this._albumFor(entry);
+      await album.ready();
+      for (const f of album.files) if (!skip.has(f)) ids.add(f.fullFileId);
+    }
+    return ids;
+  }
+
+  // looks sha256 up in the index, waiting for an identical upload still in progress
+  async _lookupHash(sha256) {
+    const index = await this._loadHashIndex();
+    if (index.has(sha256)) return index.get(sha256);
+    const pending = this._pendingHashes.get(sha256);
+    return pending ? pending.catch(() => null) : null;
+  }
+
+  // content hash of blob, read 16 MiB at a time so large videos are never held in memory whole:
+  // the SHA-256 of the blob itself up to that size, above it the SHA-256 of its slices' hex digests
+  static async _sha256(blob) {
+    const partSize = 16 * 1024 * 1024;
+    const hex = async bytes => Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)), b => b.toString(16).padStart(2, '0')).join('');
+    if (blob.size <= partSize) return hex(await blob.arrayBuffer());
+    const digests = [];
+    for (let offset = 0; offset < blob.size; offset += partSize) {
+      digests.push(await hex(await blob.slice(offset, offset + partSize).arrayBuffer()));
+    }
+    return hex(new TextEncoder().encode(digests.join('')));
+  }
+
+  // findDuplicates: groups of files with identical content but separate uploads (copies made
+  // with copyTo share one upload and are not reported). options.computeMissing hashes files
+  // uploaded before hashes were recorded, downloading each original once.
+  // returns { ok:true, groups: [{ sha256, files: [{ albumId, albumName, name, fullFileId }] }], unhashed }
+  async findDuplicates(options = {}) {
+    await this.ready();
+    try {
+      const { computeMissing = false } = options;
+      const bySha = new Map();
+      let unhashed = 0;
+      for (const entry of this.root.slice()) {
+        const album = this._albumFor(entry);
+        await album.ready();
+        let changed = false;
+        for (const f of album.files) {
+          if (!f.sha256 && computeMissing) {
+            f.sha256 = await TgAlbumsApp._sha256(await this._downloader.getOriginal(f));
+            changed = true;
+          }
+          if (!f.sha256) { unhashed++; continue; }
+          if (!bySha.has(f.sha256)) bySha.set(f.sha256, []);
+          bySha.get(f.sha256).push({ albumId: album.albumId, albumName: album.name, name: f.name, fullFileId: f.fullFileId });
+        }
+        if (changed) {
+          await this._mutate(async () => {
+            const index = await this._loadHashIndex();
+            for (const f of album.files) {
+              if (f.sha256 && !index.has(f.sha256)) this._indexHash(f);
+            }
+            await album._saveAlbumCascade();
+          }, 'findDuplicates');
+        }
+      }
+      const groups = [];
+      for (const [sha256, files] of bySha) {
+        if (new Set(files.map(f => f.fullFileId)).size > 1) groups.push({ sha256, files });
+      }
+      return { ok: true, groups, unhashed };
+    } catch (e) {
+      console.error('findDuplicates error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // --- search ---
+  // The search index keeps a compact record of every file (see _searchRecord) per album, together
+  // with the albumFileId it was built from; it is stored as its own file, referenced by
+  // rootMeta.searchIndexFileId. Albums whose albumFileId changed since are re-indexed on the next
+  // search, from the loaded Album when possible, so queries don't download every album JSON.
+  async _loadSearchIndex() {
+    if (!this._searchIndex) {
+      const fileId = this.rootMeta.searchIndexFileId;
+      let raw = {};
+      if (fileId) {
+        try {
+          raw = await this._fetchJson(fileId, 'search.json', this.encrypted);
+        } catch (e) {
+          console.warn('Search index unreadable, rebuilding:', e); // it only caches album JSONs
+        }
+      }
+      if (!this._searchIndex) this._searchIndex = new Map(Object.entries(raw));
+    }
+    return this._searchIndex;
+  }
+
+  async _saveSearchIndex() {
+    if (!this._searchIndexDirty || !this._searchIndex) return;
+    this.rootMeta.searchIndexFileId = await this._putJson(Object.fromEntries(this._searchIndex));
+    this._searchIndexDirty = false;
+  }
+
+  // brings the index up to date for the given root entries and drops albums no longer in root;
+  // the changes are saved with the next root save
+  async _refreshSearchIndex(entries) {
+    const index = await this._loadSearchIndex();
+    for (const albumId of index.keys()) {
+      if (!this.root.some(a => a.albumId === albumId)) { index.delete(albumId); this._searchIndexDirty = true; }
+    }
+    for (const entry of entries) {
+      const cached = index.get(entry.albumId);
+      if (cached && cached.albumFileId === entry.albumFileId) continue;
+      const album = this._albums.get(entry.albumId);
+      const files = album && album._loadedFileId === entry.albumFileId
+        ? album.files
+        : await this._fetchAlbumFiles(entry.albumFileId, entry.name, entry.encrypted);
+      index.set(entry.albumId, { albumFileId: entry.albumFileId, files: files.map(TgAlbumsApp._searchRecord) });
+      this._searchIndexDirty = true;
+    }
+    return index;
+  }
+
+  // the fields search() filters and sorts on, shaped like a file entry
+  static _searchRecord(f) {
+    const record = { fullFileId: f.fullFileId, name: f.name, mime: f.mime || '' };
+    for (const k of ['size', 'addedAt', 'caption', 'tags', 'favorite', 'rating']) {
+      if (f[k] !== undefined) record[k] = f[k];
+    }
+    if (f.meta && f.meta.takenAt) record.meta = { takenAt: f.meta.takenAt };
+    return record;
+  }
+
+  // case- and accent-insensitive form used for matching
+  static _fold(text) {
+    return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  // 1 for a substring match, less for a match with typos (best edit distance of query against any
+  // part of text, at most a quarter of the query length), 0 for no match; both already folded
+  static _fuzzyScore(query, text) {
+    if (!query) return 1;
+    if (text.includes(query)) return 1;
+    const maxErrors = Math.floor(query.length / 4);
+    if (!maxErrors) return 0;
+    // edit distance with adjacent transpositions; row 0 stays 0 so the match may start anywhere in text
+    let before = null;
+    let prev = Array.from({ length: query.length + 1 }, (_, i) => i);
+    let best = prev[query.length];
+    for (let j = 1; j <= text.length; j++) {
+      const cur = [0];
+      for (let i = 1; i <= query.length; i++) {
+        const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+        cur[i] = Math.min(prev[i - 1] + cost, prev[i] + 1, cur[i - 1] + 1);
+        if (before && i > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+          cur[i] = Math.min(cur[i], before[i - 2] + 1);
+        }
+      }
+      best = Math.min(best, cur[query.length]);
+      before = prev;
+      prev = cur;
+    }
+    return best <= maxErrors ? 1 - best / (query.length + 1) : 0;
+  }
+
+  // search: files across all albums (not Trash or trashed albums unless options.includeTrash).
+  // options, all optional and combined with AND:
+  //   text       - substring of name, caption or a tag
+  //   name       - substring of the file name; with fuzzy: true small typos are tolerated too
+  //   tags       - tag or array of tags the file must all have
+  //   mime       - 'image/*', 'video/mp4' or an array of such patterns
+  //   from, to   - Date or ISO string; capture date (date added if unknown) within [from, to]
+  //   favorite   - true for favorites only, false for the others
+  //   minRating  - rating at least this (1-5)
+  //   albumIds   - only these albums
+  //   sort       - as in Album.setSortOrder; default: best match first for fuzzy, else '-takenAt'
+  //   limit      - at most this many results
+  // Matching is case- and accent-insensitive.
+  // returns { ok:true, results: [{ albumId, albumName, score?, fullFileId, name, mime, size?, addedAt?,
+  //   meta?: { takenAt }, caption?, tags?, favorite?, rating? }], total } where total is before limit
+  async search(options = {}) {
+    await this.ready();
+    try {
+      const { includeTrash = false, fuzzy = false, limit = 0 } = options;
+      const text = TgAlbumsApp._fold(options.text);
+      const name = TgAlbumsApp._fold(options.name);
+      const tags = [].concat(options.tags || []).map(TgAlbumsApp._fold);
+      const mimes = [].concat(options.mime || []);
+      const from = options.from != null ? new Date(options.from).getTime() : null;
+      const to = options.to != null ? new Date(options.to).getTime() : null;
+      if (Number.isNaN(from) || Number.isNaN(to)) throw new Error('from/to must be valid dates');
+      const comparator = options.sort ? Album._comparator(options.sort) : Album._comparator('-takenAt');
+      const entries = this.root.filter(a => (!options.albumIds || options.albumIds.includes(a.albumId))
+        && (includeTrash || (a.name !== 'Trash' && !a.trashedAt)));
+      const index = await this._refreshSearchIndex(entries);
+
+      const mimeMatches = mime => !mimes.length || mimes.some(p => p.endsWith('/*') ? mime.startsWith(p.slice(0, -1)) : mime === p);
+      const results = [];
+      for (const entry of entries) {
+        for (const f of index.get(entry.albumId).files) {
+          if (!mimeMatches(f.mime)) continue;
+          if (options.favorite != null && !!f.favorite !== !!options.favorite) continue;
+          if (options.minRating && !(f.rating >= options.minRating)) continue;
+          const fileTags = (f.tags || []).map(TgAlbumsApp._fold);
+          if (!tags.every(t => fileTags.includes(t))) continue;
+          if (from != null || to != null) {
+            const time = Album._takenTime(f);
+            if (time === -Infinity || (from != null && time < from) || (to != null && time > to)) continue;
+          }
+          if (text && !TgAlbumsApp._fold(f.name).includes(text) && !TgAlbumsApp._fold(f.caption).includes(text)
+            && !fileTags.some(t => t.includes(text))) continue;
+          const score = name ? (fuzzy ? TgAlbumsApp._fuzzyScore(name, TgAlbumsApp._fold(f.name)) : +TgAlbumsApp._fold(f.name).includes(name)) : 1;
+          if (!score) continue;
+          const result = Object.assign({ albumId: entry.albumId, albumName: entry.name }, TgAlbumsApp._clone(f));
+          if (name && fuzzy) result.score = score;
+          results.push(result);
+        }
+      }
+      results.sort(name && fuzzy && !options.sort ? (x, y) => y.score - x.score || comparator(x, y) : comparator);
+      return { ok: true, results: limit > 0 ? results.slice(0, limit) : results, total: results.length };
+    } catch (e) {
+      console.error('search error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // getTags: every tag used outside Trash with the number of files carrying it, most used first
+  // returns { ok:true, tags: [{ tag, count }] }
+  async getTags() {
+    await this.ready();
+    try {
+      const entries = this.root.filter(a => a.name !== 'Trash' && !a.trashedAt);
+      const index = await this._refreshSearchIndex(entries);
+      const counts = new Map(); // folded tag -> { tag, count }, spelled as first seen
+      for (const entry of entries) {
+        for (const f of index.get(entry.albumId).files) {
+          for (const tag of f.tags || []) {
+            const key = TgAlbumsApp._fold(tag);
+            if (!counts.has(key)) counts.set(key, { tag, count: 0 });
+            counts.get(key).count++;
+          }
+        }
+      }
+      const tags = Array.from(counts.values()).sort((x, y) => y.count - x.count || x.tag.localeCompare(y.tag));
+      return { ok: true, tags };
+    } catch (e) {
+      console.error('getTags error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // --- events ---
+  // on(type, listener): listener(event) is called after a change has been saved; '*' receives every type.
+  // event = { type, albumId?, ...payload }; file entries in payloads are copies. Returns an unsubscribe function.
+  //   albumCreated    { albumId, album }
+  //   albumUpdated    { albumId, changes }      name, description, sort, coverFullFileId, parentId (folder)
+  //   albumDeleted    { albumId, permanent }    moved to Trash, or purged for good
+  //   albumRestored   { albumId }
+  //   albumsReordered { albumIds }
+  //   folderCreated   { folderId, folder }
+  //   folderUpdated   { folderId, changes }    name, parentId
+  //   folderDeleted   { folderId }
+  //   filesAdded      { albumId, files }        uploads, copies, moves, imports
+  //   filesRemoved    { albumId, files, permanent? } moved out, removed for good, cleared, purged
+  //   fileUpdated     { albumId, file }
+  //   fileTrashed     { albumId, file, trashAlbumId }
+  //   fileRestored    { albumId, file, trashAlbumId }
+  //   rootSaved       { rootFileId, op }
+  //   syncConflict    { remoteFileId, changes } another device saved first; its changes were merged in
+  //   remoteChanges   { changes }                refresh()/polling picked up changes from other devices
+  //   rolledBack      { fileId, changes }        rollback() restored a snapshot; reload what is shown
+  //   shareCreated    { shareId, albumId, share }
+  //   shareUpdated    { shareId, albumId }       the album's snapshot was published again
+  //   shareRevoked    { shareId, albumId }
+  on(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this._listeners.get(type);
+    if (listeners) listeners.delete(listener);
+  }
+
+  once(type, listener) {
+    const off = this.on(type, event => { off(); listener(event); });
+    return off;
+  }
+
+  _emit(type, payload = {}) {
+    this._queueShareUpdates(type, payload.albumId);
+    const listeners = [...(this._listeners.get(type) || []), ...(this._listeners.get('*') || [])];
+    if (!listeners.length) return;
+    const event = Object.assign({ type }, payload);
+    for (const key of ['files', 'file']) {
+      if (Array.isArray(event[key])) event[key] = event[key].map(f => Object.assign({}, f));
+      else if (event[key]) event[key] = Object.assign({}, event[key]);
+    }
+    for (const listener of listeners) {
+      try { listener(event); } catch (e) { console.warn(`${type} listener failed:`, e); }
+    }
+  }
+
   // --- utilities ---
+  // Runs fn after every previously queued mutation has settled, so changes to
+  // root and album files are applied one at a time. fn must not call _mutate itself.
+  // op names the operation in the root history (see getSnapshots).
+  _mutate(fn, op = null) {
+    const run = this._queue.then(async () => {
+      this._op = op;
+      try {
+        return await fn();
+      } finally {
+        this._op = null;
+      }
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  // returns the single Album instance for a root entry, creating it on first use
+  _albumFor(entry) {
+    let album = this._albums.get(entry.albumId);
+    if (!album) {
+      album = new Album(this.service, entry.albumFileId, entry.name, this, entry.thumbFileId, entry.albumId);
+      album.encrypted = entry.encrypted;
+      this._albums.set(entry.albumId, album);
+    }
+    album._applyEntry(entry);
+    return album;
+  }
+
+  // accepts an Album or an albumId and returns the canonical Album instance
+  _resolveAlbum(target) {
+    const albumId = typeof target === 'string' ? target : (target && target.albumId);
+    const entry = albumId && this.root.find(a => a.albumId === albumId);
+    if (!entry) throw new Error('Target album not found');
+    return this._albumFor(entry);
+  }
+
   static _makeAlbumId() {
     const letters = 'abcdefghijklmnopqrstuvwxyz';
     const pick = () => letters[Math.floor(Math.random() * letters.length)];
@@ -46,21 +601,37 @@ class TgAlbumsApp {
         try {
           await this._loadRootFromFileId(desc);
         } catch (e) {
-          console.warn('Failed to load root file from chat description:', e);
-          await this._createEmptyRoot();
+          // download failures, passphrase errors and newer roots reject ready(); so does an unreadable
+          // root unless onUnreadableRoot agrees to start over. An encrypted library is never replaced
+          // by a plaintext root.
+          if (e.code !== 'ROOT_UNREADABLE' || e.encrypted || this._passphrase || !this.onUnreadableRoot) throw e;
+          if (!await this.onUnreadableRoot({ fileId: desc, error: e })) throw e;
+          // the unreadable root is remembered so repair() can bring its albums back
+          console.error('Failed to read root file from chat description, starting with an empty root (see repair()):', e);
+          await this._createEmptyRoot({ unreadableRootFileId: desc });
         }
       }
+      if (this._passphrase) {
+        console.warn('Library is not encrypted, the passphrase is ignored; use enableEncryption() to encrypt it');
+        this._passphrase = null;
+      }
       // ensure Trash album exists and is undeletable
       const trash = this.root.find(a => a.name === 'Trash');
       if (!trash) {
         console.log('Creating missing Trash album');
         const albumId = TgAlbumsApp._makeAlbumId();
-        const albumBlob = new Blob([JSON.stringify([])], { type: 'application/json' });
-        const albumFileId = await this.service.putFile(albumBlob);
-        const entry = { name: 'Trash', thumbFileId: null, albumFileId, albumId };
+        const albumFileId = await this._putJson([]);
+        const entry = this._withEncryptedFlag({ name: 'Trash', thumbFileId: null, albumFileId, albumId });
         this.root.push(entry);
-        this.root.sort((a, b) => a.name.localeCompare(b.name));
-        await this._saveRootCascade();
+        this._sortRoot();
+        await this._mutate(() => this._saveRootCascade(), 'init');
+      }
+      if (this.trashRetentionDays > 0) {
+        try {
+          await this._mutate(() => this._purgeTrash(Date.now() - this.trashRetentionDays * 86400000), 'autoPurgeTrash');
+        } catch (e) {
+          console.warn('Trash auto-purge failed:', e);
+        }
       }
     } catch (e) {
       console.error('Initialization error:', e);
@@ -69,404 +640,4298 @@ class TgAlbumsApp {
     }
   }
 
-  async _createEmptyRoot() {
-    this.root = [];
-    const blob = new Blob([JSON.stringify(this.root)], { type: 'application/json' });
-    const fileId = await this.service.putFile(blob);
-    this.rootFileId = fileId;
-    await this._setChatDescription(fileId);
+  // every file goes through _putBlob and this._downloader (see TgDownloader), which encrypt and
+  // decrypt once the library has a key
+  async _putBlob(blob) {
+    if (!this._key) return this.service.putFile(blob);
+    const sealed = await TgCrypto.encrypt(this._key, new Uint8Array(await blob.arrayBuffer()));
+    return this.service.putFile(new Blob([sealed], { type: 'application/octet-stream' }));
+  }
+
+  // file entries, album entries (for their file list) and page headers say whether what they point
+  // at was uploaded encrypted; call it right after uploading, while the key is the one _putBlob used
+  _withEncryptedFlag(entry) {
+    if (this._key) entry.encrypted = true;
+    else delete entry.encrypted;
+    return entry;
+  }
+
+  // object URLs are shared per file ID and revoked when the last holder releases them;
+  // load() returns the blob (the whole original for a chunked file, whose fileId is its first part)
+  async _acquireObjectUrl(fileId, load) {
+    let held = this._objectUrls.get(fileId);
+    if (!held) {
+      held = { url: load().then(blob => URL.createObjectURL(blob)), refs: 0 };
+      this._objectUrls.set(fileId, held);
+      held.url.catch(() => { if (this._objectUrls.get(fileId) === held) this._objectUrls.delete(fileId); });
+    }
+    held.refs++;
+    return held.url;
+  }
+
+  _releaseObjectUrl(fileId) {
+    const held = this._objectUrls.get(fileId);
+    if (!held || --held.refs > 0) return;
+    this._objectUrls.delete(fileId);
+    held.url.then(url => URL.revokeObjectURL(url), () => {});
+  }
+
+  async _putJson(value) {
+    return this._putBlob(new Blob([JSON.stringify(value)], { type: 'application/json' }));
+  }
+
+  // --- chunked originals ---
+  // An original larger than chunkSize is uploaded as parts; its entry gets
+  // parts: [{ fileId, size, sha256 }] and fullFileId is the fileId of the first part.
+  // Parts are encrypted one by one like any other file; TgDownloader reads them back.
+  async _putParts(blob) {
+    const parts = [];
+    for (let offset = 0; offset < blob.size; offset += this.chunkSize) {
+      const part = blob.slice(offset, offset + this.chunkSize);
+      parts.push({ fileId: await this._putBlob(part), size: part.size, sha256: await TgAlbumsApp._sha256(part) });
+    }
+    return parts;
+  }
+
+  async _fetchJson(fileId, name, encrypted) {
+    return JSON.parse(await (await this._downloader.getBlob(fileId, name, 'application/json', encrypted)).text());
+  }
+
+  // Root file (version 2): the JSON array of album entries, as in version 1, with the library fields
+  // riding along on the Trash entry as library: { version: 2, ...rootMeta }. Version 1 clients
+  // take anything but an array for a broken root and write an empty one over it; an array they
+  // read, and they keep library when they save.
+  // Encrypted: [Trash entry with library: { version: 2, encryption, sealed }] with the whole array
+  // sealed inside. Version 1 clients see an empty library; albums they add next to the Trash entry
+  // are picked up on the next load.
+  // Early version 2 roots, { version: 2, albums, ...rootMeta } and { version: 2, encryption, sealed },
+  // are still read and become arrays with the next save.
+  _serializeRoot() {
+    const carrier = this.root.find(a => a.name === 'Trash');
+    return this.root.map(a => a === carrier ? Object.assign({}, a, { library: Object.assign({ version: 2 }, this.rootMeta) }) : a);
+  }
+
+  async _putRoot() {
+    if (!this.root.some(a => a.name === 'Trash')) {
+      // the library fields need a Trash entry to ride on
+      this.root.push(this._withEncryptedFlag({ name: 'Trash', thumbFileId: null, albumFileId: await this._putJson([]), albumId: TgAlbumsApp._makeAlbumId() }));
+      this._sortRoot();
+    }
+    if (!this._key) return this.service.putFile(new Blob([JSON.stringify(this._serializeRoot())], { type: 'application/json' }));
+    const sealed = await TgCrypto.encrypt(this._key, new TextEncoder().encode(JSON.stringify(this._serializeRoot())));
+    const trash = this.root.find(a => a.name === 'Trash');
+    const envelope = [{
+      name: trash.name, thumbFileId: null, albumFileId: trash.albumFileId, albumId: trash.albumId,
+      library: { version: 2, encryption: this._encryption, sealed: TgCrypto.toBase64(sealed) }
+    }];
+    return this.service.putFile(new Blob([JSON.stringify(envelope)], { type: 'application/json' }));
+  }
+
+  // the library fields of a root array (see _serializeRoot), or null
+  static _rootLibrary(albums) {
+    const carrier = albums.find(a => a && a.library);
+    return carrier ? carrier.library : null;
+  }
+
+  // -> { parsed, encryption }: root JSON, unsealed, and the key info it was sealed with (or null).
+  // Unlocks the library with the pending passphrase on first use.
+  // Download errors propagate as they are; a file that arrived but can't be read throws ROOT_UNREADABLE.
+  async _fetchRootJson(fileId) {
+    const text = await (await this._downloader.getBlob(fileId, 'albums.json', 'application/json', false)).text(); // sealed inside, see _putRoot
+    let stored;
+    try {
+      stored = JSON.parse(text);
+    } catch (e) {
+      throw TgAlbumsApp._unreadableRoot(`Root file is not valid JSON: ${e.message}`);
+    }
+    const envelope = Array.isArray(stored) ? TgAlbumsApp._rootLibrary(stored) : stored;
+    if (!envelope || !envelope.sealed) return { parsed: stored, encryption: null };
+    if (!this._key) {
+      if (!this._passphrase) {
+        const err = new Error('Library is encrypted: passphrase required');
+        err.code = 'PASSPHRASE_REQUIRED';
+        throw err;
+      }
+      this._key = await TgCrypto.unlock(this._passphrase, envelope.encryption);
+      this._passphrase = null;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(new TextDecoder().decode(await TgCrypto.decrypt(this._key, TgCrypto.fromBase64(envelope.sealed))));
+    } catch (e) {
+      throw TgAlbumsApp._unreadableRoot(`Sealed root file can't be decrypted: ${e.message}`, true);
+    }
+    if (Array.isArray(stored) && Array.isArray(parsed)) {
+      // albums a version 1 client added next to the sealed root
+      parsed = parsed.concat(stored.filter(a => a && !a.library && !parsed.some(p => p.albumId === a.albumId)));
+    }
+    return { parsed, encryption: envelope.encryption };
+  }
+
+  // error for a root file that was downloaded but can't be used; encrypted if it was sealed
+  static _unreadableRoot(message, encrypted = false) {
+    const err = new Error(message);
+    err.code = 'ROOT_UNREADABLE';
+    err.encrypted = encrypted;
+    return err;
+  }
+
+  async _createEmptyRoot(meta = {}) {
+    this.root = [];
+    this.rootMeta = Object.assign({ savedAt: new Date().toISOString(), op: 'init' }, meta);
+    if (this._passphrase) {
+      ({ key: this._key, info: this._encryption } = await TgCrypto.createKey(this._passphrase));
+      this._baseEncryption = this._encryption;
+      this._passphrase = null;
+    }
+    const fileId = await this._putRoot(); // adds the Trash album
+    this.rootFileId = fileId;
+    this._baseRoot = TgAlbumsApp._clone(this.root);
+    this._baseMeta = TgAlbumsApp._clone(this.rootMeta);
+    await this._setChatDescription(fileId);
+  }
+
+  // returns { albums, meta, encryption }
+  async _fetchRoot(fileId) {
+    const { parsed, encryption } = await this._fetchRootJson(fileId);
+    const albums = Array.isArray(parsed) ? parsed : (parsed && parsed.albums);
+    if (!Array.isArray(albums)) throw TgAlbumsApp._unreadableRoot('Root file JSON must be an array or { albums: [...] }', !!encryption);
+    for (const a of albums) {
+      if (!a || typeof a.name !== 'string' || typeof a.albumFileId !== 'string' || typeof a.albumId !== 'string') {
+        throw TgAlbumsApp._unreadableRoot('Invalid album entry', !!encryption);
+      }
+    }
+    const library = Array.isArray(parsed) ? TgAlbumsApp._rootLibrary(parsed) : parsed;
+    if (library && library.version > 2) {
+      const err = new Error(`Root version ${library.version} is newer than this app`);
+      err.code = 'ROOT_TOO_NEW';
+      throw err;
+    }
+    const meta = Object.assign({}, library);
+    delete meta.version;
+    delete meta.albums;
+    return { albums: albums.map(TgAlbumsApp._withoutLibrary), meta, encryption };
+  }
+
+  static _withoutLibrary(entry) {
+    if (!entry || !entry.library) return entry;
+    const copy = Object.assign({}, entry);
+    delete copy.library;
+    return copy;
+  }
+
+  async _loadRootFromFileId(fileId) {
+    const { albums, meta, encryption } = await this._fetchRoot(fileId);
+    this._encryption = this._baseEncryption = encryption;
+    this.root = albums.slice();
+    this.rootMeta = meta;
+    this._sortRoot();
+    this.rootFileId = fileId;
+    this._baseRoot = TgAlbumsApp._clone(albums);
+    this._baseMeta = TgAlbumsApp._clone(meta);
+  }
+
+  // --- album file lists ---
+  // A file list is stored as a JSON array, or, once it has more than albumPageSize files, as a header
+  //   { format: 'tg-albums-pages', version: 1, sort, count, pages: [{ fileId, count, sha256 }] }
+  // whose pages are JSON arrays holding consecutive runs of the list in sort order. Page boundaries
+  // follow the entries themselves (see _splitPages), so an edit changes one page and the others are
+  // reused by their sha256 instead of being uploaded again.
+
+  // { files } for a single JSON array, { header } for a paged list; encrypted as on the album entry
+  async _fetchAlbumList(albumFileId, name, encrypted) {
+    const parsed = await this._fetchJson(albumFileId, `${name}.json`, encrypted);
+    if (Array.isArray(parsed)) return { files: TgAlbumsApp._checkFileEntries(parsed) };
+    if (!parsed || parsed.format !== 'tg-albums-pages' || !Array.isArray(parsed.pages)) throw new Error('Album file must be array');
+    if (parsed.version > 1) throw new Error(`Album pages version ${parsed.version} is newer than this app`);
+    for (const page of parsed.pages) this._knownPages.set(page.sha256, page.fileId);
+    return { header: parsed };
+  }
+
+  // encrypted as on the page header
+  async _fetchAlbumPage(page, name, encrypted) {
+    const files = await this._fetchJson(page.fileId, `${name}.page.json`, encrypted);
+    if (!Array.isArray(files) || files.length !== page.count) throw new Error(`Page of album "${name}" is incomplete`);
+    return TgAlbumsApp._checkFileEntries(files);
+  }
+
+  async _fetchAlbumFiles(albumFileId, name, encrypted) {
+    const { files, header } = await this._fetchAlbumList(albumFileId, name, encrypted);
+    return files || this._fetchAllPages(header, name);
+  }
+
+  async _fetchAllPages(header, name) {
+    const files = [];
+    for (const page of header.pages) files.push(...await this._fetchAlbumPage(page, name, header.encrypted));
+    if (files.length !== header.count) throw new Error(`Album "${name}" is incomplete`);
+    return files;
+  }
+
+  static _checkFileEntries(files) {
+    for (const f of files) {
+      if (!f || typeof f.name !== 'string' || typeof f.fullFileId !== 'string') {
+        throw new Error('Invalid file entry in album');
+      }
+    }
+    return files;
+  }
+
+  // stores files (already in sort order) and returns the albumFileId; only new pages are uploaded
+  async _putAlbumFiles(files, sort) {
+    if (!(this.albumPageSize > 0) || files.length <= this.albumPageSize) return this._putJson(files);
+    const pages = [];
+    for (const run of TgAlbumsApp._splitPages(files, this.albumPageSize)) {
+      const json = JSON.stringify(run);
+      const sha256 = await TgAlbumsApp._sha256(new Blob([json]));
+      let fileId = this._knownPages.get(sha256);
+      if (!fileId) {
+        fileId = await this._putBlob(new Blob([json], { type: 'application/json' }));
+        this._knownPages.set(sha256, fileId);
+      }
+      pages.push({ fileId, count: run.length, sha256 });
+    }
+    return this._putJson(this._withEncryptedFlag({ format: 'tg-albums-pages', version: 1, sort, count: files.length, pages }));
+  }
+
+  // a page ends after an entry whose fullFileId hashes to 0 modulo pageSize (pageSize entries on
+  // average, at least a quarter of that), or at twice pageSize
+  static _splitPages(files, pageSize) {
+    const pages = [];
+    let run = [];
+    for (const f of files) {
+      run.push(f);
+      if (run.length >= 2 * pageSize || (run.length >= pageSize / 4 && TgAlbumsApp._fnv1a(f.fullFileId) % pageSize === 0)) {
+        pages.push(run);
+        run = [];
+      }
+    }
+    if (run.length) pages.push(run);
+    return pages;
+  }
+
+  static _fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    return hash >>> 0;
+  }
+
+  // Optimistic concurrency: the chat description must still point at the root we
+  // loaded. If another device replaced it, merge its changes in and try again.
+  async _saveRootCascade() {
+    for (let attempt = 0; ; attempt++) {
+      const remoteFileId = await this._getRemoteRootFileId();
+      if (remoteFileId && remoteFileId !== this.rootFileId) {
+        if (attempt >= 3) throw new Error('Root keeps changing remotely, giving up');
+        const { changes } = await this._mergeRemoteRoot(remoteFileId);
+        this._emit('syncConflict', { remoteFileId, changes });
+        continue;
+      }
+      await this._saveHashIndex();
+      await this._saveSearchIndex();
+      this._pushHistory();
+      const newFileId = await this._putRoot();
+      this.rootFileId = newFileId;
+      await this._setChatDescription(newFileId);
+      this._baseRoot = TgAlbumsApp._clone(this.root);
+      this._baseMeta = TgAlbumsApp._clone(this.rootMeta);
+      this._baseEncryption = this._encryption;
+      this._emit('rootSaved', { rootFileId: newFileId, op: this.rootMeta.op });
+      return;
+    }
+  }
+
+  // the root being replaced becomes the newest history entry
+  _pushHistory() {
+    const meta = this.rootMeta;
+    const history = (meta.history || []).filter(h => h.fileId !== this.rootFileId);
+    if (this.rootFileId) history.unshift({ fileId: this.rootFileId, savedAt: meta.savedAt || null, op: meta.op || null });
+    meta.history = history.slice(0, Math.max(0, this.historyLimit));
+    meta.savedAt = new Date().toISOString();
+    meta.op = this._op || 'save';
+  }
+
+  // --- history / rollback ---
+  // getSnapshots: the current root and the previous ones it remembers, newest first.
+  // returns [{ fileId, savedAt, op, current? }]
+  async getSnapshots() {
+    await this.ready();
+    const meta = this.rootMeta;
+    return [{ fileId: this.rootFileId, savedAt: meta.savedAt || null, op: meta.op || null, current: true }]
+      .concat((meta.history || []).map(h => Object.assign({}, h)));
+  }
+
+  // inspectSnapshot: read-only view of a snapshot; nothing in the app changes.
+  // options.withFiles also loads each album's file list as it was then.
+  // returns { ok:true, fileId, savedAt, op, albums: [{ ...entry, files? }] }
+  async inspectSnapshot(fileId, options = {}) {
+    await this.ready();
+    try {
+      const { albums, meta } = await this._fetchRoot(fileId);
+      if (options.withFiles) {
+        for (const entry of albums) entry.files = await this._fetchAlbumFiles(entry.albumFileId, entry.name, entry.encrypted);
+      }
+      return { ok: true, fileId, savedAt: meta.savedAt || null, op: meta.op || null, albums, folders: meta.folders || [] };
+    } catch (e) {
+      console.error('inspectSnapshot error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // rollback: makes a snapshot the current library again (album entries, album files and hash index).
+  // The replaced root goes into history as usual, so a rollback can itself be rolled back.
+  // Shares stay as they are, so a revoked share isn't brought back; shares of albums the snapshot
+  // doesn't have (or has in Trash) are revoked. A snapshot without a Trash album
+  // keeps the current Trash.
+  // returns { ok:true, changes: { added, removed, updated } }
+  async rollback(fileId) {
+    await this.ready();
+    try {
+      const changes = await this._mutate(async () => {
+        // catch up with other devices first, so the save below doesn't merge their changes back in
+        const remoteFileId = await this._getRemoteRootFileId();
+        if (remoteFileId && remoteFileId !== this.rootFileId) await this._mergeRemoteRoot(remoteFileId);
+        const { albums, meta } = await this._fetchRoot(fileId);
+        // snapshots from before Trash existed keep the current one, with the files in it
+        const trash = this.root.find(a => a.name === 'Trash');
+        if (trash && !albums.some(a => a.name === 'Trash')) albums.push(Object.assign({}, trash));
+        const changes = TgAlbumsApp._diffRoots(this.root, albums);
+        this.root = albums;
+        this._sortRoot();
+        this._setFolders(meta.folders || []);
+        if (meta.hashIndexFileId !== this.rootMeta.hashIndexFileId) {
+          this.rootMeta.hashIndexFileId = meta.hashIndexFileId;
+          if (!meta.hashIndexFileId) delete this.rootMeta.hashIndexFileId;
+          this._hashIndex = null;
+          this._hashIndexDirty = false;
+        }
+        this._syncAlbumInstances(new Map());
+        await this._saveRootCascade();
+        this._emit('rolledBack', { fileId, changes });
+        return changes;
+      }, 'rollback');
+      return { ok: true, changes };
+    } catch (e) {
+      console.error('rollback error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // --- integrity check / repair ---
+  // verify: checks that root, every album JSON and (options.checkMedia, default true) every
+  // media file ID can be fetched, and that entries are well-formed. Nothing is changed.
+  // options.checkHistory also reports albums found in history snapshots but missing from root.
+  // returns { ok:true, issues: [{ type, message, fix, albumId?, fullFileId?, fileId? }], checked }
+  // where fix names what repair() would do, or is null when it can't fix the issue.
+  async verify(options = {}) {
+    await this.ready();
+    try {
+      return Object.assign({ ok: true }, await this._mutate(() => this._verify(options), 'verify'));
+    } catch (e) {
+      console.error('verify error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // repair: runs the same checks and applies every available fix (options.types limits them to
+  // some issue types). Albums are never dropped while they might hold files: unreadable ones are
+  // relinked to their last readable version from history, lost ones come back as trashed albums.
+  // returns { ok:true, fixed: [issue], remaining: [issue] }
+  async repair(options = {}) {
+    await this.ready();
+    try {
+      const { fixed, remaining } = await this._mutate(async () => {
+        const { issues } = await this._verify(options);
+        const fixed = [];
+        const remaining = [];
+        for (const issue of issues) {
+          const wanted = issue.fix && (!options.types || options.types.includes(issue.type));
+          if (wanted && await this._applyFix(issue)) fixed.push(issue);
+          else remaining.push(issue);
+        }
+        if (fixed.length) {
+          for (const album of new Set(fixed.map(i => i._album).filter(Boolean))) await album._saveAlbumCascade();
+          this._sortRoot();
+          await this._saveRootCascade();
+        }
+        return { fixed, remaining };
+      }, 'repair');
+      const strip = issue => { const out = Object.assign({}, issue); delete out._album; delete out._entry; delete out._encrypted; return out; };
+      return { ok: true, fixed: fixed.map(strip), remaining: remaining.map(strip) };
+    } catch (e) {
+      console.error('repair error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // runs inside _mutate; issues carry _album/_entry/_encrypted for _applyFix, stripped before returning
+  async _verify(options = {}) {
+    const { checkMedia = true, checkHistory = false } = options;
+    const issues = [];
+    const checked = { albums: 0, files: 0, fileIds: 0 };
+    const add = issue => issues.push(Object.assign({ fix: null }, issue));
+
+    if (this.rootMeta.unreadableRootFileId) {
+      add({ type: 'unreadable-root', fileId: this.rootMeta.unreadableRootFileId, fix: 'recover-albums',
+        message: 'A previous root file could not be loaded; its albums are missing' });
+    }
+    const seen = new Set();
+    for (const entry of this.root) {
+      if (seen.has(entry.albumId)) {
+        add({ type: 'duplicate-album-id', albumId: entry.albumId, fix: 'new-album-id', _entry: entry,
+          message: `Album "${entry.name}" shares albumId ${entry.albumId} with another album` });
+      }
+      seen.add(entry.albumId);
+    }
+    const trashes = this.root.filter(a => a.name === 'Trash');
+    if (!trashes.length) add({ type: 'missing-trash', fix: 'create-trash', message: 'Trash album is missing' });
+    if (trashes.length > 1) add({ type: 'duplicate-trash', fix: 'merge-trash', message: `${trashes.length} Trash albums` });
+
+    // parents that are gone or loop (both show as top level), Trash inside a folder; folders come first,
+    // fixing them may fix the albums inside too
+    for (const folder of this._folders()) {
+      if (folder.parentId && !this._effectiveParentId(folder.parentId)) {
+        add({ type: 'broken-folder', folderId: folder.folderId, fix: 'move-to-top',
+          message: `Folder "${folder.name}" is inside a missing folder or a loop of folders` });
+      }
+    }
+    for (const entry of this.root) {
+      if (entry.parentId && this._albumParentId(entry) !== entry.parentId) {
+        add({ type: 'broken-folder', albumId: entry.albumId, fix: 'move-to-top', _entry: entry,
+          message: `Album "${entry.name}" is inside a missing folder or a loop of folders` });
+      }
+    }
+
+    // album instances whose save never made it into root, or that root lost entirely
+    for (const [albumId, album] of this._albums) {
+      const entry = this.root.find(a => a.albumId === albumId);
+      if (!entry) {
+        add({ type: 'orphaned-album', albumId, fix: 'restore-to-trash', _album: album,
+          message: `Album "${album.name}" is loaded but missing from root` });
+      } else if (album._loadedFileId === album.albumFileId && album.albumFileId !== entry.albumFileId && !album._dirty) {
+        add({ type: 'stale-entry', albumId, fileId: album.albumFileId, fix: 'relink', _entry: entry, _encrypted: album.encrypted,
+          message: `Root points at an older file list of album "${entry.name}"` });
+      }
+    }
+
+    const history = this.rootMeta.history || [];
+    for (const entry of this.root.slice()) {
+      checked.albums++;
+      const album = this._albumFor(entry);
+      try {
+        await album.ready();
+      } catch (e) {
+        const found = await this._findReadableAlbumFile(entry.albumId, entry.albumFileId, history);
+        add({ type: 'unreadable-album', albumId: entry.albumId, fileId: found && found.albumFileId, fix: found ? 'relink' : null,
+          _entry: entry, _encrypted: found && found.encrypted,
+          message: `File list of album "${entry.name}" cannot be loaded: ${e.message}` });
+        continue;
+      }
+      const fullIds = new Set();
+      for (const f of album.files) {
+        checked.files++;
+        const ref = { albumId: entry.albumId, fullFileId: f && f.fullFileId, _album: album };
+        if (!f || typeof f.name !== 'string' || typeof f.fullFileId !== 'string') {
+          add(Object.assign(ref, { type: 'invalid-file', fix: 'remove-file', message: `Malformed file entry in album "${entry.name}"` }));
+          continue;
+        }
+        if (fullIds.has(f.fullFileId)) {
+          add(Object.assign(ref, { type: 'duplicate-file', fix: 'remove-file', message: `File "${f.name}" is listed twice in album "${entry.name}"` }));
+          continue;
+        }
+        fullIds.add(f.fullFileId);
+        if (!checkMedia) continue;
+        for (const kind of ['full', 'thumb', 'screen']) {
+          const fileId = f[`${kind}FileId`];
+          if (!fileId) continue;
+          checked.fileIds++;
+          if (await this._fileIdExists(fileId)) continue;
+          add(Object.assign({}, ref, { type: `missing-${kind}`, fileId, fix: kind === 'full' ? 'remove-file' : 'clear-rendition',
+            message: `${kind} file of "${f.name}" in album "${entry.name}" cannot be fetched` }));
+        }
+        // the first part is fullFileId, checked above
+        for (const [i, part] of (f.parts || []).entries()) {
+          if (!i) continue;
+          checked.fileIds++;
+          if (await this._fileIdExists(part.fileId)) continue;
+          add(Object.assign({}, ref, { type: 'missing-full', fileId: part.fileId, fix: 'remove-file',
+            message: `Part ${i + 1} of "${f.name}" in album "${entry.name}" cannot be fetched` }));
+        }
+      }
+      if ((entry.thumbFileId || null) !== album._deriveThumbFileId() && album._loadedFileId === entry.albumFileId) {
+        add({ type: 'stale-thumb', albumId: entry.albumId, fix: 'update-thumb', _album: album,
+          message: `Album thumbnail of "${entry.name}" does not match its cover` });
+      }
+    }
+
+    if (checkHistory) {
+      const known = new Set(this.root.map(a => a.albumId).concat(issues.filter(i => i.type === 'orphaned-album').map(i => i.albumId)));
+      for (const h of history) {
+        let albums;
+        try {
+          ({ albums } = await this._fetchRoot(h.fileId));
+        } catch (e) {
+          continue;
+        }
+        for (const entry of albums) {
+          if (known.has(entry.albumId)) continue;
+          known.add(entry.albumId);
+          add({ type: 'lost-album', albumId: entry.albumId, fileId: h.fileId, fix: 'restore-to-trash', _entry: entry,
+            message: `Album "${entry.name}" from the ${h.op || 'unknown'} snapshot of ${h.savedAt} is no longer in root` });
+        }
+      }
+    }
+    return { issues, checked };
+  }
+
+  async _mergeTrashEntries() {
+    const merged = this.root.slice();
+    const mergedFiles = new Map();
+    await this._mergeDuplicateTrash(merged, mergedFiles);
+    this.root = merged;
+    this._syncAlbumInstances(mergedFiles);
+  }
+
+  // true when Telegram still has the file; only "bad request" answers count as missing,
+  // except for files over the download limit, which exist but can't be fetched
+  async _fileIdExists(fileId) {
+    try {
+      await this._callTelegram('getFile', { file_id: fileId });
+      return true;
+    } catch (e) {
+      if (e.errorCode === 400) return /file is too big/i.test(e.message);
+      throw e;
+    }
+  }
+
+  // album entry with the newest readable file list of an album among the roots in history, or null
+  async _findReadableAlbumFile(albumId, unreadableFileId, history) {
+    const tried = new Set([unreadableFileId]);
+    for (const h of history) {
+      let albums;
+      try {
+        ({ albums } = await this._fetchRoot(h.fileId));
+      } catch (e) {
+        continue;
+      }
+      const entry = albums.find(a => a.albumId === albumId);
+      if (!entry || tried.has(entry.albumFileId)) continue;
+      tried.add(entry.albumFileId);
+      try {
+        await this._fetchAlbumFiles(entry.albumFileId, entry.name, entry.encrypted);
+        return entry;
+      } catch (e) {
+        // try an older one
+      }
+    }
+    return null;
+  }
+
+  // applies one issue's fix in memory (album files and root are saved by repair); false if it couldn't
+  async _applyFix(issue) {
+    const album = issue._album;
+    const replaceEntry = (entry, changes) => {
+      const idx = this.root.indexOf(entry);
+      if (idx === -1) return false;
+      this.root[idx] = Object.assign({}, entry, changes);
+      return true;
+    };
+    switch (issue.fix) {
+      case 'recover-albums': {
+        let parsed;
+        try {
+          ({ parsed } = await this._fetchRootJson(issue.fileId));
+        } catch (e) {
+          return false;
+        }
+        // entries that still look like albums are kept, whatever else is wrong with the file
+        const albums = (Array.isArray(parsed) ? parsed : (parsed && parsed.albums) || []).map(TgAlbumsApp._withoutLibrary);
+        for (const entry of albums) {
+          const valid = entry && typeof entry.name === 'string' && typeof entry.albumFileId === 'string' && typeof entry.albumId === 'string';
+          if (valid && !this.root.some(a => a.albumId === entry.albumId)) this.root.push(entry);
+        }
+        delete this.rootMeta.unreadableRootFileId;
+        await this._mergeTrashEntries();
+        return true;
+      }
+      case 'new-album-id':
+        return replaceEntry(issue._entry, { albumId: TgAlbumsApp._makeAlbumId() });
+      case 'create-trash':
+        this.root.push(this._withEncryptedFlag({ name: 'Trash', thumbFileId: null, albumFileId: await this._putJson([]), albumId: TgAlbumsApp._makeAlbumId() }));
+        return true;
+      case 'merge-trash':
+        await this._mergeTrashEntries();
+        return true;
+      case 'relink': {
+        if (!replaceEntry(issue._entry, { albumFileId: issue.fileId, encrypted: issue._encrypted })) return false;
+        const instance = this._albums.get(issue.albumId);
+        if (instance && instance.albumFileId !== issue.fileId) {
+          instance.albumFileId = issue.fileId;
+          instance.encrypted = issue._encrypted;
+          instance._loaded = instance._load();
+          await instance.ready();
+        }
+        return true;
+      }
+      case 'move-to-top': {
+        if (issue.folderId) {
+          const folder = this._folders().find(f => f.folderId === issue.folderId);
+          if (!folder) return false;
+          if (!folder.parentId || this._effectiveParentId(folder.parentId)) return true; // fixed with another folder
+          const updated = Object.assign({}, folder);
+          delete updated.parentId;
+          this._setFolders(this._folders().map(f => f === folder ? updated : f));
+          return true;
+        }
+        if (this._albumParentId(issue._entry) === issue._entry.parentId) return true;
+        if (!replaceEntry(issue._entry, { parentId: undefined })) return false;
+        const instance = this._albums.get(issue.albumId);
+        if (instance) instance.parentId = null;
+        return true;
+      }
+      case 'restore-to-trash': {
+        const entry = issue._entry || { name: album.name, thumbFileId: album.thumbFileId, albumFileId: album.albumFileId, albumId: album.albumId };
+        if (this.root.some(a => a.albumId === entry.albumId)) return false;
+        this._addAlbumEntry(Object.assign({}, entry, { trashedAt: new Date().toISOString() }));
+        return true;
+      }
+      case 'remove-file': {
+        const idx = album.files.findIndex(f => !f || typeof f.name !== 'string' || typeof f.fullFileId !== 'string' || f.fullFileId === issue.fullFileId);
+        if (idx === -1) return false;
+        const [removed] = album.files.splice(idx, 1);
+        if (removed && removed.fullFileId && issue.type === 'missing-full') await this._forgetHashes([removed], { force: true });
+        return true;
+      }
+      case 'clear-rendition': {
+        const f = album.files.find(x => x.fullFileId === issue.fullFileId);
+        const kind = issue.type.replace('missing-', '');
+        if (!f || f[`${kind}FileId`] !== issue.fileId) return false;
+        f[`${kind}FileId`] = null;
+        delete f[`${kind}Mime`];
+        return true;
+      }
+      case 'update-thumb':
+        return true; // _saveAlbumCascade derives it again
+      default:
+        return false;
+    }
+  }
+
+  // --- encryption ---
+  get encrypted() { return !!this._key; }
+
+  // enableEncryption: encrypts an existing plaintext library under passphrase. Every original,
+  // rendition and album file is downloaded and uploaded again encrypted (progress events
+  // { type: 'file', completed, total } go to options.onProgress). The plaintext messages stay
+  // in the chat and roots in history still point at them; delete them in Telegram if needed.
+  // returns { ok:true, files }
+  async enableEncryption(passphrase, options = {}) {
+    await this.ready();
+    try {
+      if (this._key) throw new Error('Library is already encrypted');
+      const files = await this._mutate(async () => {
+        const remoteFileId = await this._getRemoteRootFileId();
+        if (remoteFileId && remoteFileId !== this.rootFileId) await this._mergeRemoteRoot(remoteFileId);
+        const before = this.root.slice();
+        const lists = new Map();
+        for (const entry of before) {
+          const album = this._albumFor(entry);
+          await album.ready();
+          lists.set(entry.albumId, album.files.map(f => Object.assign({}, f)));
+        }
+        const index = await this._loadHashIndex();
+        const fileIds = new Set();
+        for (const list of lists.values()) {
+          for (const f of list) {
+            [f.fullFileId, f.thumbFileId, f.screenFileId].concat((f.parts || []).map(p => p.fileId)).forEach(id => id && fileIds.add(id));
+          }
+        }
+        const { key, info } = await TgCrypto.createKey(passphrase);
+        this._key = key;
+        this._encryption = info;
+        this._knownPages.clear(); // plaintext pages must not be reused
+        try {
+          // files shared between albums (copies, links) keep sharing one upload
+          const moved = new Map();
+          const reupload = async (fileId, name, mime) => {
+            if (!fileId) return fileId;
+            if (!moved.has(fileId)) {
+              moved.set(fileId, await this._putBlob(await this._downloader.getBlob(fileId, name, mime, false)));
+              if (options.onProgress) {
+                try { options.onProgress({ type: 'file', name, completed: moved.size, total: fileIds.size }); } catch (e) { console.warn('onProgress callback failed:', e); }
+              }
+            }
+            return moved.get(fileId);
+          };
+          for (const list of lists.values()) {
+            for (const f of list) {
+              // the first part of a chunked original is its fullFileId, so both map to the same upload
+              if (f.parts) {
+                const parts = [];
+                for (const [i, part] of f.parts.entries()) {
+                  parts.push(Object.assign({}, part, { fileId: await reupload(part.fileId, `${f.name}.part${i + 1}`, 'application/octet-stream') }));
+                }
+                f.parts = parts;
+              }
+              f.fullFileId = await reupload(f.fullFileId, f.name, f.mime);
+              f.thumbFileId = await reupload(f.thumbFileId, `thumb_${f.name}`, f.thumbMime || f.mime);
+              f.screenFileId = await reupload(f.screenFileId, `screen_${f.name}`, f.screenMime || f.mime);
+              this._withEncryptedFlag(f);
+            }
+          }
+          const after = [];
+          for (const entry of before) {
+            const albumFileId = await this._putAlbumFiles(lists.get(entry.albumId), entry.sort || 'name');
+            const coverFullFileId = entry.coverFullFileId && (moved.get(entry.coverFullFileId) || entry.coverFullFileId);
+            const changes = { albumFileId, thumbFileId: entry.thumbFileId && (moved.get(entry.thumbFileId) || null) };
+            if (coverFullFileId) changes.coverFullFileId = coverFullFileId;
+            after.push(this._withEncryptedFlag(Object.assign({}, entry, changes)));
+          }
+          for (const template of index.values()) {
+            // content no album holds any more isn't uploaded again and stays plaintext
+            if (moved.has(template.fullFileId)) this._withEncryptedFlag(template);
+            for (const k of ['fullFileId', 'thumbFileId', 'screenFileId']) {
+              if (template[k] && moved.has(template[k])) template[k] = moved.get(template[k]);
+            }
+            if (template.parts) template.parts = template.parts.map(p => Object.assign({}, p, { fileId: moved.get(p.fileId) || p.fileId }));
+          }
+          this._hashIndexDirty = true;
+          // the search index holds names and captions in plaintext; it is rebuilt encrypted on the next search
+          delete this.rootMeta.searchIndexFileId;
+          this._searchIndex = null;
+          this._searchIndexDirty = false;
+          this.root = after;
+          await this._saveRootCascade();
+          this._syncAlbumInstances(lists);
+          return moved.size;
+        } catch (e) {
+          this._key = null;
+          this._encryption = null;
+          this.root = before;
+          this._hashIndex = null;
+          this._hashIndexDirty = false;
+          throw e;
+        }
+      }, 'enableEncryption');
+      return { ok: true, files };
+    } catch (e) {
+      console.error('enableEncryption error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // changePassphrase: only the data key is re-wrapped, no file is uploaded again
+  async changePassphrase(oldPassphrase, newPassphrase) {
+    await this.ready();
+    try {
+      if (!this._key) throw new Error('Library is not encrypted');
+      await this._mutate(async () => {
+        this._encryption = await TgCrypto.rewrap(oldPassphrase, newPassphrase, this._encryption);
+        await this._saveRootCascade();
+      }, 'changePassphrase');
+      return { ok: true };
+    } catch (e) {
+      console.error('changePassphrase error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // --- multi-device sync ---
+  async _getRemoteRootFileId() {
+    const chat = await this._getChat();
+    return (chat && chat.description) ? chat.description.trim() : '';
+  }
+
+  // Three-way merge of a root written by another device into ours. The base is the
+  // root as of our last load/save; albums are matched by albumId, files by fullFileId.
+  // Returns { changes: { added, removed, updated }, needsSave }.
+  async _mergeRemoteRoot(remoteFileId) {
+    const { albums: remote, meta: remoteMeta, encryption } = await this._fetchRoot(remoteFileId);
+    // a passphrase changed on another device: take its key info unless ours changed too
+    if (JSON.stringify(this._encryption) === JSON.stringify(this._baseEncryption)) this._encryption = encryption;
+    this._baseEncryption = encryption;
+    const byId = list => new Map(list.map(a => [a.albumId, a]));
+    const baseMap = byId(this._baseRoot || []);
+    const localMap = byId(this.root);
+    const remoteMap = byId(remote);
+    const merged = [];
+    const mergedFiles = new Map(); // albumId -> files, for albums whose files had to be merged
+    for (const albumId of new Set([...localMap.keys(), ...remoteMap.keys()])) {
+      const b = baseMap.get(albumId);
+      const l = localMap.get(albumId);
+      const r = remoteMap.get(albumId);
+      const album = this._albums.get(albumId);
+      const dirty = !!(album && album._dirty);
+      if (l && r) {
+        const entry = TgAlbumsApp._mergeFields(b, l, r);
+        const localChanged = dirty || !b || l.albumFileId !== b.albumFileId;
+        const remoteChanged = !b || r.albumFileId !== b.albumFileId;
+        if (dirty || (l.albumFileId !== r.albumFileId && localChanged && remoteChanged)) {
+          const files = await this._mergeAlbumFiles(b, l, r, album);
+          entry.albumFileId = await this._putAlbumFiles(files, 'name'); // merged lists are sorted by name
+          entry.count = files.length;
+          this._withEncryptedFlag(entry);
+          mergedFiles.set(albumId, files);
+        }
+        merged.push(entry);
+      } else if (l) {
+        // new locally, or deleted remotely: a local edit since base wins over the remote delete
+        if (!b || l.albumFileId !== b.albumFileId || dirty) merged.push(l);
+      } else if (!b || r.albumFileId !== b.albumFileId) {
+        // new remotely, or deleted locally but edited remotely since
+        merged.push(r);
+      }
+    }
+    await this._mergeDuplicateTrash(merged, mergedFiles);
+    const mergedMeta = await this._mergeRootMeta(this._baseMeta, this.rootMeta, remoteMeta, !!encryption);
+
+    const changes = TgAlbumsApp._diffRoots(this.root, merged);
+    this.root = merged;
+    this.rootMeta = mergedMeta;
+    this._sortRoot();
+    this.rootFileId = remoteFileId;
+    this._baseRoot = TgAlbumsApp._clone(remote);
+    this._baseMeta = TgAlbumsApp._clone(remoteMeta);
+    this._syncAlbumInstances(mergedFiles);
+    const canon = list => JSON.stringify(list.slice().sort((x, y) => x.albumId.localeCompare(y.albumId)));
+    const canonMeta = meta => JSON.stringify(Object.keys(meta).sort().map(k => [k, meta[k]]));
+    const needsSave = canon(merged) !== canon(remote) || canonMeta(mergedMeta) !== canonMeta(remoteMeta) || this._hashIndexDirty;
+    return { changes, needsSave };
+  }
+
+  // library-level fields merge like album entry fields, except indexes that are unions and
+  // folders and shares, which merge one by one like albums
+  async _mergeRootMeta(base, local, remote, remoteEncrypted) {
+    const merged = TgAlbumsApp._mergeFields(base, local, remote);
+    const folders = TgAlbumsApp._mergeById(base.folders || [], local.folders || [], remote.folders || [], 'folderId');
+    if (folders.length) merged.folders = TgAlbumsApp._sortFolders(folders);
+    else delete merged.folders;
+    const shares = TgAlbumsApp._mergeById(base.shares || [], local.shares || [], remote.shares || [], 'shareId');
+    if (shares.length) merged.shares = TgAlbumsApp._sortShares(shares);
+    else delete merged.shares;
+    if (local.hashIndexFileId !== remote.hashIndexFileId) {
+      const localChanged = this._hashIndexDirty || local.hashIndexFileId !== base.hashIndexFileId;
+      if (localChanged && remote.hashIndexFileId) {
+        // both sides indexed new uploads: take the union, saved with the next root save
+        const index = await this._loadHashIndex();
+        const remoteIndex = await this._fetchJson(remote.hashIndexFileId, 'hashes.json', remoteEncrypted);
+        for (const [sha256, entry] of Object.entries(remoteIndex)) {
+          if (!index.has(sha256)) index.set(sha256, entry);
+        }
+        this._hashIndexDirty = true;
+      } else if (!localChanged) {
+        this._hashIndex = null; // reloaded from the remote index on next use
+      }
+      merged.hashIndexFileId = remote.hashIndexFileId || local.hashIndexFileId;
+    }
+    // history only grows when a root is written, so remote's already includes every root we saved
+    for (const k of ['savedAt', 'op', 'history']) {
+      if (remote[k] !== undefined) merged[k] = remote[k];
+      else delete merged[k];
+    }
+    return merged;
+  }
+
+  async _mergeAlbumFiles(b, l, r, album) {
+    const baseFiles = b ? await this._fetchAlbumFiles(b.albumFileId, b.name, b.encrypted) : [];
+    const localFiles = (album && album._loadedFileId === l.albumFileId)
+      ? album.files
+      : await this._fetchAlbumFiles(l.albumFileId, l.name, l.encrypted);
+    const remoteFiles = await this._fetchAlbumFiles(r.albumFileId, r.name, r.encrypted);
+    return TgAlbumsApp._mergeFileLists(baseFiles, localFiles, remoteFiles);
+  }
+
+  // two devices that both initialized an empty chat each create a Trash album; fold them into one
+  async _mergeDuplicateTrash(merged, mergedFiles) {
+    const trashes = merged.filter(a => a.name === 'Trash').sort((x, y) => x.albumId.localeCompare(y.albumId));
+    if (trashes.length < 2) return;
+    const [keep, ...extra] = trashes;
+    let files = mergedFiles.get(keep.albumId) || await this._fetchAlbumFiles(keep.albumFileId, keep.name, keep.encrypted);
+    for (const t of extra) {
+      const other = mergedFiles.get(t.albumId) || await this._fetchAlbumFiles(t.albumFileId, t.name, t.encrypted);
+      files = TgAlbumsApp._mergeFileLists([], files, other);
+      merged.splice(merged.indexOf(t), 1);
+    }
+    keep.albumFileId = await this._putAlbumFiles(files, 'name');
+    keep.count = files.length;
+    this._withEncryptedFlag(keep);
+    mergedFiles.set(keep.albumId, files);
+  }
+
+  // points canonical Album instances at the merged root
+  _syncAlbumInstances(mergedFiles) {
+    for (const [albumId, album] of this._albums) {
+      const entry = this.root.find(a => a.albumId === albumId);
+      if (!entry) {
+        this._albums.delete(albumId);
+        continue;
+      }
+      album._applyEntry(entry);
+      if (mergedFiles.has(albumId)) {
+        album._replaceFiles(entry, mergedFiles.get(albumId));
+      } else if (album.albumFileId !== entry.albumFileId) {
+        album.albumFileId = entry.albumFileId;
+        album.encrypted = entry.encrypted;
+        album._loaded = null; // reloaded on next use
+      }
+    }
+  }
+
+  // refresh: pulls remote root changes; returns { ok:true, changes: { added, removed, updated } } (albumIds)
+  async refresh() {
+    await this.ready();
+    try {
+      const changes = await this._mutate(async () => {
+        const remoteFileId = await this._getRemoteRootFileId();
+        if (!remoteFileId || remoteFileId === this.rootFileId) return { added: [], removed: [], updated: [] };
+        const res = await this._mergeRemoteRoot(remoteFileId);
+        if (res.needsSave) await this._saveRootCascade();
+        if (TgAlbumsApp._hasChanges(res.changes)) this._emit('remoteChanges', { changes: res.changes });
+        return res.changes;
+      }, 'refresh');
+      return { ok: true, changes };
+    } catch (e) {
+      console.error('refresh error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // startPolling: calls refresh() every intervalMs and onChange(changes) when albums changed remotely
+  startPolling(intervalMs = 30000, onChange = null) {
+    this.stopPolling();
+    const token = {};
+    this._polling = token;
+    const tick = async () => {
+      const res = await this.refresh();
+      if (this._polling !== token) return;
+      if (res.ok && onChange && TgAlbumsApp._hasChanges(res.changes)) {
+        try { onChange(res.changes); } catch (e) { console.warn('onChange callback failed:', e); }
+      }
+      this._pollTimer = setTimeout(tick, intervalMs);
+    };
+    this._pollTimer = setTimeout(tick, intervalMs);
+  }
+
+  stopPolling() {
+    if (this._pollTimer) clearTimeout(this._pollTimer);
+    this._pollTimer = null;
+    this._polling = null;
+  }
+
+  static _clone(value) { return JSON.parse(JSON.stringify(value)); }
+
+  static _hasChanges(changes) {
+    return !!(changes.added.length || changes.removed.length || changes.updated.length);
+  }
+
+  // field-wise three-way merge: a field changed locally since base wins, otherwise the remote value is taken
+  static _mergeFields(base, local, remote) {
+    const out = {};
+    for (const k of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+      const localChanged = !base || JSON.stringify(local[k]) !== JSON.stringify(base[k]);
+      const value = localChanged ? local[k] : remote[k];
+      if (value !== undefined) out[k] = value;
+    }
+    return out;
+  }
+
+  static _mergeFileLists(base, local, remote) {
+    return TgAlbumsApp._mergeById(base, local, remote, 'fullFileId').sort((x, y) => x.name.localeCompare(y.name));
+  }
+
+  // three-way merge of lists of objects identified by key; entries changed on both sides merge field by field
+  static _mergeById(base, local, remote, key) {
+    const byId = list => new Map(list.map(f => [f[key], f]));
+    const baseMap = byId(base);
+    const localMap = byId(local);
+    const remoteMap = byId(remote);
+    const out = [];
+    for (const id of new Set([...localMap.keys(), ...remoteMap.keys()])) {
+      const b = baseMap.get(id);
+      const l = localMap.get(id);
+      const r = remoteMap.get(id);
+      if (l && r) out.push(TgAlbumsApp._mergeFields(b, l, r));
+      else if (l && (!b || JSON.stringify(l) !== JSON.stringify(b))) out.push(l);
+      else if (r && (!b || JSON.stringify(r) !== JSON.stringify(b))) out.push(r);
+    }
+    return out;
+  }
+
+  static _diffRoots(before, after) {
+    const beforeMap = new Map(before.map(a => [a.albumId, a]));
+    const afterMap = new Map(after.map(a => [a.albumId, a]));
+    const changes = { added: [], removed: [], updated: [] };
+    for (const [albumId, a] of afterMap) {
+      const prev = beforeMap.get(albumId);
+      if (!prev) changes.added.push(albumId);
+      else if (JSON.stringify(prev) !== JSON.stringify(a)) changes.updated.push(albumId);
+    }
+    for (const albumId of beforeMap.keys()) {
+      if (!afterMap.has(albumId)) changes.removed.push(albumId);
+    }
+    return changes;
+  }
+
+  // --- Album API ---
+  // createAlbum returns Album instance and also { ok:true } is returned by side-effect methods
+  // options.folderId creates the album inside that folder (see createFolder); the name "Trash" is reserved
+  async createAlbum(name, options = {}) {
+    await this.ready();
+    try {
+      if (!name || typeof name !== 'string') throw new Error('Name required');
+      if (name === 'Trash') throw new Error('Name "Trash" is reserved');
+      if (options.folderId) this._requireFolder(options.folderId);
+      // duplicate names allowed, but albumId must be unique
+      return { ok: true, album: await this._createAlbum(name, TgAlbumsApp._makeAlbumId(), 'createAlbum', options.folderId) };
+    } catch (e) {
+      console.error('createAlbum error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async _createAlbum(name, albumId, op, parentId = null) {
+    const albumFileId = await this._putJson([]);
+    const albumEntry = this._withEncryptedFlag({ name, thumbFileId: null, albumFileId, albumId, count: 0 });
+    await this._mutate(async () => {
+      // the folder may have been deleted meanwhile, the album is then top-level
+      if (parentId && this._folders().some(f => f.folderId === parentId)) albumEntry.parentId = parentId;
+      this._addAlbumEntry(albumEntry);
+      await this._saveRootCascade();
+      this._emit('albumCreated', { albumId, album: this._albumFor(albumEntry) });
+    }, op);
+    return this._albumFor(albumEntry);
+  }
+
+  // adds a root entry without saving; with a manual order in place, new albums go last
+  _addAlbumEntry(albumEntry) {
+    const orders = this.root.filter(a => typeof a.order === 'number').map(a => a.order);
+    if (orders.length) albumEntry.order = Math.max(...orders) + 1;
+    this.root.push(albumEntry);
+    this._sortRoot();
+  }
+
+  // albums in Trash (deleted with deleteAlbum) are left out, see getTrashedAlbums
+  async getAlbums() {
+    await this.ready();
+    return this.root.filter(a => !a.trashedAt).map(a => this._albumFor(a));
+  }
+
+  async getTrashedAlbums() {
+    await this.ready();
+    return this.root.filter(a => a.trashedAt).map(a => this._albumFor(a));
+  }
+
+  // find by constant albumId; also finds an album in Trash (album.trashedAt is set)
+  async findAlbumById(albumId) {
+    await this.ready();
+    const entry = this.root.find(a => a.albumId === albumId);
+    return entry ? this._albumFor(entry) : null;
+  }
+
+  // returns array of albums matching name (duplicates allowed)
+  async findAlbumsByName(name) {
+    await this.ready();
+    const matches = this.root.filter(a => a.name === name && !a.trashedAt);
+    return matches.map(a => this._albumFor(a));
+  }
+
+  // reorderAlbums: albumIds in the desired order; albums not listed keep their relative
+  // order after them. An empty array drops the manual order (back to sorting by name).
+  async reorderAlbums(albumIds) {
+    await this.ready();
+    try {
+      if (!Array.isArray(albumIds)) throw new Error('albumIds must be an array');
+      await this._mutate(async () => {
+        for (const id of albumIds) {
+          if (!this.root.some(a => a.albumId === id)) throw new Error(`Album not found: ${id}`);
+        }
+        if (!albumIds.length) {
+          this.root = this.root.map(a => { const entry = Object.assign({}, a); delete entry.order; return entry; });
+        } else {
+          const listed = albumIds.map(id => this.root.find(a => a.albumId === id));
+          const rest = this.root.filter(a => !albumIds.includes(a.albumId));
+          this.root = listed.concat(rest).map((a, order) => Object.assign({}, a, { order }));
+        }
+        this._sortRoot();
+        await this._saveRootCascade();
+        this._emit('albumsReordered', { albumIds: this.root.map(a => a.albumId) });
+      }, 'reorderAlbums');
+      return { ok: true };
+    } catch (e) {
+      console.error('reorderAlbums error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // manual order (entry.order) first, then by name
+  _sortRoot() {
+    this.root.sort((x, y) => {
+      const ox = typeof x.order === 'number' ? x.order : Infinity;
+      const oy = typeof y.order === 'number' ? y.order : Infinity;
+      return ox !== oy ? ox - oy : x.name.localeCompare(y.name);
+    });
+  }
+
+  // --- folders ---
+  // Folders only organize albums: rootMeta.folders holds [{ folderId, name, parentId? }] (folders
+  // inside folders have a parentId) and an album entry's parentId names its folder. Entries without
+  // parentId are top-level, and so are those whose folder is gone or whose folder chain loops
+  // (possible after merging moves made on two devices; repair() cleans them up). Trash always is.
+
+  // getFolders: every folder, sorted by name. returns [{ folderId, name, parentId? }]
+  async getFolders() {
+    await this.ready();
+    return this._folders().map(f => Object.assign({}, f));
+  }
+
+  // listFolder: the folders and albums directly inside folderId (null for the top level);
+  // albums keep the order of getAlbums, trashed ones are left out.
+  // returns { ok:true, folder, path, folders, albums } where path is as in getFolderPath
+  async listFolder(folderId = null) {
+    await this.ready();
+    try {
+      const folder = folderId ? this._requireFolder(folderId) : null;
+      const id = folder ? folder.folderId : null;
+      return {
+        ok: true,
+        folder: folder && Object.assign({}, folder),
+        path: this._folderPath(id),
+        folders: this._folders().filter(f => this._effectiveParentId(f.parentId) === id).map(f => Object.assign({}, f)),
+        albums: this.root.filter(a => !a.trashedAt && this._albumParentId(a) === id).map(a => this._albumFor(a))
+      };
+    } catch (e) {
+      console.error('listFolder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // getFolderPath: breadcrumbs from the top level down to folderId, which is included.
+  // returns [{ folderId, name }]
+  async getFolderPath(folderId) {
+    await this.ready();
+    this._requireFolder(folderId);
+    return this._folderPath(folderId);
+  }
+
+  // getFolderSummary: totals over folderId and everything below it (null for the whole library).
+  // covers are the thumbnails of the first albums with one, for a folder tile (cover is covers[0]).
+  // Counts of albums saved before counts were recorded in root are read from their file lists.
+  // returns { ok:true, folders, albums, files, cover, covers }
+  async getFolderSummary(folderId = null, options = {}) {
+    await this.ready();
+    try {
+      const { maxCovers = 4 } = options;
+      const id = folderId ? this._requireFolder(folderId).folderId : null;
+      const within = parentId => {
+        for (let p = parentId; p; p = this._effectiveParentId(this._folders().find(f => f.folderId === p).parentId)) {
+          if (p === id) return true;
+        }
+        return id === null;
+      };
+      const folders = this._folders().filter(f => f.folderId !== id && within(this._effectiveParentId(f.parentId)));
+      const albums = this.root.filter(a => !a.trashedAt && a.name !== 'Trash' && within(this._albumParentId(a)));
+      let files = 0;
+      for (const entry of albums) {
+        if (typeof entry.count === 'number') { files += entry.count; continue; }
+        const album = this._albumFor(entry);
+        await album.ready();
+        files += album.files.length;
+      }
+      const covers = albums.map(a => a.thumbFileId).filter(Boolean).slice(0, maxCovers);
+      return { ok: true, folders: folders.length, albums: albums.length, files, cover: covers[0] || null, covers };
+    } catch (e) {
+      console.error('getFolderSummary error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // createFolder: parentId null creates a top-level folder. returns { ok:true, folder }
+  async createFolder(name, parentId = null) {
+    await this.ready();
+    try {
+      TgAlbumsApp._checkFolderName(name);
+      const folder = await this._mutate(async () => {
+        const folder = { folderId: TgAlbumsApp._makeFolderId(), name };
+        if (parentId) folder.parentId = this._requireFolder(parentId).folderId;
+        this._setFolders(this._folders().concat([folder]));
+        await this._saveRootCascade();
+        this._emit('folderCreated', { folderId: folder.folderId, folder });
+        return folder;
+      }, 'createFolder');
+      return { ok: true, folder: Object.assign({}, folder) };
+    } catch (e) {
+      console.error('createFolder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async renameFolder(folderId, name) {
+    await this.ready();
+    try {
+      TgAlbumsApp._checkFolderName(name);
+      await this._mutate(() => this._updateFolder(folderId, { name }), 'renameFolder');
+      return { ok: true };
+    } catch (e) {
+      console.error('renameFolder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // moveFolder: parentId null moves the folder to the top level; not into itself or a folder below it
+  async moveFolder(folderId, parentId = null) {
+    await this.ready();
+    try {
+      await this._mutate(() => {
+        if (parentId) {
+          this._requireFolder(parentId);
+          if (this._folderPath(parentId).some(f => f.folderId === folderId)) throw new Error('Cannot move a folder into itself');
+        }
+        return this._updateFolder(folderId, { parentId: parentId || undefined });
+      }, 'moveFolder');
+      return { ok: true };
+    } catch (e) {
+      console.error('moveFolder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // deleteFolder: the folder's albums and folders move up into its parent. With
+  // options.trashAlbums, every album below it goes to Trash instead and its subfolders are removed too.
+  async deleteFolder(folderId, options = {}) {
+    await this.ready();
+    try {
+      await this._mutate(async () => {
+        const folder = this._requireFolder(folderId);
+        const parentId = this._effectiveParentId(folder.parentId);
+        const removed = new Set([folder.folderId]);
+        if (options.trashAlbums) {
+          // subfolders in path order, so a folder's parent is marked before the folder itself
+          for (let grew = true; grew;) {
+            grew = false;
+            for (const f of this._folders()) {
+              if (!removed.has(f.folderId) && removed.has(this._effectiveParentId(f.parentId))) { removed.add(f.folderId); grew = true; }
+            }
+          }
+        }
+        const trashedAt = new Date().toISOString();
+        const trashed = [];
+        const moved = [];
+        this.root = this.root.map(entry => {
+          if (!removed.has(this._albumParentId(entry))) return entry;
+          const updated = Object.assign({}, entry);
+          if (options.trashAlbums) {
+            if (!updated.trashedAt) { updated.trashedAt = trashedAt; trashed.push(entry.albumId); }
+          } else {
+            if (parentId) updated.parentId = parentId; else delete updated.parentId;
+            moved.push(entry.albumId);
+          }
+          return updated;
+        });
+        this._setFolders(this._folders()
+          .filter(f => !removed.has(f.folderId))
+          .map(f => {
+            if (!removed.has(this._effectiveParentId(f.parentId))) return f;
+            const updated = Object.assign({}, f);
+            if (parentId) updated.parentId = parentId; else delete updated.parentId;
+            return updated;
+          }));
+        this._syncAlbumInstances(new Map());
+        await this._saveRootCascade();
+        for (const albumId of trashed) this._emit('albumDeleted', { albumId, permanent: false });
+        for (const albumId of moved) this._emit('albumUpdated', { albumId, changes: { parentId } });
+        for (const id of removed) this._emit('folderDeleted', { folderId: id });
+      }, 'deleteFolder');
+      return { ok: true };
+    } catch (e) {
+      console.error('deleteFolder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  _folders() {
+    return this.rootMeta.folders || [];
+  }
+
+  _setFolders(folders) {
+    if (folders.length) this.rootMeta.folders = TgAlbumsApp._sortFolders(folders);
+    else delete this.rootMeta.folders;
+  }
+
+  static _sortFolders(folders) {
+    return folders.slice().sort((x, y) => x.name.localeCompare(y.name) || x.folderId.localeCompare(y.folderId));
+  }
+
+  _requireFolder(folderId) {
+    const folder = this._folders().find(f => f.folderId === folderId);
+    if (!folder) throw new Error(`Folder not found: ${folderId}`);
+    return folder;
+  }
+
+  // runs inside _mutate
+  async _updateFolder(folderId, changes) {
+    const folder = this._requireFolder(folderId);
+    const updated = Object.assign({}, folder, changes);
+    if (!updated.parentId) delete updated.parentId;
+    this._setFolders(this._folders().map(f => f === folder ? updated : f));
+    await this._saveRootCascade();
+    this._emit('folderUpdated', { folderId, changes });
+  }
+
+  // parentId as it takes effect: null when the folder is missing or its chain of parents loops
+  _effectiveParentId(parentId) {
+    const seen = new Set();
+    for (let id = parentId; id;) {
+      if (seen.has(id)) return null;
+      seen.add(id);
+      const folder = this._folders().find(f => f.folderId === id);
+      if (!folder) return null;
+      id = folder.parentId;
+    }
+    return parentId || null;
+  }
+
+  _albumParentId(entry) {
+    return entry.name === 'Trash' ? null : this._effectiveParentId(entry.parentId);
+  }
+
+  // [{ folderId, name }] from the top level down to folderId; [] for null
+  _folderPath(folderId) {
+    const path = [];
+    for (let id = this._effectiveParentId(folderId); id;) {
+      const folder = this._folders().find(f => f.folderId === id);
+      path.unshift({ folderId: id, name: folder.name });
+      id = this._effectiveParentId(folder.parentId);
+    }
+    return path;
+  }
+
+  static _checkFolderName(name) {
+    if (!name || typeof name !== 'string') throw new Error('Name required');
+  }
+
+  static _makeFolderId() {
+    return 'f' + TgAlbumsApp._makeAlbumId().slice(1);
+  }
+
+  // --- Trash ---
+  async getTrash() {
+    await this.ready();
+    return this._trashAlbum();
+  }
+
+  _trashAlbum() {
+    const trashEntry = this.root.find(a => a.name === 'Trash');
+    if (!trashEntry) throw new Error('Trash album not found');
+    return this._albumFor(trashEntry);
+  }
+
+  // purgeTrash: permanently removes files and albums trashed more than olderThanDays ago
+  // (default trashRetentionDays). returns { ok:true, purged }
+  async purgeTrash(options = {}) {
+    await this.ready();
+    try {
+      const days = options.olderThanDays != null ? options.olderThanDays : this.trashRetentionDays;
+      if (!(days >= 0)) throw new Error('olderThanDays must be a number >= 0');
+      const purged = await this._mutate(() => this._purgeTrash(Date.now() - days * 86400000), 'purgeTrash');
+      return { ok: true, purged };
+    } catch (e) {
+      console.error('purgeTrash error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // emptyTrash: permanently removes everything in Trash, trashed albums included. returns { ok:true, purged }
+  async emptyTrash() {
+    await this.ready();
+    try {
+      const purged = await this._mutate(() => this._purgeTrash(Infinity), 'emptyTrash');
+      return { ok: true, purged };
+    } catch (e) {
+      console.error('emptyTrash error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // runs inside _mutate; removes Trash files and trashed albums (with their files) trashed before
+  // cutoff (ms timestamp), returns the number of files. Files trashed before trashedAt was recorded
+  // get the current time, starting their retention now.
+  async _purgeTrash(cutoff) {
+    const expired = this.root.filter(a => a.trashedAt && (cutoff === Infinity || Date.parse(a.trashedAt) < cutoff));
+    const purged = [];
+    for (const entry of expired) {
+      const album = this._albumFor(entry);
+      await album.ready();
+      purged.push(...album.files);
+    }
+    await this._forgetHashes(purged);
+    for (const entry of expired) this._albums.delete(entry.albumId);
+    if (expired.length) {
+      this.root = this.root.filter(a => !expired.includes(a));
+      await this._saveRootCascade();
+      for (const entry of expired) this._emit('albumDeleted', { albumId: entry.albumId, permanent: true });
+    }
+    return purged.length + await this._purgeTrashFiles(cutoff);
+  }
+
+  async _purgeTrashFiles(cutoff) {
+    const trash = this._trashAlbum();
+    await trash.ready();
+    const now = new Date().toISOString();
+    let changed = false;
+    const kept = [];
+    const purged = [];
+    for (const f of trash.files) {
+      if (!f.trashedAt && cutoff !== Infinity) {
+        f.trashedAt = now;
+        changed = true;
+      }
+      if (cutoff === Infinity || Date.parse(f.trashedAt) < cutoff) purged.push(f);
+      else kept.push(f);
+    }
+    if (!purged.length && !changed) return 0;
+    await this._forgetHashes(purged);
+    trash.files = kept;
+    await trash._saveAlbumCascade();
+    if (purged.length) this._emit('filesRemoved', { albumId: trash.albumId, files: purged, permanent: true });
+    return purged.length;
+  }
+
+  // moves every album except Trash to Trash, see Album.deleteAlbum
+  async deleteAllAlbums() {
+    await this.ready();
+    try {
+      await this._mutate(async () => {
+        const trashedAt = new Date().toISOString();
+        const trashed = [];
+        for (const entry of this.root) {
+          if (entry.name === 'Trash' || entry.trashedAt) continue;
+          entry.trashedAt = trashedAt;
+          trashed.push(entry.albumId);
+          const album = this._albums.get(entry.albumId);
+          if (album) album._applyEntry(entry);
+        }
+        await this._saveRootCascade();
+        for (const albumId of trashed) this._emit('albumDeleted', { albumId, permanent: false });
+      }, 'deleteAllAlbums');
+      return { ok: true };
+    } catch (e) {
+      console.error('deleteAllAlbums error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // --- export / import ---
+  // Archives hold the originals in one folder per album plus tg-albums.json, a manifest with
+  // album names, albumIds, descriptions, sort orders, covers, folder paths and per-file metadata
+  // (including captions, tags, favorites and ratings, restored on import).
+
+  // exportLibrary: every album except Trash (and trashed albums unless options.includeTrash).
+  // options: { includeTrash, onProgress, signal }; progress events { type: 'file', album, name, completed, total }
+  // returns { ok:true, blob, warnings? } where blob is the ZIP archive
+  async exportLibrary(options = {}) {
+    await this.ready();
+    const albums = this.root
+      .filter(a => a.name !== 'Trash' && (options.includeTrash || !a.trashedAt))
+      .map(a => this._albumFor(a));
+    return this._exportAlbums(albums, options);
+  }
+
+  async _exportAlbums(albums, options = {}) {
+    const { onProgress = null, signal = null } = options;
+    try {
+      const warnings = [];
+      const manifest = { format: 'tg-albums', version: 1, exportedAt: new Date().toISOString(), albums: [] };
+      const zipEntries = [];
+      const folders = new Set();
+      for (const album of albums) await album.ready();
+      const total = albums.reduce((n, a) => n + a.files.length, 0);
+      let completed = 0;
+      for (const album of albums) {
+        const folder = TgAlbumsApp._uniqueName(TgAlbumsApp._safeFileName(album.name) || 'album', folders);
+        const names = new Set();
+        const out = {
+          albumId: album.albumId, name: album.name, folder, description: album.description, sort: album.sort, cover: null, files: []
+        };
+        if (album.trashedAt) out.trashedAt = album.trashedAt;
+        const path = this._folderPath(album.parentId).map(f => f.name);
+        if (path.length) out.path = path;
+        for (const f of album.files.slice()) {
+          if (signal && signal.aborted) throw signal.reason || new DOMException('Export aborted', 'AbortError');
+          const path = `${folder}/${TgAlbumsApp._uniqueName(TgAlbumsApp._safeFileName(f.name) || 'file', names)}`;
+          try {
+            const blob = await this._downloader.getOriginal(f);
+            zipEntries.push({ name: path, blob, date: (f.meta && f.meta.takenAt) || f.addedAt });
+            const entry = Object.assign({ path }, f);
+            for (const k of ['fullFileId', 'thumbFileId', 'screenFileId', 'thumbMime', 'screenMime', 'originalAlbumIds', 'parts', 'encrypted']) delete entry[k];
+            out.files.push(entry);
+            if (f.fullFileId === album.coverFullFileId) out.cover = path;
+          } catch (e) {
+            const msg = `Could not export "${f.name}" from album "${album.name}": ${e.message || e}`;
+            console.warn(msg);
+            warnings.push(msg);
+          }
+          completed++;
+          if (onProgress) {
+            try { onProgress({ type: 'file', album: album.name, name: f.name, completed, total }); } catch (e) { console.warn('onProgress callback failed:', e); }
+          }
+        }
+        manifest.albums.push(out);
+      }
+      zipEntries.unshift({ name: 'tg-albums.json', blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }) });
+      const result = { ok: true, blob: await TgZip.write(zipEntries) };
+      if (warnings.length) result.warnings = warnings;
+      return result;
+    } catch (e) {
+      console.error('export error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // importZip: recreates albums from an exported archive, or from a plain ZIP with one folder per
+  // album (files outside any folder go to options.albumName, default 'Imported'). Albums named
+  // "Trash" are imported as "Trash (imported)".
+  // An exported album whose albumId is still in the library is imported into that album; new albums
+  // go into their folder path, reusing folders with the same names and creating the rest. New albums
+  // that were in Trash when exported (exportLibrary includeTrash) go back to Trash with their trashedAt.
+  // options:
+  //   dedup       - as in addFilesIter; default 'link', so files already in the library are linked, not uploaded
+  //   concurrency, signal - passed to addFiles
+  //   onProgress  - addFiles events, with album (name) and albumId added
+  // returns { ok, albums: [albumId], added, warnings?, errors?, aborted? }
+  async importZip(zipBlob, options = {}) {
+    await this.ready();
+    const { dedup = 'link', concurrency, signal = null, onProgress = null } = options;
+    const result = { ok: true, albums: [], added: 0 };
+    const warnings = [];
+    const errors = [];
+    try {
+      const zipEntries = await TgZip.read(zipBlob);
+      const byPath = new Map(zipEntries.filter(e => !e.directory).map(e => [e.name, e]));
+      const manifestEntry = byPath.get('tg-albums.json');
+      const plan = manifestEntry
+        ? TgAlbumsApp._planFromManifest(JSON.parse(await (await manifestEntry.blob()).text()))
+        : TgAlbumsApp._planFromFolders(Array.from(byPath.keys()), options.albumName || 'Imported');
+      for (const planned of plan) {
+        if (signal && signal.aborted) { result.aborted = true; break; }
+        const existing = planned.albumId && this.root.find(a => a.albumId === planned.albumId && !a.trashedAt);
+        const created = !existing;
+        const parentId = !existing && planned.path && planned.path.length ? await this._ensureFolderPath(planned.path) : null;
+        const album = existing
+          ? this._albumFor(existing)
+          : await this._createAlbum(planned.name, planned.albumId && !this.root.some(a => a.albumId === planned.albumId) ? planned.albumId : TgAlbumsApp._makeAlbumId(), 'importZip', parentId);
+        await album.ready();
+        result.albums.push(album.albumId);
+        const items = [];
+        for (const file of planned.files) {
+          const zipEntry = byPath.get(file.path);
+          if (!zipEntry) { warnings.push(`Missing in archive: ${file.path}`); continue; }
+          items.push([await zipEntry.blob(), file.name, file.mime || TgAlbumsApp._mimeFromName(file.name)]);
+        }
+        const res = await album.addFiles(items, {
+          dedup, concurrency, signal,
+          onProgress: onProgress && (ev => onProgress(Object.assign({ album: album.name, albumId: album.albumId }, ev)))
+        });
+        result.added += res.added;
+        if (res.warnings) warnings.push(...res.warnings);
+        if (res.errors) errors.push(...res.errors);
+        if (res.aborted) { result.aborted = true; break; }
+        if (planned.files.some(f => f.metadata)) await this._importMetadata(album, planned.files, warnings);
+        if (created && (planned.description || (planned.sort && planned.sort !== 'name'))) {
+          await this._mutate(() => this._updateAlbumDescriptorByAlbumId(album.albumId, {
+            description: planned.description || '', sort: planned.sort || 'name'
+          }), 'importZip');
+          album._applyEntry(this.root.find(a => a.albumId === album.albumId));
+          album._sortFiles();
+        }
+        const cover = planned.cover && planned.files.find(f => f.path === planned.cover);
+        const coverEntry = cover && album.files.find(f => cover.sha256 ? f.sha256 === cover.sha256 : f.name === cover.name);
+        if (created && coverEntry) await album.setCover(coverEntry.fullFileId);
+        // last, since albums in Trash can't be changed
+        if (created && planned.trashedAt) {
+          await this._mutate(async () => {
+            await this._updateAlbumDescriptorByAlbumId(album.albumId, { trashedAt: planned.trashedAt });
+            album._applyEntry(this.root.find(a => a.albumId === album.albumId));
+            this._emit('albumDeleted', { albumId: album.albumId, permanent: false });
+          }, 'importZip');
+        }
+      }
+    } catch (e) {
+      console.error('importZip error:', e);
+      errors.push(String(e));
+    }
+    if (warnings.length) result.warnings = warnings;
+    if (errors.length) { result.ok = false; result.errors = errors; }
+    return result;
+  }
+
+  // [{ albumId?, name, description?, sort?, cover?, path?, trashedAt?, files: [{ path, name, mime?, sha256?, metadata? }] }]
+  // where metadata holds the changes for Album.setFileMetadata and path the folder names, top level first
+  static _planFromManifest(manifest) {
+    if (!manifest || manifest.format !== 'tg-albums' || !Array.isArray(manifest.albums)) throw new Error('Not a tg-albums manifest');
+    return manifest.albums.map(a => ({
+      albumId: a.albumId, name: TgAlbumsApp._importedAlbumName(a.name), description: a.description, sort: a.sort, cover: a.cover,
+      path: Array.isArray(a.path) ? a.path.filter(n => n && typeof n === 'string') : undefined,
+      trashedAt: typeof a.trashedAt === 'string' && !isNaN(Date.parse(a.trashedAt)) ? a.trashedAt : undefined,
+      files: (a.files || []).map(f => {
+        const file = { path: f.path, name: f.name, mime: f.mime, sha256: f.sha256 };
+        const metadata = {};
+        for (const k of ['caption', 'tags', 'favorite', 'rating']) if (f[k] !== undefined) metadata[k] = f[k];
+        if (Object.keys(metadata).length) file.metadata = metadata;
+        return file;
+      })
+    }));
+  }
+
+  // folderId of the folder at names (top level first), creating the missing ones
+  async _ensureFolderPath(names) {
+    return this._mutate(async () => {
+      let parentId = null;
+      const created = [];
+      for (const name of names) {
+        let folder = this._folders().find(f => f.name === name && this._effectiveParentId(f.parentId) === parentId);
+        if (!folder) {
+          folder = { folderId: TgAlbumsApp._makeFolderId(), name };
+          if (parentId) folder.parentId = parentId;
+          this._setFolders(this._folders().concat([folder]));
+          created.push(folder);
+        }
+        parentId = folder.folderId;
+      }
+      if (created.length) {
+        await this._saveRootCascade();
+        for (const folder of created) this._emit('folderCreated', { folderId: folder.folderId, folder });
+      }
+      return parentId;
+    }, 'importZip');
+  }
+
+  // applies captions, tags, favorites and ratings from the manifest to the imported files that
+  // don't have metadata of their own yet; invalid values are reported as warnings
+  async _importMetadata(album, plannedFiles, warnings) {
+    await this._mutate(async () => {
+      const updated = [];
+      for (const file of plannedFiles) {
+        if (!file.metadata) continue;
+        const entry = album.files.find(f => file.sha256 ? f.sha256 === file.sha256 : f.name === file.name);
+        if (!entry || ['caption', 'tags', 'favorite', 'rating'].some(k => entry[k] !== undefined)) continue;
+        try {
+          Album._applyMetadata({}, file.metadata); // validates without touching entry
+          if (Album._applyMetadata(entry, file.metadata)) updated.push(entry);
+        } catch (e) {
+          warnings.push(`Metadata of ${file.path} ignored: ${e.message}`);
+        }
+      }
+      if (updated.length) {
+        await album._saveAlbumCascade();
+        for (const entry of updated) this._emit('fileUpdated', { albumId: album.albumId, file: entry });
+      }
+    }, 'importZip');
+  }
+
+  static _planFromFolders(paths, rootAlbumName) {
+    const albums = new Map();
+    for (const path of paths) {
+      const parts = path.split('/');
+      const name = parts[parts.length - 1];
+      // skip macOS resource forks and hidden files
+      if (parts[0] === '__MACOSX' || name.startsWith('.')) continue;
+      const albumName = TgAlbumsApp._importedAlbumName(parts.length > 1 ? parts[0] : rootAlbumName);
+      if (!albums.has(albumName)) albums.set(albumName, { name: albumName, files: [] });
+      albums.get(albumName).files.push({ path, name });
+    }
+    return Array.from(albums.values());
+  }
+
+  // a "Trash" folder or album in an archive would pass for the library's own Trash
+  static _importedAlbumName(name) {
+    return name === 'Trash' ? 'Trash (imported)' : name;
+  }
+
+  static _mimeFromName(name) {
+    const ext = (name.match(/\.([^.]+)$/) || [])[1];
+    const types = {
+      jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif',
+      heic: 'image/heic', heif: 'image/heif', bmp: 'image/bmp', tif: 'image/tiff', tiff: 'image/tiff',
+      mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', mkv: 'video/x-matroska',
+      avi: 'video/x-msvideo', '3gp': 'video/3gpp'
+    };
+    return (ext && types[ext.toLowerCase()]) || '';
+  }
+
+  static _safeFileName(name) {
+    return String(name).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+  }
+
+  // name, or name (2), name (3)... if taken; the result is added to taken
+  static _uniqueName(name, taken) {
+    const dot = name.lastIndexOf('.');
+    const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let candidate = name;
+    for (let i = 2; taken.has(candidate.toLowerCase()); i++) candidate = `${base} (${i})${ext}`;
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  // --- sharing ---
+  // A share is a read-only snapshot of one album: a manifest with the album's name, description,
+  // sort and cover and its file entries (thumbs, screens and, unless options.originals is false,
+  // originals), opened with TgAlbumsViewer. Shares are published through options.shareService, a
+  // bot of their own: every shared file is downloaded with the library's bot and uploaded again with
+  // the share bot, so viewers only ever get the share bot's token and file IDs. Nothing they hold
+  // reaches the library chat, its root or any other album. In an encrypted library the shared files
+  // are encrypted with a key of the share's own, which travels in the token.
+  //
+  // publishAlbum makes a one-off snapshot. shareAlbum keeps one up to date: it is published again
+  // after every change to the album and listed in a directory file that the description of
+  // options.chatId points to (a chat of the share bot's, whose members' viewers read it).
+  // revokeShare stops the updates and takes the share out of the directory; snapshots already
+  // published stay readable to whoever kept their file IDs. Moving an album to Trash, purging it or
+  // rolling back to a root without it revokes its shares the same way.
+
+  // publishAlbum: options.originals (default true). returns { ok:true, token, fileId } where fileId is the manifest
+  async publishAlbum(target, options = {}) {
+    await this.ready();
+    try {
+      const service = this._requireShareService();
+      const album = this._resolveAlbum(target);
+      const snapshot = { originals: options.originals !== false };
+      if (this._key) snapshot.key = TgAlbumsApp._makeShareKey();
+      const fileId = await this._mutate(() => this._publishSnapshot(album, snapshot), 'publishAlbum');
+      return { ok: true, fileId, token: TgAlbumsApp._encodeShareToken({ m: fileId, b: TgAlbumsApp._botId(service.botToken), k: snapshot.key }) };
+    } catch (e) {
+      console.error('publishAlbum error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // shareAlbum: options { chatId (default shareService.chatId), originals (default true) }; the share
+  // bot must be able to edit chatId's description. returns { ok:true, share, token }, share as in getShares
+  async shareAlbum(target, options = {}) {
+    await this.ready();
+    try {
+      const service = this._requireShareService();
+      const chatId = options.chatId != null && options.chatId !== '' ? options.chatId : service.chatId;
+      if (chatId == null || chatId === '') throw new Error('chatId required');
+      if (String(chatId) === String(this.chatId)) throw new Error('Shares need a chat of their own, not the library chat');
+      const album = this._resolveAlbum(target);
+      const share = {
+        shareId: TgAlbumsApp._makeShareId(), albumId: album.albumId, chatId, bot: TgAlbumsApp._botId(service.botToken),
+        originals: options.originals !== false, createdAt: new Date().toISOString()
+      };
+      if (this._key) share.key = TgAlbumsApp._makeShareKey();
+      await this._mutate(async () => {
+        await this._publishShare(share);
+        this._setShares(this._shares().concat([share]));
+        await this._saveRootCascade();
+        this._emit('shareCreated', { shareId: share.shareId, albumId: share.albumId, share: TgAlbumsApp._shareInfo(share) });
+      }, 'shareAlbum');
+      const info = TgAlbumsApp._shareInfo(share);
+      return { ok: true, share: info, token: info.token };
+    } catch (e) {
+      console.error('shareAlbum error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // getShares: live shares, oldest first; options.albumId limits them to one album. Shares of albums
+  // in Trash or gone are left out (they are being revoked).
+  // returns [{ shareId, albumId, chatId, bot (the share bot's ID), originals, createdAt, token }]
+  async getShares(options = {}) {
+    await this.ready();
+    return this._shares()
+      .filter(s => (!options.albumId || s.albumId === options.albumId) && !this._shareAlbumGone(s))
+      .map(s => TgAlbumsApp._shareInfo(s));
+  }
+
+  // updateShare: publishes the share again now; changes made here do that by themselves,
+  // this is for changes that came from devices without the share
+  async updateShare(shareId) {
+    await this.ready();
+    try {
+      await this._mutate(async () => {
+        const share = this._requireShare(shareId);
+        await this._publishShare(share);
+        this._emit('shareUpdated', { shareId, albumId: share.albumId });
+      }, 'updateShare');
+      return { ok: true };
+    } catch (e) {
+      console.error('updateShare error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // revokeShare: returns { ok:true, warnings? }; the share is revoked even if its chat can't be
+  // reached, viewers then keep seeing its last snapshot (reported as a warning)
+  async revokeShare(shareId) {
+    await this.ready();
+    try {
+      const warnings = await this._mutate(() => this._revokeShare(this._requireShare(shareId)), 'revokeShare');
+      return warnings.length ? { ok: true, warnings } : { ok: true };
+    } catch (e) {
+      console.error('revokeShare error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // sendAlbumToChat: posts an album's screen renditions (the thumb where there is none) to chatId as
+  // media groups of up to 10 photos captioned with the files' captions; the first one also carries
+  // the album name. options.fullIds limits it to those files.
+  // returns { ok:true, sent, messageIds, warnings? }
+  async sendAlbumToChat(target, chatId, options = {}) {
+    await this.ready();
+    try {
+      if (chatId == null || chatId === '') throw new Error('chatId required');
+      const album = this._resolveAlbum(target);
+      await album.ready();
+      const wanted = options.fullIds && new Set(options.fullIds);
+      const files = album.files.filter(f => !wanted || wanted.has(f.fullFileId));
+      const warnings = [];
+      const messageIds = [];
+      let sent = 0;
+      for (let i = 0; i < files.length; i += 10) {
+        const photos = [];
+        for (const f of files.slice(i, i + 10)) {
+          const fileId = f.screenFileId || f.thumbFileId;
+          if (!fileId) { warnings.push(`"${f.name}" has no rendition to send`); continue; }
+          try {
+            const mime = f.screenFileId ? f.screenMime : f.thumbMime;
+            photos.push({ blob: await this._downloader.getBlob(fileId, `screen_${f.name}`, mime || 'image/jpeg', f.encrypted), caption: f.caption || '' });
+          } catch (e) {
+            const msg = `Could not send "${f.name}": ${e.message || e}`;
+            console.warn(msg);
+            warnings.push(msg);
+          }
+        }
+        if (!photos.length) continue;
+        if (!sent) photos[0].caption = photos[0].caption ? `${album.name}\n${photos[0].caption}` : album.name;
+        messageIds.push(...await this._sendPhotos(chatId, photos));
+        sent += photos.length;
+      }
+      const result = { ok: true, sent, messageIds };
+      if (warnings.length) result.warnings = warnings;
+      return result;
+    } catch (e) {
+      console.error('sendAlbumToChat error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // one sendPhoto, or a sendMediaGroup for 2 to 10 photos; returns the message IDs
+  async _sendPhotos(chatId, photos) {
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    // Telegram's caption limit
+    const caption = text => text.slice(0, 1024);
+    if (photos.length === 1) {
+      form.append('photo', photos[0].blob, 'photo');
+      if (photos[0].caption) form.append('caption', caption(photos[0].caption));
+      return [(await this._callTelegram('sendPhoto', form)).message_id];
+    }
+    const media = photos.map((p, i) => {
+      form.append(`photo${i}`, p.blob, `photo${i}`);
+      const item = { type: 'photo', media: `attach://photo${i}` };
+      if (p.caption) item.caption = caption(p.caption);
+      return item;
+    });
+    form.append('media', JSON.stringify(media));
+    return (await this._callTelegram('sendMediaGroup', form)).map(m => m.message_id);
+  }
+
+  // publishes share's album again and points the directory in its chat at the new manifest
+  async _publishShare(share) {
+    const service = this._requireShareService(share);
+    const transport = service.transport || this.transport;
+    const directory = await TgAlbumsApp._fetchShareDirectory(service, transport, share.chatId);
+    const previousId = directory.shares[share.shareId];
+    let previous = null;
+    if (previousId) {
+      try {
+        previous = await this._fetchSharedJson(previousId, share.key);
+      } catch (e) {
+        console.warn(`Previous snapshot of share ${share.shareId} is unreadable, uploading every file again:`, e);
+      }
+    }
+    const fileId = await this._publishSnapshot(this._resolveAlbum(share.albumId), share, previous);
+    // read again right before writing, so shares published meanwhile from other devices are kept
+    const latest = await TgAlbumsApp._fetchShareDirectory(service, transport, share.chatId);
+    latest.shares[share.shareId] = fileId;
+    await this._saveShareDirectory(service, share.chatId, latest);
+    return fileId;
+  }
+
+  // uploads the manifest of album as it is now through the share bot and returns its file ID. Every
+  // file is uploaded again (encrypted with snapshot.key if there is one), except those the previous
+  // manifest already did; the manifest remembers them by a hash of the library's file ID, never the ID
+  async _publishSnapshot(album, snapshot, previous = null) {
+    await album.ready();
+    if (this._key && !snapshot.key) throw new Error('The share was created before the library was encrypted; revoke it and share the album again');
+    const key = snapshot.key ? await TgCrypto._importDataKey(TgCrypto.fromBase64(snapshot.key)) : null;
+    const uploads = new Map((previous && previous.uploads) || []); // hash of library file ID -> shared file ID
+    const remap = async (fileId, name, mime, encrypted) => {
+      if (!fileId) return null;
+      const hash = await TgAlbumsApp._sha256(new Blob([fileId]));
+      if (!uploads.has(hash)) {
+        const blob = await this._downloader.getBlob(fileId, name, mime, encrypted);
+        uploads.set(hash, await this._putSharedBlob(blob, key));
+      }
+      return uploads.get(hash);
+    };
+    const files = [];
+    for (const f of album.files.slice()) {
+      const file = Object.assign({}, f);
+      delete file.originalAlbumIds;
+      if (key) file.encrypted = true; // with the share's key
+      else delete file.encrypted;
+      file.thumbFileId = await remap(f.thumbFileId, `thumb_${f.name}`, f.thumbMime, f.encrypted);
+      file.screenFileId = await remap(f.screenFileId, `screen_${f.name}`, f.screenMime, f.encrypted);
+      if (!snapshot.originals) {
+        delete file.fullFileId;
+        delete file.parts;
+      } else if (f.parts) {
+        file.parts = [];
+        for (const [i, part] of f.parts.entries()) {
+          file.parts.push(Object.assign({}, part, { fileId: await remap(part.fileId, `${f.name}.part${i + 1}`, 'application/octet-stream', f.encrypted) }));
+        }
+        file.fullFileId = file.parts[0].fileId;
+      } else {
+        file.fullFileId = await remap(f.fullFileId, f.name, f.mime, f.encrypted);
+      }
+      files.push(file);
+    }
+    const cover = album.files.find(f => f.thumbFileId === album.thumbFileId);
+    const manifest = {
+      format: 'tg-albums-share', version: 1, publishedAt: new Date().toISOString(),
+      album: {
+        name: album.name, description: album.description, sort: album.sort,
+        thumbFileId: await remap(album.thumbFileId, `thumb_${album.name}`, cover && cover.thumbMime, cover && cover.encrypted)
+      },
+      files
+    };
+    manifest.uploads = Array.from(uploads);
+    return this._putSharedBlob(new Blob([JSON.stringify(manifest)], { type: 'application/json' }), key);
+  }
+
+  async _putSharedBlob(blob, key) {
+    if (!key) return this.shareService.putFile(blob);
+    const sealed = await TgCrypto.encrypt(key, new Uint8Array(await blob.arrayBuffer()));
+    return this.shareService.putFile(new Blob([sealed], { type: 'application/octet-stream' }));
+  }
+
+  // a snapshot of a share, read through the share bot with the share's key if it has one (not
+  // through the cache, which holds the library bot's files)
+  async _fetchSharedJson(fileId, shareKey) {
+    const res = await this.shareService.getFile(fileId, 'share.json', 'application/json');
+    if (!shareKey) return JSON.parse(await res.blob.text());
+    const key = await TgCrypto._importDataKey(TgCrypto.fromBase64(shareKey));
+    return JSON.parse(new TextDecoder().decode(await TgCrypto.decrypt(key, new Uint8Array(await res.blob.arrayBuffer()))));
+  }
+
+  // the shares published in chatId: { format: 'tg-albums-shares', version: 1, shares: { shareId: manifest file ID } },
+  // stored in a file the chat's description points to, the way the library's chat points to its root
+  static async _fetchShareDirectory(service, transport, chatId) {
+    const chat = await transport.call(service.botToken, 'getChat', { chat_id: chatId });
+    const fileId = (chat && chat.description) ? chat.description.trim() : '';
+    const directory = { format: 'tg-albums-shares', version: 1, shares: {} };
+    if (!fileId) return directory;
+    const res = await service.getFile(fileId, 'shares.json', 'application/json');
+    let parsed = null;
+    try { parsed = JSON.parse(await res.blob.text()); } catch (e) { /* reported below */ }
+    if (!parsed || parsed.format !== directory.format || !parsed.shares) throw new Error(`The description of chat ${chatId} does not point to shares`);
+    return parsed;
+  }
+
+  async _saveShareDirectory(service, chatId, directory) {
+    const fileId = await service.putFile(new Blob([JSON.stringify(directory)], { type: 'application/json' }));
+    await (service.transport || this.transport).call(service.botToken, 'setChatDescription', { chat_id: chatId, description: fileId });
+  }
+
+  // shareService, checked to be a bot other than the library's and, for share, the bot that published it
+  _requireShareService(share = null) {
+    const service = this.shareService;
+    if (!service) throw new Error('Sharing needs options.shareService, a bot of its own');
+    const bot = TgAlbumsApp._botId(service.botToken);
+    if (bot === TgAlbumsApp._botId(this.botToken)) throw new Error('options.shareService must use a bot other than the library\'s');
+    if (share && share.bot !== bot) throw new Error(`Share ${share.shareId} was published by another bot than options.shareService's`);
+    return service;
+  }
+
+  // the bot's ID, the part of its token before the colon; not a secret
+  static _botId(botToken) {
+    return String(botToken).split(':')[0];
+  }
+
+  // runs inside _mutate; returns warnings
+  async _revokeShare(share) {
+    this._setShares(this._shares().filter(s => s.shareId !== share.shareId));
+    await this._saveRootCascade();
+    const warnings = [];
+    try {
+      const service = this._requireShareService(share);
+      const directory = await TgAlbumsApp._fetchShareDirectory(service, service.transport || this.transport, share.chatId);
+      if (directory.shares[share.shareId]) {
+        delete directory.shares[share.shareId];
+        await this._saveShareDirectory(service, share.chatId, directory);
+      }
+    } catch (e) {
+      const msg = `Could not remove share ${share.shareId} from chat ${share.chatId}: ${e.message || e}`;
+      console.warn(msg);
+      warnings.push(msg);
+    }
+    this._emit('shareRevoked', { shareId: share.shareId, albumId: share.albumId });
+    return warnings;
+  }
+
+  // the share's album is in Trash or no longer in root
+  _shareAlbumGone(share) {
+    const entry = this.root.find(a => a.albumId === share.albumId);
+    return !entry || !!entry.trashedAt;
+  }
+
+  // changes saved here publish the album's shares again, once per share however many events a change
+  // emits; shares of albums that went to Trash or are gone are revoked instead
+  _queueShareUpdates(type, albumId) {
+    const types = ['filesAdded', 'filesRemoved', 'fileUpdated', 'fileTrashed', 'fileRestored', 'albumUpdated', 'albumDeleted', 'rolledBack'];
+    if (!types.includes(type)) return;
+    for (const share of this._shares()) {
+      if ((type !== 'rolledBack' && share.albumId !== albumId) || this._pendingShares.has(share.shareId)) continue;
+      this._pendingShares.add(share.shareId);
+      const revoke = this._shareAlbumGone(share);
+      this._mutate(async () => {
+        this._pendingShares.delete(share.shareId);
+        const current = this._shares().find(s => s.shareId === share.shareId);
+        if (!current) return; // revoked meanwhile
+        if (this._shareAlbumGone(current)) {
+          await this._revokeShare(current);
+          return;
+        }
+        await this._publishShare(current);
+        this._emit('shareUpdated', { shareId: current.shareId, albumId: current.albumId });
+      }, revoke ? 'revokeShare' : 'updateShare').catch(e => console.warn(`Could not update share ${share.shareId}:`, e));
+    }
+  }
+
+  _shares() {
+    return this.rootMeta.shares || [];
+  }
+
+  _setShares(shares) {
+    if (shares.length) this.rootMeta.shares = TgAlbumsApp._sortShares(shares);
+    else delete this.rootMeta.shares;
+  }
+
+  static _sortShares(shares) {
+    return shares.slice().sort((x, y) => x.createdAt.localeCompare(y.createdAt) || x.shareId.localeCompare(y.shareId));
+  }
+
+  _requireShare(shareId) {
+    const share = this._shares().find(s => s.shareId === shareId);
+    if (!share) throw new Error(`Share not found: ${shareId}`);
+    return share;
+  }
+
+  // the share as getShares returns it: the key only goes out inside the token
+  static _shareInfo(share) {
+    const info = Object.assign({}, share);
+    delete info.key;
+    info.token = TgAlbumsApp._encodeShareToken({ c: share.chatId, s: share.shareId, b: share.bot, k: share.key });
+    return info;
+  }
+
+  // tokens are base64url JSON: { m } for a snapshot's manifest or { c, s } for a share's chat and
+  // shareId, plus b, the share bot's ID, and k, the key of shares of encrypted libraries. A bare
+  // manifest file ID works too.
+  static _encodeShareToken(fields) {
+    return TgCrypto.toBase64(new TextEncoder().encode(JSON.stringify(fields)))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static _decodeShareToken(token) {
+    if (!token || typeof token !== 'string') throw new Error('Share token required');
+    try {
+      const b64 = token.replace(/-/g, '+').replace(/_/g, '/');
+      const fields = JSON.parse(new TextDecoder().decode(TgCrypto.fromBase64(b64 + '='.repeat((4 - b64.length % 4) % 4))));
+      if (fields && (fields.m || (fields.c != null && fields.s))) return fields;
+    } catch (e) {
+      // not an encoded token
+    }
+    return { m: token };
+  }
+
+  static _makeShareKey() {
+    return TgCrypto.toBase64(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  static _makeShareId() {
+    return 's' + TgAlbumsApp._makeAlbumId().slice(1);
+  }
+
+  async _updateAlbumDescriptorByFileId(oldAlbumFileId, changes) {
+    const idx = this.root.findIndex(a => a.albumFileId === oldAlbumFileId);
+    if (idx === -1) throw new Error('Album not found in root');
+    this.root[idx] = Object.assign({}, this.root[idx], changes);
+    this._sortRoot();
+    await this._saveRootCascade();
+  }
+
+  async _updateAlbumDescriptorByAlbumId(albumId, changes) {
+    const idx = this.root.findIndex(a => a.albumId === albumId);
+    if (idx === -1) throw new Error('Album not found in root');
+    this.root[idx] = Object.assign({}, this.root[idx], changes);
+    if (changes.albumFileId) this._withEncryptedFlag(this.root[idx]); // a file list just uploaded
+    this._sortRoot();
+    await this._saveRootCascade();
+  }
+}
+
+// --- Album class ---
+class Album {
+  constructor(service, albumFileId, name, app, thumbFileId = null, albumId = null) {
+    this.service = service;
+    this.app = app; // reference to TgAlbumsApp
+    this.name = name;
+    this.albumFileId = albumFileId;
+    this.encrypted = undefined; // whether albumFileId was uploaded encrypted, as on the root entry
+    this.thumbFileId = thumbFileId;
+    this.albumId = albumId; // constant id
+    this.description = '';
+    this.coverFullFileId = null; // file chosen as cover; null = first file
+    // [{ name, mime, thumbFileId, screenFileId, fullFileId, originalAlbumIds?, thumbMime?, screenMime?,
+    //    size?, addedAt?, width?, height?, duration?, codec? (videos), meta? (images, see ImageMetadataReader),
+    //    sha256?, parts? (large originals, see TgAlbumsApp._putParts), caption?, tags?, favorite?, rating? (see setFileMetadata), trashedAt?, trashedFromName? (Trash),
+    //    encrypted? (see TgAlbumsApp._withEncryptedFlag) }]
+    this.files = [];
+    this.sort = 'name'; // file order, persisted in the root entry (see setSortOrder)
+    this._loadedFileId = null; // albumFileId that this.files reflects
+    this._dirty = false; // files changed but not yet saved (batch uploads)
+    this._urlHolders = new Set(); // AlbumFiles holding object URLs, see release()
+    this._header = null; // { albumFileId, header } of a paged list, see getFilesPage
+    this._loaded = null; // the file list is loaded on first use
+  }
+
+  async ready() {
+    if (!this._loaded) this._loaded = this._load();
+    return this._loaded;
+  }
+
+  // copies the root entry's album-level fields onto this instance
+  _applyEntry(entry) {
+    this.name = entry.name;
+    this.thumbFileId = entry.thumbFileId;
+    this.sort = entry.sort || 'name';
+    this.description = entry.description || '';
+    this.coverFullFileId = entry.coverFullFileId || null;
+    this.trashedAt = entry.trashedAt || null;
+    this.parentId = entry.parentId || null; // folderId, see TgAlbumsApp.createFolder
+  }
+
+  async _load() {
+    const albumFileId = this.albumFileId;
+    const { files, header } = await this.app._fetchAlbumList(albumFileId, this.name, this.encrypted);
+    const parsed = files || await this.app._fetchAllPages(header, this.name);
+    if (this.albumFileId !== albumFileId) return; // superseded by a newer version while loading
+    this.files = parsed.slice();
+    this._sortFiles();
+    // a single-file list that outgrew albumPageSize is left as it is until the album's files are
+    // next saved (_putAlbumFiles pages it then); loading never writes
+    this._loadedFileId = albumFileId;
+  }
+
+  // used by sync to install files merged with another device's version, saved as entry's file list
+  _replaceFiles(entry, files) {
+    this.albumFileId = entry.albumFileId;
+    this.encrypted = entry.encrypted;
+    this._header = null;
+    this.files = files.slice();
+    this._sortFiles();
+    this._loadedFileId = entry.albumFileId;
+    this._loaded = Promise.resolve();
+  }
+
+  // --- file order ---
+  // sort orders: 'name', 'takenAt' (capture date, falling back to date added), 'addedAt', 'size';
+  // prefix with '-' for descending, e.g. '-takenAt'
+  static _comparator(sort) {
+    const desc = sort.startsWith('-');
+    const key = desc ? sort.slice(1) : sort;
+    const values = {
+      name: null,
+      takenAt: Album._takenTime,
+      addedAt: f => f.addedAt || '',
+      size: f => f.size || 0
+    };
+    if (!(key in values)) throw new Error(`Unknown sort order: ${sort}`);
+    const value = values[key];
+    const byName = (x, y) => x.name.localeCompare(y.name);
+    const compare = value
+      ? (x, y) => { const a = value(x); const b = value(y); return a < b ? -1 : a > b ? 1 : byName(x, y); }
+      : byName;
+    return desc ? (x, y) => compare(y, x) : compare;
+  }
+
+  // capture time (falling back to date added) in ms, for comparing. takenAt has an offset when the
+  // camera recorded one and is the camera's local time otherwise, read as this device's local time;
+  // comparing the strings would mix that up with UTC times
+  static _takenTime(f) {
+    const time = Date.parse((f.meta && f.meta.takenAt) || f.addedAt || '');
+    return Number.isNaN(time) ? -Infinity : time;
+  }
+
+  _sortFiles() {
+    this.files.sort(Album._comparator(this.sort));
+  }
+
+  // setSortOrder: changes and persists the album's file order
+  async setSortOrder(sort) {
+    await this.ready();
+    try {
+      Album._comparator(sort); // validate
+      await this.app._mutate(async () => {
+        this._requireActive();
+        this.sort = sort;
+        this._sortFiles();
+        await this.app._updateAlbumDescriptorByAlbumId(this.albumId, { sort });
+        this.app._emit('albumUpdated', { albumId: this.albumId, changes: { sort } });
+      }, 'setSortOrder');
+      return { ok: true };
+    } catch (e) {
+      console.error('setSortOrder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // getFiles: options.sort overrides the album's sort order for this call
+  async getFiles(options = {}) {
+    await this.ready();
+    const files = this.files.map(f => Object.assign({}, f));
+    return options.sort ? files.sort(Album._comparator(options.sort)) : files;
+  }
+
+  // getFilesPage: limit files from cursor on, in the album's sort order. A paged album (see
+  // TgAlbumsApp._putAlbumFiles) that isn't loaded yet only downloads the pages covering them.
+  // cursor is null for the first page, then the nextCursor of the previous result; it is a
+  // position, so files added or removed in between shift the following pages.
+  // returns { files, nextCursor, total }; nextCursor is null after the last file
+  async getFilesPage(cursor = null, limit = 100) {
+    const offset = cursor == null ? 0 : Number(cursor);
+    if (!Number.isInteger(offset) || offset < 0) throw new Error(`Invalid cursor: ${cursor}`);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error('limit must be a positive integer');
+    const header = this._loadedFileId === this.albumFileId ? null : await this._loadHeader();
+    let files;
+    let total;
+    if (header && header.sort === this.sort) {
+      total = header.count;
+      files = [];
+      let start = 0;
+      for (const page of header.pages) {
+        const end = start + page.count;
+        if (end > offset && start < offset + limit) {
+          const entries = await this.app._fetchAlbumPage(page, this.name, header.encrypted);
+          files.push(...entries.slice(Math.max(0, offset - start), offset + limit - start));
+        }
+        start = end;
+      }
+    } else {
+      await this.ready();
+      total = this.files.length;
+      files = this.files.slice(offset, offset + limit);
+    }
+    files = files.map(f => Object.assign({}, f));
+    const next = offset + files.length;
+    return { files, nextCursor: files.length && next < total ? String(next) : null, total };
+  }
+
+  // filesIter: every file entry via getFilesPage, pageSize at a time
+  async *filesIter(pageSize = 100) {
+    let cursor = null;
+    do {
+      const page = await this.getFilesPage(cursor, pageSize);
+      yield* page.files;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  // page header of the current albumFileId, or null when the list is a single JSON array
+  async _loadHeader() {
+    const albumFileId = this.albumFileId;
+    if (!this._header || this._header.albumFileId !== albumFileId) {
+      const { header } = await this.app._fetchAlbumList(albumFileId, this.name, this.encrypted);
+      this._header = { albumFileId, header: header || null };
+    }
+    return this._header.header;
+  }
+
+  // addFiles: items = [[Blob,name,mime], ...]
+  // options: { concurrency, checkpointEvery, dedup, onProgress, signal } (see addFilesIter)
+  // returns { ok:true, added, warnings? } or { ok:false, added, errors, warnings?, aborted? }
+  async addFiles(items, options = {}) {
+    const warnings = [];
+    const errors = [];
+    let added = 0;
+    let aborted = false;
+    try {
+      for await (const ev of this.addFilesIter(items, options)) {
+        if (ev.type === 'done') added++;
+        if (ev.type === 'skip') warnings.push(ev.warning);
+        if (ev.type === 'error') errors.push(String(ev.error));
+        if (options.onProgress) {
+          try { options.onProgress(ev); } catch (e) { console.warn('onProgress callback failed:', e); }
+        }
+      }
+    } catch (e) {
+      if (e && e.name === 'AbortError') {
+        aborted = true;
+      } else {
+        console.error('addFiles error:', e);
+      }
+      errors.push(String(e));
+    }
+    const result = { ok: errors.length === 0, added };
+    if (warnings.length) { result.warnings = warnings; }
+    if (errors.length) { result.errors = errors; }
+    if (aborted) { result.aborted = true; }
+    return result;
+  }
+
+  // addFilesIter: async iterator over upload events for a batch of items.
+  // options:
+  //   concurrency     - number of items uploaded in parallel (default 3)
+  //   checkpointEvery - save album/root after every N added files (default 0 = only once at the end)
+  //   signal          - AbortSignal; no new uploads start once aborted, finished ones are still saved
+  //   dedup           - content already uploaded (same SHA-256) is 'skip'ped, 'link'ed to the existing
+  //                     Telegram files without uploading, or uploaded again with 'off' (default app.dedup)
+  // events: { type: 'start'|'done'|'skip'|'error'|'checkpoint', index, name, completed, total, entry?, warning?, error? }
+  // Throws an AbortError after the final save if the signal was aborted.
+  async *addFilesIter(items, options = {}) {
+    await this.ready();
+    if (!Array.isArray(items)) throw new Error('items must be array of [Blob,name,mime]');
+    const { concurrency = 3, checkpointEvery = 0, signal = null, dedup = this.app.dedup } = options;
+    if (!['skip', 'link', 'off'].includes(dedup)) throw new Error(`Unknown dedup mode: ${dedup}`);
+    this._requireActive();
+    const total = items.length;
+    const events = [];
+    let wake = null;
+    const emit = ev => {
+      events.push(ev);
+      if (wake) { wake(); wake = null; }
+    };
+
+    let next = 0;
+    let completed = 0;
+    let unsaved = 0;
+    let added = []; // entries not yet announced with a filesAdded event
+    let stopped = false;
+    let saving = Promise.resolve();
+    const save = () => {
+      saving = saving.catch(() => {}).then(async () => {
+        if (!unsaved) return;
+        const count = unsaved;
+        unsaved = 0;
+        try {
+          await this.app._mutate(async () => {
+            await this._saveAlbumCascade();
+            const files = added;
+            added = [];
+            this.app._emit('filesAdded', { albumId: this.albumId, files });
+          }, 'addFiles');
+        } catch (e) {
+          unsaved += count;
+          throw e;
+        }
+      });
+      return saving;
+    };
+
+    const worker = async () => {
+      while (!stopped && next < total && !(signal && signal.aborted)) {
+        const index = next++;
+        const name = (items[index] && items[index][1]) || null;
+        emit({ type: 'start', index, name, completed, total });
+        try {
+          const res = await this._uploadItem(items[index], dedup);
+          completed++;
+          if (res.warning) {
+            emit({ type: 'skip', index, name, completed, total, warning: res.warning });
+            continue;
+          }
+          let present;
+          try {
+            present = await this.app._mutate(() => {
+              this._requireActive();
+              // a linked file already in this album (possibly added earlier in this batch) is skipped
+              if (res.linked && this.files.some(f => f.fullFileId === res.entry.fullFileId)) return true;
+              this.files.push(res.entry);
+              this._sortFiles();
+              this._dirty = true;
+              unsaved++;
+              added.push(res.entry);
+              if (!res.linked) this.app._indexHash(res.entry);
+              return false;
+            }, 'addFiles');
+          } finally {
+            if (res.settle) res.settle(present === false);
+          }
+          if (present) {
+            const warning = `Skipped file "${name}": same content is already in this album`;
+            console.warn(warning);
+            emit({ type: 'skip', index, name, completed, total, warning });
+            continue;
+          }
+          emit({ type: 'done', index, name, completed, total, entry: Object.assign({}, res.entry) });
+          if (checkpointEvery > 0 && unsaved >= checkpointEvery) {
+            try {
+              await save();
+              emit({ type: 'checkpoint', index, name, completed, total });
+            } catch (e) {
+              // the final save retries with everything still unsaved
+              console.error('addFiles checkpoint save failed:', e);
+            }
+          }
+        } catch (e) {
+          completed++;
+          console.warn(`Upload failed for file "${name}":`, e);
+          emit({ type: 'error', index, name, completed, total, error: e });
+        }
+      }
+    };
+
+    let finished = false;
+    const workers = Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, total)) }, worker))
+      .then(() => { finished = true; if (wake) { wake(); wake = null; } });
+    try {
+      while (true) {
+        if (events.length) { yield events.shift(); continue; }
+        if (finished) break;
+        await new Promise(resolve => { wake = resolve; });
+      }
+    } finally {
+      stopped = true;
+      await workers;
+      await save();
+    }
+    if (signal && signal.aborted) {
+      throw signal.reason || new DOMException('Upload aborted', 'AbortError');
+    }
+  }
+
+  // uploads original, thumb and screen for one item; returns { entry, linked? } or { warning } for skipped items.
+  // An upload also returns settle(committed), which the caller must call once the entry is in the
+  // album or failed to get there: identical items wait for it, and link to the entry only if committed.
+  async _uploadItem(item, dedup = this.app.dedup) {
+    const [blob, name, mime] = item || [];
+    if (!blob || !name) {
+      const msg = 'Each item must be [Blob,name,mime]'; console.warn(msg); return { warning: msg };
+    }
+    const theMime = mime || blob.type || '';
+    if (!theMime.startsWith('image/') && !theMime.startsWith('video/')) {
+      const msg = `Skipped unsupported MIME type for file "${name}": ${theMime}`;
+      console.warn(msg);
+      return { warning: msg }; // skip uploading this file
+    }
+    const sha256 = await TgAlbumsApp._sha256(blob);
+    const app = this.app;
+    await app._loadHashIndex();
+    if (dedup !== 'off') {
+      const existing = await app._lookupHash(sha256);
+      if (existing) {
+        if (dedup === 'skip') {
+          const msg = `Skipped duplicate file "${name}" (same content as "${existing.name}")`;
+          console.warn(msg);
+          return { warning: msg };
+        }
+        const entry = Object.assign({}, existing, { name, originalAlbumIds: [this.albumId], addedAt: new Date().toISOString() });
+        return { entry, linked: true };
+      }
+    }
+    // identical items later in the batch wait for this upload instead of uploading again
+    let settle;
+    const pending = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+    if (!app._pendingHashes.has(sha256)) app._pendingHashes.set(sha256, pending);
+    const forget = () => { if (app._pendingHashes.get(sha256) === pending) app._pendingHashes.delete(sha256); };
+    try {
+      const entry = await this._uploadOriginal(blob, name, theMime, sha256);
+      return {
+        entry,
+        settle: committed => {
+          forget(); // app._indexHash already has, when committed
+          settle.resolve(committed ? TgAlbumsApp._hashTemplate(entry) : null);
+        }
+      };
+    } catch (e) {
+      forget();
+      settle.reject(e);
+      throw e;
+    }
+  }
+
+  async _uploadOriginal(blob, name, theMime, sha256) {
+    // upload original full-size file (the only time the original is uploaded), in parts when large
+    const chunkSize = this.app.chunkSize;
+    const parts = chunkSize > 0 && blob.size > chunkSize ? await this.app._putParts(blob) : null;
+    const fullFileId = parts ? parts[0].fileId : await this.app._putBlob(blob);
+    const entry = {
+      name, mime: theMime, thumbFileId: null, screenFileId: null, fullFileId, originalAlbumIds: [this.albumId],
+      size: blob.size, addedAt: new Date().toISOString(), sha256
+    };
+    if (parts) entry.parts = parts;
+    this.app._withEncryptedFlag(entry);
+    // renditions of a video are rendered from its poster frame; without a poster it gets none
+    let source = blob;
+    let sourceMime = theMime;
+    let orientation = 1;
+    if (theMime.startsWith('image/')) {
+      let meta = null;
+      try {
+        meta = await ImageMetadataReader.read(blob);
+      } catch (e) {
+        console.warn(`Metadata extraction failed for file "${name}":`, e);
+      }
+      if (meta) {
+        const { width, height } = meta;
+        if (width && height) Object.assign(entry, { width, height });
+        delete meta.width;
+        delete meta.height;
+        if (Object.keys(meta).length) entry.meta = meta;
+        orientation = meta.orientation || 1;
+      }
+    } else if (theMime.startsWith('video/')) {
+      const video = await this.app._probeVideo(blob, theMime);
+      Object.assign(entry, { duration: video.duration, width: video.width, height: video.height, codec: video.codec });
+      source = video.poster;
+      sourceMime = video.poster ? (video.poster.type || 'image/jpeg') : null;
+    }
+    if (source) {
+      // create thumb and screen renditions (sizes/format from app.renditions)
+      for (const kind of ['thumb', 'screen']) {
+        let rendition;
+        try {
+          rendition = await this.app._renderRendition(source, kind, sourceMime, source === blob ? orientation : 1);
+        } catch (e) {
+          console.warn(`${kind} rendition failed, using ${source === blob ? 'original' : 'poster'} instead:`, e);
+          rendition = { blob: source, mime: sourceMime };
+        }
+        entry[`${kind}FileId`] = await this.app._putBlob(rendition.blob);
+        // rendition MIME is only stored when it differs from the original
+        if (rendition.mime !== theMime) entry[`${kind}Mime`] = rendition.mime;
+      }
+    }
+    return entry;
+  }
+
+  async _saveAlbumCascade() {
+    this._sortFiles(); // pages are stored in sort order
+    const newAlbumFileId = await this.app._putAlbumFiles(this.files, this.sort);
+    this.albumFileId = newAlbumFileId;
+    this.encrypted = this.app.encrypted || undefined;
+    this._loadedFileId = newAlbumFileId;
+    this._dirty = false;
+    try {
+      // looked up by albumId: the previous albumFileId may already have been replaced in root
+      this.thumbFileId = this._deriveThumbFileId();
+      await this.app._updateAlbumDescriptorByAlbumId(this.albumId, { albumFileId: newAlbumFileId, thumbFileId: this.thumbFileId, count: this.files.length });
+    } catch (e) {
+      // log but don't fail saving album itself
+      console.error('Failed to update root after saving album:', e);
+    }
+  }
+
+  // the chosen cover while it is still in the album, otherwise the first file
+  _deriveThumbFileId() {
+    const cover = this.coverFullFileId && this.files.find(f => f.fullFileId === this.coverFullFileId);
+    if (cover) return cover.thumbFileId || null;
+    if (this.files.length === 0) return null;
+    return this.files[0].thumbFileId || null;
+  }
+
+  // an album in Trash is read-only until restoreAlbum; checked inside _mutate against the current root
+  _requireActive() {
+    const entry = this.app.root.find(a => a.albumId === this.albumId);
+    if (entry && entry.trashedAt) throw new Error(`Album "${this.name}" is in Trash; restore it first`);
+  }
+
+  // --- album editing ---
+  async rename(name) {
+    await this.ready();
+    try {
+      if (!name || typeof name !== 'string') throw new Error('Name required');
+      if (this.name === 'Trash') throw new Error('Trash album cannot be renamed');
+      if (name === 'Trash') throw new Error('Name "Trash" is reserved');
+      await this.app._mutate(async () => {
+        this._requireActive();
+        await this.app._updateAlbumDescriptorByAlbumId(this.albumId, { name });
+        this.name = name;
+        this.app._emit('albumUpdated', { albumId: this.albumId, changes: { name } });
+      }, 'rename');
+      return { ok: true };
+    } catch (e) {
+      console.error('rename error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async setDescription(description) {
+    await this.ready();
+    try {
+      if (typeof description !== 'string') throw new Error('Description must be a string');
+      await this.app._mutate(async () => {
+        this._requireActive();
+        await this.app._updateAlbumDescriptorByAlbumId(this.albumId, { description });
+        this.description = description;
+        this.app._emit('albumUpdated', { albumId: this.albumId, changes: { description } });
+      }, 'setDescription');
+      return { ok: true };
+    } catch (e) {
+      console.error('setDescription error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // moveToFolder: folderId null moves the album to the top level; Trash can't be moved
+  async moveToFolder(folderId) {
+    try {
+      if (this.name === 'Trash') throw new Error('Trash album cannot be moved into a folder');
+      const app = this.app;
+      await app.ready();
+      await app._mutate(async () => {
+        this._requireActive();
+        const parentId = folderId ? app._requireFolder(folderId).folderId : null;
+        const idx = app.root.findIndex(a => a.albumId === this.albumId);
+        if (idx === -1) throw new Error('Album not found in root');
+        const entry = Object.assign({}, app.root[idx]);
+        if (parentId) entry.parentId = parentId; else delete entry.parentId;
+        app.root[idx] = entry;
+        await app._saveRootCascade();
+        this._applyEntry(entry);
+        app._emit('albumUpdated', { albumId: this.albumId, changes: { parentId } });
+      }, 'moveToFolder');
+      return { ok: true };
+    } catch (e) {
+      console.error('moveToFolder error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // getPath: the folders containing this album, as in TgAlbumsApp.getFolderPath
+  getPath() {
+    const entry = this.app.root.find(a => a.albumId === this.albumId);
+    return this.app._folderPath(entry ? this.app._albumParentId(entry) : null);
+  }
+
+  // setCover: fullId of a file in this album, or null to go back to the first file
+  async setCover(fullId) {
+    await this.ready();
+    try {
+      await this.app._mutate(() => this._setCover(fullId), 'setCover');
+      return { ok: true };
+    } catch (e) {
+      console.error('setCover error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async _setCover(fullId) {
+    this._requireActive();
+    if (fullId && !this.files.some(f => f.fullFileId === fullId)) throw new Error('File not found in album');
+    this.coverFullFileId = fullId || null;
+    this.thumbFileId = this._deriveThumbFileId();
+    await this.app._updateAlbumDescriptorByAlbumId(this.albumId, { coverFullFileId: this.coverFullFileId, thumbFileId: this.thumbFileId });
+    this.app._emit('albumUpdated', { albumId: this.albumId, changes: { coverFullFileId: this.coverFullFileId } });
+  }
+
+  // on: app events concerning this album only (for Trash also fileTrashed/fileRestored),
+  // see TgAlbumsApp.on; returns an unsubscribe function
+  on(type, listener) {
+    return this.app.on(type, event => {
+      if (event.albumId === this.albumId || event.trashAlbumId === this.albumId) listener(event);
+    });
+  }
+
+  async findFileByFullId(fullId) {
+    await this.ready();
+    const entry = this.files.find(f => f.fullFileId === fullId);
+    return entry ? new AlbumFile(this, entry) : null;
+  }
+
+  // returns array of AlbumFile instances matching name
+  async findFilesByName(name) {
+    await this.ready();
+    const matches = this.files.filter(f => f.name === name);
+    return matches.map(f => new AlbumFile(this, f));
+  }
+
+  // --- file metadata ---
+  // setFileMetadata: applies the same changes to several files of this album.
+  // changes: { caption?, tags?, addTags?, removeTags?, favorite?, rating? }
+  //   caption - text ('' removes it); tags - replaces all tags ([] removes them);
+  //   addTags / removeTags - arrays of tags, case-insensitive; favorite - boolean; rating - 0 (none) to 5
+  // returns { ok:true, updated, warnings? }
+  async setFileMetadata(fullIds, changes) {
+    await this.ready();
+    try {
+      if (!Array.isArray(fullIds)) throw new Error('fullIds must be an array');
+      Album._applyMetadata({}, changes); // validates before anything is changed
+      const { updated, warnings } = await this.app._mutate(async () => {
+        this._requireActive();
+        const warnings = [];
+        const updated = [];
+        for (const fullId of fullIds) {
+          const entry = this.files.find(f => f.fullFileId === fullId);
+          if (!entry) { warnings.push(`File not found in album: ${fullId}`); continue; }
+          if (Album._applyMetadata(entry, changes)) updated.push(entry);
+        }
+        if (updated.length) {
+          await this._saveAlbumCascade();
+          for (const entry of updated) this.app._emit('fileUpdated', { albumId: this.albumId, file: entry });
+        }
+        return { updated, warnings };
+      }, 'setFileMetadata');
+      warnings.forEach(w => console.warn(w));
+      const result = { ok: true, updated: updated.length };
+      if (warnings.length) result.warnings = warnings;
+      return result;
+    } catch (e) {
+      console.error('setFileMetadata error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // applies metadata changes to a file entry; throws on invalid changes, returns whether entry changed
+  static _applyMetadata(entry, changes) {
+    if (!changes || typeof changes !== 'object') throw new Error('changes must be an object');
+    const before = JSON.stringify(entry);
+    const tagList = (value, key) => {
+      if (!Array.isArray(value) || value.some(t => typeof t !== 'string')) throw new Error(`${key} must be an array of strings`);
+      return value.map(t => t.trim().replace(/\s+/g, ' ')).filter(Boolean);
+    };
+    const sameTag = (x, y) => TgAlbumsApp._fold(x) === TgAlbumsApp._fold(y);
+    let tags = entry.tags || [];
+    for (const [key, value] of Object.entries(changes)) {
+      switch (key) {
+        case 'caption':
+          if (typeof value !== 'string') throw new Error('caption must be a string');
+          if (value.trim()) entry.caption = value.trim(); else delete entry.caption;
+          break;
+        case 'tags': tags = tagList(value, key); break;
+        case 'addTags': tags = tags.concat(tagList(value, key)); break;
+        case 'removeTags': {
+          const removed = tagList(value, key);
+          tags = tags.filter(t => !removed.some(r => sameTag(r, t)));
+          break;
+        }
+        case 'favorite':
+          if (typeof value !== 'boolean') throw new Error('favorite must be a boolean');
+          if (value) entry.favorite = true; else delete entry.favorite;
+          break;
+        case 'rating':
+          if (!Number.isInteger(value) || value < 0 || value > 5) throw new Error('rating must be an integer from 0 to 5');
+          if (value) entry.rating = value; else delete entry.rating;
+          break;
+        default:
+          throw new Error(`Unknown metadata field: ${key}`);
+      }
+    }
+    tags = tags.filter((t, i) => tags.findIndex(u => sameTag(u, t)) === i); // first spelling wins
+    if (tags.length) entry.tags = tags; else delete entry.tags;
+    return JSON.stringify(entry) !== before;
+  }
+
+  // --- move / copy ---
+  // Files are moved or copied by reusing their Telegram file IDs: nothing is uploaded
+  // except the album JSONs. target is an Album or an albumId; files already in the
+  // target are skipped with a warning. Returns { ok:true, moved|copied, warnings? }.
+  async moveFiles(fullIds, target) {
+    return this._transferFiles(fullIds, target, true);
+  }
+
+  async copyFiles(fullIds, target) {
+    return this._transferFiles(fullIds, target, false);
+  }
+
+  async _transferFiles(fullIds, target, move) {
+    await this.ready();
+    const op = move ? 'moveFiles' : 'copyFiles';
+    try {
+      if (!Array.isArray(fullIds)) throw new Error('fullIds must be an array');
+      const targetAlbum = this.app._resolveAlbum(target);
+      if (targetAlbum.albumId === this.albumId) throw new Error('Source and target album are the same');
+      if (this.name === 'Trash' || targetAlbum.name === 'Trash') throw new Error('Use removeFromAlbum/restoreToAlbum for Trash');
+      await targetAlbum.ready();
+      const { done, warnings } = await this.app._mutate(async () => {
+        // copying out of a trashed album is fine, moving out of it or into one is not
+        targetAlbum._requireActive();
+        if (move) this._requireActive();
+        const warnings = [];
+        const done = [];
+        const removed = [];
+        for (const fullId of fullIds) {
+          const idx = this.files.findIndex(f => f.fullFileId === fullId);
+          if (idx === -1) { warnings.push(`File not found in album: ${fullId}`); continue; }
+          if (targetAlbum.files.some(f => f.fullFileId === fullId)) {
+            warnings.push(`File "${this.files[idx].name}" is already in album "${targetAlbum.name}"`);
+            continue;
+          }
+          const entry = Album._withHomeAlbum(this.files[idx], targetAlbum.albumId);
+          targetAlbum.files.push(entry);
+          if (move) removed.push(this.files.splice(idx, 1)[0]);
+          done.push(entry);
+        }
+        if (done.length) {
+          targetAlbum._sortFiles();
+          await targetAlbum._saveAlbumCascade();
+          if (move) await this._saveAlbumCascade();
+          this.app._emit('filesAdded', { albumId: targetAlbum.albumId, files: done });
+          if (move) this.app._emit('filesRemoved', { albumId: this.albumId, files: removed });
+        }
+        return { done, warnings };
+      }, op);
+      warnings.forEach(w => console.warn(w));
+      const result = { ok: true, [move ? 'moved' : 'copied']: done.length, entries: done.map(f => Object.assign({}, f)) };
+      if (warnings.length) result.warnings = warnings;
+      return result;
+    } catch (e) {
+      console.error(`${op} error:`, e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // copy of a file entry whose originalAlbumIds ends with albumId (the album it now lives in)
+  static _withHomeAlbum(entry, albumId) {
+    const ids = (entry.originalAlbumIds || []).filter(id => id !== albumId);
+    ids.push(albumId);
+    return Object.assign({}, entry, { originalAlbumIds: ids });
+  }
+
+  // release: revokes the object URLs handed out for this album's files and drops their
+  // blobs from the in-memory cache (the persistent cache keeps them). Copies and links share
+  // file IDs, so blobs another loaded album lists or whose object URL is still held stay cached.
+  release() {
+    for (const holder of Array.from(this._urlHolders)) holder.release();
+    const cache = this.app.cache;
+    if (!cache) return;
+    const inUse = new Set(this.app._objectUrls.keys());
+    for (const album of this.app._albums.values()) {
+      if (album === this) continue;
+      for (const f of album.files) [f.fullFileId, f.thumbFileId, f.screenFileId].forEach(id => id && inUse.add(id));
+    }
+    for (const f of this.files) {
+      [f.fullFileId, f.thumbFileId, f.screenFileId].forEach(id => id && !inUse.has(id) && cache.delete(id));
+    }
+  }
+
+  // exportZip: this album as a ZIP archive, see TgAlbumsApp.exportLibrary
+  async exportZip(options = {}) {
+    await this.ready();
+    return this.app._exportAlbums([this], options);
+  }
+
+  // --- Trash ---
+  // whether entry is the file descriptor describes; in Trash, copies of a file trashed from different
+  // albums share the fullFileId and are told apart by where and when they were trashed
+  static _sameEntry(entry, descriptor, inTrash) {
+    if (entry.fullFileId !== descriptor.fullFileId) return false;
+    if (!inTrash) return true;
+    const origin = f => JSON.stringify([f.trashedAt || null, f.trashedFromName || null, f.originalAlbumIds || []]);
+    return origin(entry) === origin(descriptor);
+  }
+
+  // restoreFiles (on the Trash album): moves files back to the album each was trashed from
+  // (restoring that album too if it was deleted with deleteAlbum).
+  // options:
+  //   target   - Album or albumId to restore into instead of the original albums
+  //   recreate - recreate an original album that no longer exists, under its old name and albumId (default true)
+  // Files that cannot be restored stay in Trash with a warning. returns { ok:true, restored, entries, warnings? }
+  // Copies of a file share its fullFileId: a fullFileId restores every trashed copy, pass the Trash
+  // file entries themselves (e.g. from trash.files) to restore exactly those.
+  async restoreFiles(fullIds, options = {}) {
+    await this.ready();
+    try {
+      if (this.name !== 'Trash') throw new Error('restoreFiles should be called on the Trash album');
+      if (!Array.isArray(fullIds)) throw new Error('fullIds must be an array');
+      const { target = null, recreate = true } = options;
+      const targetAlbum = target ? this.app._resolveAlbum(target) : null;
+      if (targetAlbum && targetAlbum.albumId === this.albumId) throw new Error('Cannot restore into Trash');
+      const app = this.app;
+      const { done, warnings } = await app._mutate(async () => {
+        if (targetAlbum) targetAlbum._requireActive(); // original albums in Trash are restored with the file
+        const warnings = [];
+        const done = [];
+        const touched = new Set();
+        const revived = []; // original albums recreated or taken out of Trash: [eventType, rootEntry]
+        const picked = new Set();
+        const queue = []; // Trash entries to restore, in order
+        for (const item of fullIds) {
+          const matches = typeof item === 'string'
+            ? this.files.filter(f => f.fullFileId === item)
+            : this.files.filter(f => Album._sameEntry(f, item, true));
+          const fresh = matches.filter(f => !picked.has(f));
+          if (!fresh.length) {
+            if (!matches.length) warnings.push(`File not found in Trash: ${typeof item === 'string' ? item : item.fullFileId}`);
+            continue;
+          }
+          fresh.forEach(f => picked.add(f));
+          queue.push(...fresh);
+        }
+        for (const trashed of queue) {
+          const fullId = trashed.fullFileId;
+          let album = targetAlbum;
+          if (!album) {
+            const originalIds = trashed.originalAlbumIds || [];
+            const albumId = originalIds[originalIds.length - 1];
+            if (!albumId) { warnings.push(`No original album recorded for file "${trashed.name}"`); continue; }
+            let albumEntry = app.root.find(a => a.albumId === albumId);
+            if (!albumEntry) {
+              if (!recreate) { warnings.push(`Original album of file "${trashed.name}" not found`); continue; }
+              albumEntry = app._withEncryptedFlag({ name: trashed.trashedFromName || 'Restored', thumbFileId: null, albumFileId: await app._putJson([]), albumId });
+              app._addAlbumEntry(albumEntry);
+              revived.push(['albumCreated', albumEntry]);
+            } else if (albumEntry.trashedAt) {
+              delete albumEntry.trashedAt; // the original album is in Trash itself: restore it with the file
+              revived.push(['albumRestored', albumEntry]);
+            }
+            album = app._albumFor(albumEntry);
+          }
+          await album.ready();
+          if (album.files.some(f => f.fullFileId === fullId)) {
+            warnings.push(`File "${trashed.name}" is already in album "${album.name}"`);
+            continue;
+          }
+          const entry = Album._withHomeAlbum(trashed, album.albumId);
+          delete entry.trashedAt;
+          delete entry.trashedFromName;
+          album.files.push(entry);
+          this.files.splice(this.files.indexOf(trashed), 1);
+          touched.add(album);
+          done.push({ album, entry });
+        }
+        for (const album of touched) {
+          album._sortFiles();
+          await album._saveAlbumCascade();
+        }
+        if (done.length) await this._saveAlbumCascade();
+        for (const [type, albumEntry] of revived) {
+          app._emit(type, type === 'albumCreated' ? { albumId: albumEntry.albumId, album: app._albumFor(albumEntry) } : { albumId: albumEntry.albumId });
+        }
+        for (const { album, entry } of done) {
+          app._emit('fileRestored', { albumId: album.albumId, file: entry, trashAlbumId: this.albumId });
+        }
+        return { done, warnings };
+      }, 'restoreFiles');
+      warnings.forEach(w => console.warn(w));
+      const result = { ok: true, restored: done.length, entries: done.map(d => Object.assign({ albumId: d.album.albumId }, d.entry)) };
+      if (warnings.length) result.warnings = warnings;
+      return result;
+    } catch (e) {
+      console.error('restoreFiles error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async deleteThumbnailForFile(fullId) {
+    await this.ready();
+    try {
+      await this.app._mutate(async () => {
+        this._requireActive();
+        const idx = this.files.findIndex(f => f.fullFileId === fullId);
+        if (idx === -1) throw new Error('File not found');
+        this.files[idx].thumbFileId = null;
+        await this._saveAlbumCascade();
+        this.app._emit('fileUpdated', { albumId: this.albumId, file: this.files[idx] });
+      }, 'deleteThumbnailForFile');
+      return { ok: true };
+    } catch (e) {
+      console.error('deleteThumbnailForFile error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async clear() {
+    await this.ready();
+    try {
+      await this.app._mutate(async () => {
+        this._requireActive();
+        const removed = this.files;
+        await this.app._forgetHashes(removed);
+        this.files = [];
+        await this._saveAlbumCascade();
+        if (removed.length) this.app._emit('filesRemoved', { albumId: this.albumId, files: removed, permanent: true });
+      }, 'clear');
+      return { ok: true };
+    } catch (e) {
+      console.error('clear album error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // deleteAlbum: moves the album to Trash as a whole; its albumId, cover and files are kept until
+  // it is restored with restoreAlbum or purged with app.purgeTrash / app.emptyTrash. Until then the album
+  // can be read and copied from, but changes to it are refused.
+  async deleteAlbum() {
+    await this.ready();
+    try {
+      if (this.name === 'Trash') {
+        const msg = 'Trash album cannot be deleted';
+        console.warn(msg);
+        return { ok: false, errors: [msg] };
+      }
+      await this.app._mutate(async () => {
+        if (this.trashedAt) return;
+        await this.app._updateAlbumDescriptorByAlbumId(this.albumId, { trashedAt: new Date().toISOString() });
+        this._applyEntry(this.app.root.find(a => a.albumId === this.albumId));
+        this.app._emit('albumDeleted', { albumId: this.albumId, permanent: false });
+      }, 'deleteAlbum');
+      return { ok: true };
+    } catch (e) {
+      console.error('deleteAlbum error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  async restoreAlbum() {
+    await this.ready();
+    try {
+      await this.app._mutate(async () => {
+        const entry = this.app.root.find(a => a.albumId === this.albumId);
+        if (!entry) throw new Error('Album not found in root');
+        if (!entry.trashedAt) return;
+        delete entry.trashedAt;
+        this._applyEntry(entry);
+        await this.app._saveRootCascade();
+        this.app._emit('albumRestored', { albumId: this.albumId });
+      }, 'restoreAlbum');
+      return { ok: true };
+    } catch (e) {
+      console.error('restoreAlbum error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+}
+
+// --- AlbumFile class ---
+
+class AlbumFile {
+  constructor(album, descriptor) {
+    this.album = album;
+    this.descriptor = descriptor; // live reference from album.files
+    this._heldUrls = []; // file IDs of object URLs handed out by get*BlobURL, see release()
+  }
+
+  async getFullBlob() {
+    return this.album.app._downloader.getOriginal(this.descriptor);
+  }
+
+  // getFullStream: ReadableStream of the original's bytes; large (chunked) originals arrive part by part
+  getFullStream() {
+    return this.album.app._downloader.streamOriginal(this.descriptor);
+  }
+
+  async getThumbBlob() {
+    if (!this.descriptor.thumbFileId) return null;
+    return this.album.app._downloader.getBlob(this.descriptor.thumbFileId, `thumb_${this.descriptor.name}`, this.descriptor.thumbMime || this.descriptor.mime, this.descriptor.encrypted);
+  }
+
+  async getScreenBlob() {
+    if (!this.descriptor.screenFileId) return null;
+    return this.album.app._downloader.getBlob(this.descriptor.screenFileId, `screen_${this.descriptor.name}`, this.descriptor.screenMime || this.descriptor.mime, this.descriptor.encrypted);
+  }
+
+  // get*BlobURL: object URLs are shared between AlbumFiles showing the same Telegram file and
+  // stay valid until every holder called release() (or Album.release()); null without rendition
+  async getFullBlobURL() {
+    const descriptor = this.descriptor;
+    return this._acquireUrl(descriptor.fullFileId, () => this.album.app._downloader.getOriginal(descriptor));
+  }
+
+  async getThumbBlobURL() {
+    return this._acquireUrl(this.descriptor.thumbFileId, () => this.getThumbBlob());
+  }
+
+  async getScreenBlobURL() {
+    return this._acquireUrl(this.descriptor.screenFileId, () => this.getScreenBlob());
+  }
+
+  async _acquireUrl(fileId, load) {
+    if (!fileId) return null;
+    const app = this.album.app;
+    this._heldUrls.push(fileId);
+    this.album._urlHolders.add(this);
+    try {
+      return await app._acquireObjectUrl(fileId, load);
+    } catch (e) {
+      this._heldUrls.splice(this._heldUrls.lastIndexOf(fileId), 1);
+      app._releaseObjectUrl(fileId);
+      throw e;
+    }
+  }
+
+  // releases every object URL this AlbumFile handed out; URLs no one else holds are revoked
+  release() {
+    const app = this.album.app;
+    for (const fileId of this._heldUrls.splice(0)) app._releaseObjectUrl(fileId);
+    this.album._urlHolders.delete(this);
+  }
+
+  async setAsAlbumThumbnail() {
+    try {
+      await this.album.ready();
+      await this.album.app._mutate(() => this.album._setCover(this.descriptor.fullFileId), 'setAsAlbumThumbnail');
+      return { ok: true };
+    } catch (e) {
+      console.error('setAsAlbumThumbnail error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // setMetadata: changes as in Album.setFileMetadata; the descriptor is updated on success
+  async setMetadata(changes) {
+    const res = await this.album.setFileMetadata([this.descriptor.fullFileId], changes);
+    if (!res.ok) return res;
+    if (res.warnings) return { ok: false, errors: res.warnings };
+    this.descriptor = this.album.files.find(f => f.fullFileId === this.descriptor.fullFileId) || this.descriptor;
+    return { ok: true };
+  }
+
+  async setCaption(caption) { return this.setMetadata({ caption }); }
+  async setTags(tags) { return this.setMetadata({ tags }); }
+  async setFavorite(favorite) { return this.setMetadata({ favorite }); }
+  async setRating(rating) { return this.setMetadata({ rating }); }
+
+  // moveTo / copyTo: target is an Album or an albumId; the Telegram files are reused, not re-uploaded
+  async moveTo(target) {
+    const res = await this.album.moveFiles([this.descriptor.fullFileId], target);
+    if (res.ok && res.entries.length) {
+      this.album = this.album.app._resolveAlbum(target);
+      this.descriptor = this.album.files.find(f => f.fullFileId === this.descriptor.fullFileId) || res.entries[0];
+    }
+    return AlbumFile._singleResult(res);
+  }
+
+  async copyTo(target) {
+    return AlbumFile._singleResult(await this.album.copyFiles([this.descriptor.fullFileId], target));
+  }
+
+  // a skipped single file is a failure, not a warning
+  static _singleResult(res) {
+    if (!res.ok) return res;
+    if (!res.entries.length) return { ok: false, errors: res.warnings || [] };
+    return { ok: true };
+  }
+
+  async removeFromAlbum() {
+    try {
+      await this.album.ready();
+      const app = this.album.app;
+      await app._mutate(async () => {
+        this.album._requireActive();
+        const fileIdx = this.album.files.findIndex(f => f.fullFileId === this.descriptor.fullFileId);
+        if (fileIdx === -1) throw new Error('File not found in album');
+        const trashAlbum = app._trashAlbum();
+        await trashAlbum.ready();
+        // the album it is trashed from becomes the restore target; its name allows recreating it
+        const fileEntry = Object.assign(Album._withHomeAlbum(this.album.files.splice(fileIdx, 1)[0], this.album.albumId), {
+          trashedAt: new Date().toISOString(),
+          trashedFromName: this.album.name
+        });
+        trashAlbum.files.push(fileEntry);
+        trashAlbum._sortFiles();
+        await trashAlbum._saveAlbumCascade();
+        await this.album._saveAlbumCascade();
+        app._emit('fileTrashed', { albumId: this.album.albumId, file: fileEntry, trashAlbumId: trashAlbum.albumId });
+      }, 'removeFromAlbum');
+      return { ok: true };
+    } catch (e) {
+      console.error('removeFromAlbum error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+
+  // restoreToAlbum: options as in Album.restoreFiles ({ target, recreate })
+  async restoreToAlbum(options = {}) {
+    const res = await this.album.restoreFiles([this.descriptor], options);
+    if (res.ok && res.entries.length) {
+      this.album = this.album.app._resolveAlbum(res.entries[0].albumId);
+      this.descriptor = this.album.files.find(f => f.fullFileId === this.descriptor.fullFileId) || this.descriptor;
+    }
+    return AlbumFile._singleResult(res);
+  }
+
+  // Updated to only remove file from current album
+  async removeForever() {
+    try {
+      await this.album.ready();
+      await this.album.app._mutate(async () => {
+        this.album._requireActive();
+        const idx = this.album.files.findIndex(f => Album._sameEntry(f, this.descriptor, this.album.name === 'Trash'));
+        if (idx === -1) throw new Error('File not found in this album');
+        const [removed] = this.album.files.splice(idx, 1);
+        await this.album.app._forgetHashes([removed]);
+        await this.album._saveAlbumCascade();
+        this.album.app._emit('filesRemoved', { albumId: this.album.albumId, files: [removed], permanent: true });
+      }, 'removeForever');
+      return { ok: true };
+    } catch (e) {
+      console.error('removeForever error:', e);
+      return { ok: false, errors: [String(e)] };
+    }
+  }
+}
+
+// --- TgAlbumsViewer class ---
+// Read-only client for an album shared with TgAlbumsApp.shareAlbum or publishAlbum. It needs a
+// service (TgFileService or anything with botToken, transport and getFile) for the share bot that
+// published the album (TgAlbumsApp's shareService, not the library's bot), and writes nothing.
+//   const viewer = new TgAlbumsViewer(service, token);
+//   await viewer.ready(); // viewer.name, viewer.description, viewer.files
+//   const blob = await viewer.getScreenBlob(viewer.files[0]);
+class TgAlbumsViewer {
+  // options: transport, cache - as for TgAlbumsApp
+  constructor(service, token, options = {}) {
+    if (!service) throw new Error('TgFileService instance required');
+    this.service = service;
+    this.botToken = service.botToken;
+    this.transport = options.transport || service.transport || new TgTransport();
+    this.share = TgAlbumsApp._decodeShareToken(token); // { m } or { c, s }, plus b and k
+    if (this.share.b && this.share.b !== TgAlbumsApp._botId(service.botToken)) {
+      throw new Error(`The share was published by bot ${this.share.b}; open it with a service for that bot`);
+    }
+    this.name = '';
+    this.description = '';
+    this.sort = 'name';
+    this.thumbFileId = null; // cover thumb
+    this.files = []; // file entries as in Album.files; no fullFileId when originals aren't shared
+    this.publishedAt = null;
+    this.manifestFileId = null;
+    this.revoked = false;
+    this.cache = options.cache === false ? null
+      : options.cache instanceof TgBlobCache ? options.cache : new TgBlobCache(options.cache || {});
+    this._key = null; // the share's key, for shares of encrypted libraries
+    this._downloader = new TgDownloader(service, this.cache, () => this._key);
+    this._ready = this._init();
+  }
+
+  async ready() { return this._ready; }
+
+  async _init() {
+    if (this.share.k) this._key = await TgCrypto._importDataKey(TgCrypto.fromBase64(this.share.k));
+    await this._load();
+  }
+
+  // refresh: picks up the latest snapshot of a share (a publishAlbum snapshot never changes).
+  // returns { ok:true, changed }, or { ok:false, errors, revoked? } once the share has been revoked
+  async refresh() {
+    await this.ready();
+    try {
+      return { ok: true, changed: await this._load() };
+    } catch (e) {
+      console.error('refresh error:', e);
+      const result = { ok: false, errors: [String(e)] };
+      if (this.revoked) result.revoked = true;
+      return result;
+    }
+  }
+
+  async _load() {
+    let fileId = this.share.m;
+    if (!fileId) {
+      const directory = await TgAlbumsApp._fetchShareDirectory(this.service, this.transport, this.share.c);
+      fileId = directory.shares[this.share.s];
+      if (!fileId) {
+        this.revoked = true;
+        const err = new Error('The share has been revoked');
+        err.code = 'SHARE_REVOKED';
+        throw err;
+      }
+    }
+    if (fileId === this.manifestFileId) return false;
+    const text = await (await this._downloader.getBlob(fileId, 'share.json', 'application/json', !!this._key)).text();
+    let manifest = null;
+    try { manifest = JSON.parse(text); } catch (e) { /* reported below */ }
+    if (!manifest || manifest.format !== 'tg-albums-share' || !Array.isArray(manifest.files)) {
+      throw new Error(this._key ? 'Not a tg-albums share' : 'Not a tg-albums share, or the link is missing its key');
+    }
+    const album = manifest.album || {};
+    this.name = album.name || '';
+    this.description = album.description || '';
+    this.sort = album.sort || 'name';
+    this.thumbFileId = album.thumbFileId || null;
+    this.files = manifest.files;
+    this.publishedAt = manifest.publishedAt || null;
+    this.manifestFileId = fileId;
+    return true;
+  }
+
+  // file is one of viewer.files; getThumbBlob/getScreenBlob return null without rendition
+  async getThumbBlob(file) {
+    if (!file.thumbFileId) return null;
+    return this._downloader.getBlob(file.thumbFileId, `thumb_${file.name}`, file.thumbMime || file.mime, file.encrypted);
+  }
+
+  async getScreenBlob(file) {
+    if (!file.screenFileId) return null;
+    return this._downloader.getBlob(file.screenFileId, `screen_${file.name}`, file.screenMime || file.mime, file.encrypted);
+  }
+
+  async getFullBlob(file) {
+    if (!file.fullFileId) throw new Error(`The original of "${file.name}" is not shared`);
+    return this._downloader.getOriginal(file);
+  }
+
+  getFullStream(file) {
+    if (!file.fullFileId) throw new Error(`The original of "${file.name}" is not shared`);
+    return this._downloader.streamOriginal(file);
+  }
+}
+
+// --- TgTransport class ---
+// Bot API access shared by TgAlbumsApp and the file service: base URL, fetch
+// implementation, retries with exponential back-off (honoring 429 retry_after) and timeouts.
+// Methods that post messages (sendDocument and the like) are not retried after a timeout: the
+// message may have been posted anyway, and sending it again would leave a duplicate in the chat.
+class TgTransport {
+  // options: { baseUrl, fetch, retries, backoffMs, maxBackoffMs, timeoutMs, transferTimeoutMs }
+  //   timeoutMs         - limit for a JSON Bot API call, response included (default 30 s; 0 waits forever)
+  //   transferTimeoutMs - limit for a multipart upload or a file download, body included (default 10 min; 0 waits forever)
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.retries = options.retries != null ? options.retries : 5;
+    this.backoffMs = options.backoffMs != null ? options.backoffMs : 500;
+    this.maxBackoffMs = options.maxBackoffMs != null ? options.maxBackoffMs : 30000;
+    this.timeoutMs = options.timeoutMs != null ? options.timeoutMs : 30000;
+    this.transferTimeoutMs = options.transferTimeoutMs != null ? options.transferTimeoutMs : 10 * 60 * 1000;
+  }
+
+  methodUrl(botToken, method) { return `${this.baseUrl}/bot${botToken}/${method}`; }
+  fileUrl(botToken, filePath) { return `${this.baseUrl}/file/bot${botToken}/${filePath}`; }
+
+  // call: Bot API method with a JSON object or FormData body; returns json.result.
+  // A timeout rejects with err.code 'TIMEOUT'.
+  async call(botToken, method, body) {
+    const multipart = typeof FormData !== 'undefined' && body instanceof FormData;
+    const init = multipart
+      ? { method: 'POST', body }
+      : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) };
+    const timeoutMs = multipart ? this.transferTimeoutMs : this.timeoutMs;
+    for (let attempt = 0; ; attempt++) {
+      let json;
+      try {
+        json = await this._fetchWithTimeout(this.methodUrl(botToken, method), init, timeoutMs, res => res.json());
+      } catch (e) {
+        if (attempt >= this.retries || (e.code === 'TIMEOUT' && TgTransport._postsMessage(method))) throw e;
+        await TgTransport._sleep(this._backoff(attempt));
+        continue;
+      }
+      if (json.ok) return json.result;
+      const code = json.error_code;
+      const retryable = code === 429 || code >= 500;
+      if (!retryable || attempt >= this.retries) {
+        const err = new Error(`Telegram API error: ${json.description}`);
+        err.errorCode = code;
+        throw err;
+      }
+      const retryAfter = json.parameters && json.parameters.retry_after;
+      await TgTransport._sleep(retryAfter != null ? retryAfter * 1000 : this._backoff(attempt));
+    }
+  }
+
+  // request: plain fetch (e.g. file downloads) with the same retry policy; returns the Response.
+  // A successful response's body is read within transferTimeoutMs, so a download that stalls
+  // halfway times out too.
+  async request(url, init = {}) {
+    const read = async res => res.ok ? new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers: res.headers }) : res;
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await this._fetchWithTimeout(url, init, this.transferTimeoutMs, read);
+      } catch (e) {
+        if (attempt >= this.retries) throw e;
+        await TgTransport._sleep(this._backoff(attempt));
+        continue;
+      }
+      if (res.ok) return res;
+      if ((res.status !== 429 && res.status < 500) || attempt >= this.retries) {
+        throw new Error(`Telegram request failed: HTTP ${res.status}`);
+      }
+      const retryAfter = Number(res.headers.get('Retry-After'));
+      await TgTransport._sleep(retryAfter > 0 ? retryAfter * 1000 : this._backoff(attempt));
+    }
+  }
+
+  // fetches url and returns read(response), all within timeoutMs (0 waits forever)
+  async _fetchWithTimeout(url, init, timeoutMs, read) {
+    if (!timeoutMs) return read(await this.fetch(url, init));
+    const controller = new AbortController();
+    let timer;
+    // the race also covers fetch implementations that ignore the abort signal
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`Telegram request timed out after ${timeoutMs}ms`);
+        err.code = 'TIMEOUT';
+        reject(err);
+        controller.abort();
+      }, timeoutMs);
+    });
+    try {
+      return await Promise.race([this.fetch(url, Object.assign({}, init, { signal: controller.signal })).then(read), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // sendDocument, sendMediaGroup, copyMessage, forwardMessage...
+  static _postsMessage(method) {
+    return /^(send|copy|forward)/.test(method);
+  }
+
+  // exponential back-off with jitter
+  _backoff(attempt) {
+    const ms = Math.min(this.maxBackoffMs, this.backoffMs * Math.pow(2, attempt));
+    return Math.round(ms / 2 + Math.random() * ms / 2);
+  }
+
+  static _sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+}
+
+// --- TgBlobCache class ---
+// Two-tier cache of downloaded files keyed by Telegram file ID (whose content never changes):
+// an in-memory LRU of ready-to-use blobs and a persistent IndexedDB store of blobs as downloaded
+// (still encrypted for encrypted libraries). The persistent tier is skipped where IndexedDB
+// is missing, e.g. in Node, or fails to open.
+class TgBlobCache {
+  // options: { memoryBytes (default 50 MB), persistent (default true), persistentBytes (default 500 MB), dbName }
+  constructor(options = {}) {
+    this.memoryBytes = options.memoryBytes != null ? options.memoryBytes : 50 * 1024 * 1024;
+    this.persistentBytes = options.persistentBytes != null ? options.persistentBytes : 500 * 1024 * 1024;
+    this.persistent = options.persistent !== false && typeof indexedDB !== 'undefined';
+    this.dbName = options.dbName || 'tg-albums-cache';
+    this._memory = new Map(); // fileId -> Blob, least recently used first
+    this._memorySize = 0;
+    this._storedSize = null; // estimate of the persistent tier's size, measured on first eviction pass
+    this._dbPromise = null;
+  }
+
+  // --- memory tier ---
+  get(fileId) {
+    const blob = this._memory.get(fileId);
+    if (!blob) return null;
+    this._memory.delete(fileId);
+    this._memory.set(fileId, blob);
+    return blob;
+  }
+
+  put(fileId, blob) {
+    // one big original must not push out hundreds of thumbnails
+    if (blob.size > this.memoryBytes / 4) return;
+    this.delete(fileId);
+    this._memory.set(fileId, blob);
+    this._memorySize += blob.size;
+    for (const [key, old] of this._memory) {
+      if (this._memorySize <= this.memoryBytes) break;
+      this._memory.delete(key);
+      this._memorySize -= old.size;
+    }
+  }
+
+  delete(fileId) {
+    const blob = this._memory.get(fileId);
+    if (!blob) return;
+    this._memory.delete(fileId);
+    this._memorySize -= blob.size;
+  }
+
+  // --- persistent tier ---
+  async getStored(fileId) {
+    if (!this.persistent) return null;
+    try {
+      const record = await this._request('readonly', store => store.get(fileId));
+      if (!record) return null;
+      this._request('readwrite', store => store.put(Object.assign(record, { lastUsed: Date.now() }))).catch(() => {});
+      return record.blob;
+    } catch (e) {
+      this._disablePersistent(e);
+      return null;
+    }
+  }
+
+  async putStored(fileId, blob) {
+    if (!this.persistent || blob.size > this.persistentBytes) return;
+    try {
+      await this._request('readwrite', store => store.put({ fileId, blob, size: blob.size, lastUsed: Date.now() }));
+      if (this._storedSize != null) this._storedSize += blob.size;
+      if (this._storedSize == null || this._storedSize > this.persistentBytes) await this._evictStored();
+    } catch (e) {
+      this._disablePersistent(e);
+    }
+  }
+
+  async clear() {
+    this._memory.clear();
+    this._memorySize = 0;
+    if (!this.persistent) return;
+    try {
+      await this._request('readwrite', store => store.clear());
+      this._storedSize = 0;
+    } catch (e) {
+      this._disablePersistent(e);
+    }
+  }
+
+  // drops least recently used records until the store fits persistentBytes
+  async _evictStored() {
+    const db = await this._db();
+    this._storedSize = await new Promise((resolve, reject) => {
+      const tx = db.transaction('blobs', 'readwrite');
+      const store = tx.objectStore('blobs');
+      const records = [];
+      let total = 0;
+      store.index('lastUsed').openCursor().onsuccess = e => {
+        const cursor = e.target.result;
+        if (cursor) {
+          records.push([cursor.primaryKey, cursor.value.size]);
+          total += cursor.value.size;
+          cursor.continue();
+          return;
+        }
+        for (const [key, size] of records) {
+          if (total <= this.persistentBytes) break;
+          store.delete(key);
+          total -= size;
+        }
+      };
+      tx.oncomplete = () => resolve(total);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
   }
 
-  async _loadRootFromFileId(fileId) {
-    const res = await this.service.getFile(fileId, 'albums.json', 'application/json');
-    if (!res || !res.blob) throw new Error('No root file blob');
-    const text = await res.blob.text();
-    const parsed = JSON.parse(text);
-    if (!Array.isArray(parsed)) throw new Error('Root file JSON must be array');
-    for (const a of parsed) {
-      if (typeof a.name !== 'string' || typeof a.albumFileId !== 'string' || typeof a.albumId !== 'string') {
-        throw new Error('Invalid album entry');
-      }
+  _db() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('blobs', { keyPath: 'fileId' }).createIndex('lastUsed', 'lastUsed');
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
     }
-    this.root = parsed.slice().sort((x, y) => x.name.localeCompare(y.name));
-    this.rootFileId = fileId;
+    return this._dbPromise;
   }
 
-  async _saveRootCascade() {
-    const blob = new Blob([JSON.stringify(this.root)], { type: 'application/json' });
-    const newFileId = await this.service.putFile(blob);
-    this.rootFileId = newFileId;
-    await this._setChatDescription(newFileId);
+  async _request(mode, fn) {
+    const db = await this._db();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('blobs', mode);
+      const req = fn(tx.objectStore('blobs'));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
   }
 
-  // --- Album API ---
-  // createAlbum returns Album instance and also { ok:true } is returned by side-effect methods
-  async createAlbum(name) {
-    await this.ready();
-    try {
-      if (!name || typeof name !== 'string') throw new Error('Name required');
-      // duplicate names allowed, but albumId must be unique
-      const albumId = TgAlbumsApp._makeAlbumId();
-      const albumBlob = new Blob([JSON.stringify([])], { type: 'application/json' });
-      const albumFileId = await this.service.putFile(albumBlob);
-      const albumEntry = { name, thumbFileId: null, albumFileId, albumId };
-      this.root.push(albumEntry);
-      this.root.sort((x, y) => x.name.localeCompare(y.name));
-      await this._saveRootCascade();
-      return { ok: true, album: new Album(this.service, albumFileId, name, this, albumEntry.thumbFileId, albumId) };
-    } catch (e) {
-      console.error('createAlbum error:', e);
-      return { ok: false, errors: [String(e)] };
-    }
+  _disablePersistent(e) {
+    console.warn('Persistent blob cache disabled:', e);
+    this.persistent = false;
   }
+}
 
-  async getAlbums() {
-    await this.ready();
-    return this.root.map(a => new Album(this.service, a.albumFileId, a.name, this, a.thumbFileId, a.albumId));
+// --- TgDownloader class ---
+// Reads Telegram files for TgAlbumsApp and TgAlbumsViewer: through the cache (see TgBlobCache),
+// with one download per file however many reads wait for it, decrypted with the client's key,
+// and chunked originals (see TgAlbumsApp._putParts) reassembled or streamed part by part.
+class TgDownloader {
+  // service: anything with getFile(fileId, name, mime); cache: a TgBlobCache or null;
+  // getKey: returns the CryptoKey encrypted files are read with, or null
+  constructor(service, cache, getKey) {
+    this.service = service;
+    this.cache = cache;
+    this.getKey = getKey;
+    this._downloads = new Map(); // fileId -> Promise of a download in progress
   }
 
-  // find by constant albumId
-  async findAlbumById(albumId) {
-    await this.ready();
-    const entry = this.root.find(a => a.albumId === albumId);
-    return entry ? new Album(this.service, entry.albumFileId, entry.name, this, entry.thumbFileId, entry.albumId) : null;
+  // encrypted is the flag recorded with the file (see TgAlbumsApp._withEncryptedFlag)
+  async getBlob(fileId, name, mime, encrypted) {
+    const cached = this.cache && this.cache.get(fileId);
+    if (cached) return cached;
+    let pending = this._downloads.get(fileId);
+    if (!pending) {
+      pending = this._download(fileId, name, mime, encrypted);
+      this._downloads.set(fileId, pending);
+      const done = () => this._downloads.delete(fileId);
+      pending.then(done, done);
+    }
+    return pending;
   }
 
-  // returns array of albums matching name (duplicates allowed)
-  async findAlbumsByName(name) {
-    await this.ready();
-    const matches = this.root.filter(a => a.name === name);
-    return matches.map(a => new Album(this.service, a.albumFileId, a.name, this, a.thumbFileId, a.albumId));
+  async _download(fileId, name, mime, encrypted) {
+    let raw = this.cache && await this.cache.getStored(fileId);
+    if (!raw) {
+      const res = await this.service.getFile(fileId, name, mime);
+      if (!res || !res.blob) throw new Error(`No blob for ${name}`);
+      raw = res.blob;
+      if (this.cache) await this.cache.putStored(fileId, raw);
+    }
+    let blob = raw;
+    const key = this.getKey();
+    // files of an encrypted library recorded before the flag existed are recognised by their header
+    const sealed = encrypted != null ? encrypted
+      : !!key && TgCrypto.isEncrypted(new Uint8Array(await raw.slice(0, 16).arrayBuffer()));
+    if (sealed) {
+      if (!key) throw new Error(`"${name}" is encrypted and there is no key to read it`);
+      blob = new Blob([await TgCrypto.decrypt(key, new Uint8Array(await raw.arrayBuffer()))], { type: mime || '' });
+    }
+    if (this.cache) this.cache.put(fileId, blob);
+    return blob;
   }
 
-  async deleteAllAlbums() {
-    await this.ready();
-    try {
-      // preserve Trash (clear it instead)
-      const trashIdx = this.root.findIndex(a => a.name === 'Trash');
-      const trash = trashIdx !== -1 ? this.root.splice(trashIdx, 1)[0] : null;
-      this.root = [];
-      if (trash) this.root.push(trash);
-      await this._saveRootCascade();
-      return { ok: true };
-    } catch (e) {
-      console.error('deleteAllAlbums error:', e);
-      return { ok: false, errors: [String(e)] };
-    }
+  // the original file of an entry, reassembled and checked when it is chunked
+  async getOriginal(entry) {
+    if (!entry.parts) return this.getBlob(entry.fullFileId, entry.name, entry.mime, entry.encrypted);
+    const blobs = [];
+    for await (const part of this.originalParts(entry)) blobs.push(part);
+    const blob = new Blob(blobs, { type: entry.mime || '' });
+    if (entry.size != null && blob.size !== entry.size) throw new Error(`"${entry.name}" is incomplete: ${blob.size} of ${entry.size} bytes`);
+    return blob;
   }
 
-  // internal update
-  async _updateAlbumDescriptorByFileId(oldAlbumFileId, changes) {
-    const idx = this.root.findIndex(a => a.albumFileId === oldAlbumFileId);
-    if (idx === -1) throw new Error('Album not found in root');
-    this.root[idx] = Object.assign({}, this.root[idx], changes);
-    this.root.sort((x, y) => x.name.localeCompare(y.name));
-    await this._saveRootCascade();
+  // yields the checked parts of a chunked original in order, downloading the next part
+  // while the current one is consumed
+  async *originalParts(entry) {
+    const fetchPart = async i => {
+      const part = entry.parts[i];
+      const blob = await this.getBlob(part.fileId, `${entry.name}.part${i + 1}`, 'application/octet-stream', entry.encrypted);
+      if (blob.size !== part.size || await TgAlbumsApp._sha256(blob) !== part.sha256) {
+        if (this.cache) this.cache.delete(part.fileId);
+        throw new Error(`Part ${i + 1} of "${entry.name}" is corrupted`);
+      }
+      return blob;
+    };
+    let next = fetchPart(0);
+    for (let i = 0; i < entry.parts.length; i++) {
+      const current = next;
+      if (i + 1 < entry.parts.length) {
+        next = fetchPart(i + 1);
+        next.catch(() => {}); // reported when its turn comes
+      }
+      yield await current;
+    }
   }
 
-  async _updateAlbumDescriptorByAlbumId(albumId, changes) {
-    const idx = this.root.findIndex(a => a.albumId === albumId);
-    if (idx === -1) throw new Error('Album not found in root');
-    this.root[idx] = Object.assign({}, this.root[idx], changes);
-    this.root.sort((x, y) => x.name.localeCompare(y.name));
-    await this._saveRootCascade();
+  // a ReadableStream of the original's bytes; a chunked original streams part by part,
+  // so playback (e.g. through MediaSource) can start before the last part has arrived
+  streamOriginal(entry) {
+    const downloader = this;
+    const pieces = entry.parts ? this.originalParts(entry) : (async function* () { yield await downloader.getOriginal(entry); })();
+    return new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await pieces.next();
+        if (done) controller.close();
+        else controller.enqueue(new Uint8Array(await value.arrayBuffer()));
+      },
+      cancel() { return pieces.return(); }
+    });
   }
 }
 
-// --- Album class ---
-class Album {
-  constructor(service, albumFileId, name, app, thumbFileId = null, albumId = null) {
-    this.service = service;
-    this.app = app; // reference to TgAlbumsApp
-    this.name = name;
-    this.albumFileId = albumFileId;
-    this.thumbFileId = thumbFileId;
-    this.albumId = albumId; // constant id
-    this.files = []; // [{ name, mime, thumbFileId, screenFileId, fullFileId, originalAlbumIds? }]
-    this._loaded = this._load();
-  }
+// --- image processors ---
+// An image processor turns a source image into a rendition (thumb/screen):
+//   { name, isSupported(): boolean, resize(blob, { maxWidth, maxHeight, type, quality, orientation }): Promise<Blob> }
+// orientation is the EXIF orientation (1-8) of the source; the output must be upright.
+// TgAlbumsApp uses options.imageProcessor, else the first supported entry of
+// TgAlbumsApp.imageProcessors. Register your own (e.g. sharp in Node) with
+// TgAlbumsApp.registerImageProcessor().
+class CanvasImageProcessor {
+  isSupported() { return typeof createImageBitmap === 'function'; }
 
-  async ready() { return this._loaded; }
+  async resize(blob, { maxWidth, maxHeight, type, quality, orientation = 1 }) {
+    const bitmap = await createImageBitmap(blob);
+    try {
+      const orient = orientation > 1 && !(await CanvasImageProcessor.decoderOrients()) ? orientation : 1;
+      const swap = orient >= 5;
+      const uprightW = swap ? bitmap.height : bitmap.width;
+      const uprightH = swap ? bitmap.width : bitmap.height;
+      const ratio = Math.min(1, Math.min(maxWidth / uprightW, maxHeight / uprightH));
+      const w = Math.max(1, Math.round(uprightW * ratio));
+      const h = Math.max(1, Math.round(uprightH * ratio));
+      const canvas = this._createCanvas(w, h);
+      const ctx = canvas.getContext('2d');
+      const transforms = {
+        2: [-1, 0, 0, 1, w, 0], 3: [-1, 0, 0, -1, w, h], 4: [1, 0, 0, -1, 0, h],
+        5: [0, 1, 1, 0, 0, 0], 6: [0, 1, -1, 0, w, 0], 7: [0, -1, -1, 0, w, h], 8: [0, -1, 1, 0, 0, h]
+      };
+      if (transforms[orient]) ctx.transform(...transforms[orient]);
+      ctx.drawImage(bitmap, 0, 0, swap ? h : w, swap ? w : h);
+      const out = await this._encode(canvas, type || blob.type || 'image/png', quality);
+      if (!out) throw new Error(`${this.name} could not encode ${type}`);
+      return out;
+    } finally {
+      if (bitmap.close) bitmap.close();
+    }
+  }
 
-  async _load() {
-    const res = await this.service.getFile(this.albumFileId, `${this.name}.json`, 'application/json');
-    if (!res || !res.blob) throw new Error('Failed to load album file');
-    const text = await res.blob.text();
-    const parsed = JSON.parse(text);
-    if (!Array.isArray(parsed)) throw new Error('Album file must be array');
-    for (const f of parsed) {
-      if (typeof f.name !== 'string' || typeof f.fullFileId !== 'string') {
-        throw new Error('Invalid file entry in album');
-      }
+  // Modern decoders apply the EXIF orientation themselves. Decodes a 2x1 JPEG tagged
+  // with orientation 6 once: if it comes out 1x2 the decoder already rotates.
+  static decoderOrients() {
+    if (!CanvasImageProcessor._decoderOrients) {
+      const probe = '/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wCEAFA3PEY8MlBGQUZaVVBfeMiCeG5uePWvuZHI/////' +
+        '/////////////////////////////////////////////8BVVpaeGl464KC6////////////////////////////////////////////////////////////' +
+        '//////////////AABEIAAEAAgMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBB' +
+        'hNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVl' +
+        'peYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLE' +
+        'QACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZW' +
+        'mNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2' +
+        'gAMAwEAAhEDEQA/AKx6muqHwr0QS+J+p//Z';
+      const bytes = Uint8Array.from(atob(probe), c => c.charCodeAt(0));
+      CanvasImageProcessor._decoderOrients = createImageBitmap(new Blob([bytes], { type: 'image/jpeg' }))
+        .then(bitmap => bitmap.width === 1)
+        .catch(() => false);
     }
-    this.files = parsed.slice().sort((x, y) => x.name.localeCompare(y.name));
+    return CanvasImageProcessor._decoderOrients;
   }
+}
+
+// works on the main thread and in (service) workers
+class OffscreenCanvasImageProcessor extends CanvasImageProcessor {
+  get name() { return 'offscreen-canvas'; }
+  isSupported() { return super.isSupported() && typeof OffscreenCanvas !== 'undefined'; }
+  _createCanvas(w, h) { return new OffscreenCanvas(w, h); }
+  _encode(canvas, type, quality) { return canvas.convertToBlob({ type, quality }); }
+}
+
+// main-thread fallback for browsers without OffscreenCanvas
+class DomCanvasImageProcessor extends CanvasImageProcessor {
+  get name() { return 'dom-canvas'; }
+  isSupported() { return super.isSupported() && typeof document !== 'undefined'; }
 
-  static async _resizeBlob(inputBlob, maxW, maxH, mime) {
-    mime = mime || inputBlob.type || 'image/png';
-    const imgBitmap = await createImageBitmap(inputBlob);
-    const iw = imgBitmap.width;
-    const ih = imgBitmap.height;
-    const ratio = Math.min(1, Math.min(maxW / iw, maxH / ih));
-    const w = Math.max(1, Math.round(iw * ratio));
-    const h = Math.max(1, Math.round(ih * ratio));
+  _createCanvas(w, h) {
     const canvas = document.createElement('canvas');
     canvas.width = w; canvas.height = h;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(imgBitmap, 0, 0, w, h);
-    return await new Promise(resolve => canvas.toBlob(resolve, mime));
+    return canvas;
   }
 
-  async getFiles() {
-    await this.ready();
-    return this.files.map(f => Object.assign({}, f));
+  _encode(canvas, type, quality) { return new Promise(resolve => canvas.toBlob(resolve, type, quality)); }
+}
+
+TgAlbumsApp.imageProcessors = [new OffscreenCanvasImageProcessor(), new DomCanvasImageProcessor()];
+
+// --- image metadata (EXIF/XMP) ---
+// Reads capture date, camera, dimensions, GPS and orientation from JPEG, PNG and
+// HEIC/HEIF/AVIF files. read() resolves to
+//   { takenAt?, camera?: { make, model }, width?, height?, gps?: { latitude, longitude, altitude? }, orientation? }
+// or null; width/height are the upright (display) size. Malformed metadata is ignored.
+// takenAt is an ISO 8601 string with the offset the camera recorded, or without one (the camera's
+// local time) when it recorded none; compare capture times with Album._takenTime.
+class ImageMetadataReader {
+  static async read(blob) {
+    const head = new DataView(await blob.slice(0, 12).arrayBuffer());
+    let meta = null;
+    if (head.byteLength >= 2 && head.getUint16(0) === 0xFFD8) {
+      meta = await ImageMetadataReader._readJpeg(blob);
+    } else if (head.byteLength >= 8 && head.getUint32(0) === 0x89504E47) {
+      meta = await ImageMetadataReader._readPng(blob);
+    } else if (head.byteLength >= 12 && ImageMetadataReader._ascii(head, 4, 4) === 'ftyp') {
+      meta = await ImageMetadataReader._readIsoBmff(blob);
+    }
+    if (!meta) return null;
+    // EXIF orientations 5-8 rotate by 90 degrees: report the size as displayed
+    if (meta.orientation >= 5 && meta.width && meta.height) [meta.width, meta.height] = [meta.height, meta.width];
+    if (meta.orientation === 1) delete meta.orientation;
+    return Object.keys(meta).length ? meta : null;
   }
 
-  // addFiles: items = [[Blob,name,mime], ...]
-  // returns { ok:true, warnings? }
-  async addFiles(items) {
-    await this.ready();
-    const warnings = [];
+  static async _readJpeg(blob) {
+    const view = new DataView(await blob.slice(0, 512 * 1024).arrayBuffer());
+    const meta = {};
+    let offset = 2;
     try {
-      if (!Array.isArray(items)) throw new Error('items must be array of [Blob,name,mime]');
-      for (const item of items) {
-        const [blob, name, mime] = item;
-        if (!blob || !name) {
-          const msg = 'Each item must be [Blob,name,mime]'; console.warn(msg); warnings.push(msg); continue;
-        }
-        const theMime = mime || blob.type || '';
-        if (!theMime.startsWith('image/') && !theMime.startsWith('video/')) {
-          const msg = `Skipped unsupported MIME type for file "${name}": ${theMime}`;
-          console.warn(msg);
-          warnings.push(msg);
-          continue; // skip uploading this file
+      while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+        const marker = view.getUint8(offset + 1);
+        if (marker === 0xFF) { offset++; continue; } // fill byte
+        if (marker === 0xDA || marker === 0xD9) break; // start of scan / end of image
+        const length = view.getUint16(offset + 2);
+        const start = offset + 4;
+        const end = Math.min(view.byteLength, offset + 2 + length);
+        if (marker === 0xE1 && ImageMetadataReader._ascii(view, start, 6) === 'Exif\0\0') {
+          ImageMetadataReader._readTiff(new DataView(view.buffer, start + 6, end - start - 6), meta);
+        } else if (marker === 0xE1 && ImageMetadataReader._ascii(view, start, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+          ImageMetadataReader._readXmp(ImageMetadataReader._utf8(view, start + 29, end), meta);
+        } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+          // start of frame: the real pixel size wins over EXIF/XMP values
+          meta.height = view.getUint16(start + 1);
+          meta.width = view.getUint16(start + 3);
         }
-        // upload original full-size file
-        const fullFileId = await this.service.putFile(blob);
-        // create thumbnail 150x150 and screen 1920x1080 (for images only; for video we keep same blob as placeholder)
-        let thumbBlob, screenBlob;
-        try {
-          thumbBlob = await Album._resizeBlob(blob, 150, 150, theMime);
-        } catch (e) {
-          console.warn('Thumbnail creation failed, using original blob as thumb:', e);
-          thumbBlob = blob;
-        }
-        try {
-          screenBlob = await Album._resizeBlob(blob, 1920, 1080, theMime);
-        } catch (e) {
-          console.warn('Screen resize failed, using original blob as screen:', e);
-          screenBlob = blob;
-        }
-        const thumbFileId = await this.service.putFile(thumbBlob);
-        const screenFileId = await this.service.putFile(screenBlob);
-        const fileEntry = { name, mime: theMime, thumbFileId, screenFileId, fullFileId, originalAlbumIds: [this.albumId] };
-        this.files.push(fileEntry);
-        this.files.sort((x, y) => x.name.localeCompare(y.name));
-        // save album file to Telegram -> cascade (generate new albumFileId and update root)
-        await this._saveAlbumCascade();
+        offset += 2 + length;
       }
-      const result = { ok: true };
-      if (warnings.length) { result.warnings = warnings; }
-      return result;
     } catch (e) {
-      console.error('addFiles error:', e);
-      return { ok: false, errors: [String(e)] };
+      // truncated segment: keep what was read so far
     }
+    return meta;
   }
 
-  async _saveAlbumCascade() {
-    const albumBlob = new Blob([JSON.stringify(this.files)], { type: 'application/json' });
-    const newAlbumFileId = await this.service.putFile(albumBlob);
-    const oldAlbumFileId = this.albumFileId;
-    this.albumFileId = newAlbumFileId;
+  static async _readPng(blob) {
+    const meta = {};
+    const ihdr = new DataView(await blob.slice(16, 24).arrayBuffer());
+    if (ihdr.byteLength === 8) {
+      meta.width = ihdr.getUint32(0);
+      meta.height = ihdr.getUint32(4);
+    }
+    let offset = 8;
+    while (offset + 8 <= blob.size) {
+      const header = new DataView(await blob.slice(offset, offset + 8).arrayBuffer());
+      const length = header.getUint32(0);
+      const type = ImageMetadataReader._ascii(header, 4, 4);
+      if (type === 'IEND') break;
+      if (type === 'eXIf' || type === 'iTXt') {
+        const data = new DataView(await blob.slice(offset + 8, offset + 8 + length).arrayBuffer());
+        if (type === 'eXIf') {
+          ImageMetadataReader._readTiff(data, meta);
+        } else {
+          // keyword\0 compression(1) method(1) language\0 translated keyword\0 text
+          const bytes = new Uint8Array(data.buffer);
+          const keywordEnd = bytes.indexOf(0);
+          if (ImageMetadataReader._ascii(data, 0, keywordEnd) === 'XML:com.adobe.xmp' && bytes[keywordEnd + 1] === 0) {
+            const langEnd = bytes.indexOf(0, keywordEnd + 3);
+            const textStart = bytes.indexOf(0, langEnd + 1) + 1;
+            if (langEnd !== -1 && textStart > 0) ImageMetadataReader._readXmp(ImageMetadataReader._utf8(data, textStart, bytes.length), meta);
+          }
+        }
+      }
+      offset += 12 + length;
+    }
+    return meta;
+  }
+
+  // HEIC/HEIF/AVIF: the decoder applies the container's own rotation (irot), so the
+  // EXIF orientation is informational only and not reported for correction.
+  static async _readIsoBmff(blob) {
+    const view = new DataView(await blob.slice(0, 1024 * 1024).arrayBuffer());
+    const text = ImageMetadataReader._ascii(view, 0, view.byteLength);
+    const meta = {};
+    const exif = text.search(/Exif\0\0(II\*\0|MM\0\*)/);
+    if (exif !== -1) ImageMetadataReader._readTiff(new DataView(view.buffer, exif + 6), meta);
+    const xmpStart = text.indexOf('<x:xmpmeta');
+    if (xmpStart !== -1) {
+      const xmpEnd = text.indexOf('</x:xmpmeta>', xmpStart);
+      ImageMetadataReader._readXmp(ImageMetadataReader._utf8(view, xmpStart, xmpEnd === -1 ? view.byteLength : xmpEnd + 12), meta);
+    }
+    // image spatial extents: the largest one is the full image, smaller ones are tiles/thumbnails
+    let width = 0;
+    let height = 0;
+    for (let i = text.indexOf('ispe'); i !== -1 && i + 16 <= view.byteLength; i = text.indexOf('ispe', i + 4)) {
+      const w = view.getUint32(i + 8);
+      const h = view.getUint32(i + 12);
+      if (w * h > width * height) { width = w; height = h; }
+    }
+    if (width) {
+      const irot = text.indexOf('irot');
+      const quarterTurns = irot !== -1 && irot + 4 < view.byteLength ? view.getUint8(irot + 4) & 3 : 0;
+      meta.width = quarterTurns % 2 ? height : width;
+      meta.height = quarterTurns % 2 ? width : height;
+    }
+    delete meta.orientation;
+    return meta;
+  }
+
+  static _readTiff(view, meta) {
     try {
-      await this.app._updateAlbumDescriptorByFileId(oldAlbumFileId, { albumFileId: newAlbumFileId, thumbFileId: this._deriveThumbFileId() });
+      const order = view.getUint16(0);
+      if (order !== 0x4949 && order !== 0x4D4D) return;
+      const le = order === 0x4949;
+      const ifd0 = ImageMetadataReader._readIfd(view, view.getUint32(4, le), le,
+        { 0x010F: 'make', 0x0110: 'model', 0x0112: 'orientation', 0x0132: 'dateTime', 0x8769: 'exifIfd', 0x8825: 'gpsIfd' });
+      const exif = ifd0.exifIfd ? ImageMetadataReader._readIfd(view, ifd0.exifIfd, le,
+        { 0x9003: 'dateTimeOriginal', 0x9004: 'dateTimeDigitized', 0x9011: 'offsetTimeOriginal', 0xA002: 'width', 0xA003: 'height' }) : {};
+      const gps = ifd0.gpsIfd ? ImageMetadataReader._readIfd(view, ifd0.gpsIfd, le,
+        { 1: 'latRef', 2: 'lat', 3: 'lonRef', 4: 'lon', 5: 'altRef', 6: 'alt' }) : {};
+
+      const takenAt = ImageMetadataReader._exifDate(exif.dateTimeOriginal || exif.dateTimeDigitized || ifd0.dateTime, exif.offsetTimeOriginal);
+      if (takenAt) meta.takenAt = takenAt;
+      if (ifd0.make || ifd0.model) meta.camera = { make: ifd0.make || null, model: ifd0.model || null };
+      if (ifd0.orientation >= 1 && ifd0.orientation <= 8) meta.orientation = ifd0.orientation;
+      if (exif.width && exif.height && !meta.width) { meta.width = exif.width; meta.height = exif.height; }
+      if (Array.isArray(gps.lat) && Array.isArray(gps.lon)) {
+        const deg = ([d, m, s]) => d + m / 60 + s / 3600;
+        meta.gps = {
+          latitude: deg(gps.lat) * (gps.latRef === 'S' ? -1 : 1),
+          longitude: deg(gps.lon) * (gps.lonRef === 'W' ? -1 : 1)
+        };
+        if (typeof gps.alt === 'number' && isFinite(gps.alt)) meta.gps.altitude = gps.alt * (gps.altRef === 1 ? -1 : 1);
+      }
     } catch (e) {
-      // log but don't fail saving album itself
-      console.error('Failed to update root after saving album:', e);
+      // malformed TIFF structure
     }
   }
 
-  _deriveThumbFileId() {
-    if (this.files.length === 0) return null;
-    return this.files[0].thumbFileId || null;
+  // reads the wanted tags ({ tag: key }) of the IFD at offset
+  static _readIfd(view, offset, le, wanted) {
+    const out = {};
+    const count = view.getUint16(offset, le);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const key = wanted[view.getUint16(entry, le)];
+      if (key) out[key] = ImageMetadataReader._tiffValue(view, entry, le);
+    }
+    return out;
   }
 
-  async findFileByFullId(fullId) {
-    await this.ready();
-    const entry = this.files.find(f => f.fullFileId === fullId);
-    return entry ? new AlbumFile(this, entry) : null;
+  static _tiffValue(view, entry, le) {
+    const type = view.getUint16(entry + 2, le);
+    const count = view.getUint32(entry + 4, le);
+    const unit = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }[type];
+    if (!unit || !count) return null;
+    const at = unit * count <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+    if (at + unit * count > view.byteLength) return null;
+    if (type === 2) return ImageMetadataReader._ascii(view, at, count).replace(/\0[\s\S]*$/, '').trim();
+    const read = i => {
+      switch (type) {
+        case 3: return view.getUint16(at + i * 2, le);
+        case 4: return view.getUint32(at + i * 4, le);
+        case 9: return view.getInt32(at + i * 4, le);
+        case 5: return view.getUint32(at + i * 8, le) / view.getUint32(at + i * 8 + 4, le);
+        case 10: return view.getInt32(at + i * 8, le) / view.getInt32(at + i * 8 + 4, le);
+        default: return view.getUint8(at + i);
+      }
+    };
+    return count === 1 ? read(0) : Array.from({ length: Math.min(count, 16) }, (_, i) => read(i));
   }
 
-  // returns array of AlbumFile instances matching name
-  async findFilesByName(name) {
-    await this.ready();
-    const matches = this.files.filter(f => f.name === name);
-    return matches.map(f => new AlbumFile(this, f));
+  static _readXmp(xml, meta) {
+    const get = name => {
+      const m = new RegExp(`${name}\\s*=\\s*"([^"]*)"|<${name}>([^<]*)</${name}>`).exec(xml);
+      return m ? (m[1] != null ? m[1] : m[2]).trim() : null;
+    };
+    if (!meta.takenAt) {
+      const date = get('exif:DateTimeOriginal') || get('xmp:CreateDate') || get('photoshop:DateCreated');
+      if (date && !isNaN(Date.parse(date))) meta.takenAt = date;
+    }
+    if (!meta.orientation) {
+      const orientation = Number(get('tiff:Orientation'));
+      if (orientation >= 1 && orientation <= 8) meta.orientation = orientation;
+    }
+    if (!meta.camera && (get('tiff:Make') || get('tiff:Model'))) {
+      meta.camera = { make: get('tiff:Make'), model: get('tiff:Model') };
+    }
+    if (!meta.width) {
+      const width = Number(get('exif:PixelXDimension') || get('tiff:ImageWidth'));
+      const height = Number(get('exif:PixelYDimension') || get('tiff:ImageLength'));
+      if (width && height) { meta.width = width; meta.height = height; }
+    }
+    if (!meta.gps) {
+      const latitude = ImageMetadataReader._xmpCoordinate(get('exif:GPSLatitude'));
+      const longitude = ImageMetadataReader._xmpCoordinate(get('exif:GPSLongitude'));
+      if (latitude != null && longitude != null) meta.gps = { latitude, longitude };
+    }
   }
 
-  async deleteThumbnailForFile(fullId) {
-    await this.ready();
+  // XMP GPS coordinates look like "48,51.528N" or "48,51,31.7N"
+  static _xmpCoordinate(value) {
+    const m = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(value || '');
+    if (!m) return null;
+    const deg = Number(m[1]) + Number(m[2]) / 60 + (m[3] ? Number(m[3]) / 3600 : 0);
+    return m[4] === 'S' || m[4] === 'W' ? -deg : deg;
+  }
+
+  // '2025:07:14 18:22:05' (+ optional '+02:00') -> '2025-07-14T18:22:05+02:00'
+  static _exifDate(value, offset) {
+    const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!m || m[1] === '0000') return null;
+    const tz = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${tz}`;
+  }
+
+  // one character per byte, so string indexes are byte offsets
+  static _ascii(view, offset, length) {
+    const end = Math.min(view.byteLength, offset + length);
+    return new TextDecoder('latin1').decode(new Uint8Array(view.buffer, view.byteOffset + offset, Math.max(0, end - offset)));
+  }
+
+  static _utf8(view, start, end) {
+    return new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + start, Math.max(0, end - start)));
+  }
+}
+
+// --- video processors ---
+// A video processor extracts a poster frame and basic metadata:
+//   { name, isSupported(): boolean, extractPoster(blob, { time }): Promise<{ poster, duration?, width?, height?, codec? }> }
+// Selected like image processors: options.videoProcessor, else the first supported
+// entry of TgAlbumsApp.videoProcessors (see TgAlbumsApp.registerVideoProcessor()).
+class DomVideoProcessor {
+  // options.timeoutMs: how long to wait for the video to load and seek before giving up on the
+  // poster (default 15000), e.g. for codecs the browser can't decode or seek
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs != null ? options.timeoutMs : 15000;
+  }
+
+  get name() { return 'dom-video'; }
+  isSupported() { return typeof document !== 'undefined' && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'; }
+
+  async extractPoster(blob, { time = 1, type = 'image/jpeg', quality = 0.9 } = {}) {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
     try {
-      const idx = this.files.findIndex(f => f.fullFileId === fullId);
-      if (idx === -1) throw new Error('File not found');
-      this.files[idx].thumbFileId = null;
-      await this._saveAlbumCascade();
-      return { ok: true };
-    } catch (e) {
-      console.error('deleteThumbnailForFile error:', e);
-      return { ok: false, errors: [String(e)] };
+      await DomVideoProcessor._until(video, 'loadeddata', () => { video.src = url; }, this.timeoutMs);
+      const duration = isFinite(video.duration) ? video.duration : null;
+      // clamp into the video so short clips still produce a frame
+      const at = duration ? Math.min(Math.max(0, time), Math.max(0, duration - 0.1)) : 0;
+      await DomVideoProcessor._until(video, 'seeked', () => { video.currentTime = at; }, this.timeoutMs);
+      const width = video.videoWidth;
+      const height = video.videoHeight;
+      const canvas = document.createElement('canvas');
+      canvas.width = width; canvas.height = height;
+      canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+      const poster = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+      return { poster, duration, width, height };
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
     }
   }
 
-  async clear() {
-    await this.ready();
-    try {
-      this.files = [];
-      await this._saveAlbumCascade();
-      return { ok: true };
-    } catch (e) {
-      console.error('clear album error:', e);
-      return { ok: false, errors: [String(e)] };
+  // resolves on event, rejects on error or when it hasn't come within timeoutMs (0 waits forever)
+  static _until(target, event, trigger, timeoutMs = 0) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const done = error => () => {
+        clearTimeout(timer);
+        target.removeEventListener(event, onOk);
+        target.removeEventListener('error', onError);
+        if (error) reject(new Error(error)); else resolve();
+      };
+      const onOk = done(null);
+      const onError = done(`Video could not be decoded (${event})`);
+      target.addEventListener(event, onOk);
+      target.addEventListener('error', onError);
+      if (timeoutMs) timer = setTimeout(done(`Video timed out after ${timeoutMs}ms waiting for ${event}`), timeoutMs);
+      trigger();
+    });
+  }
+}
+
+TgAlbumsApp.videoProcessors = [new DomVideoProcessor()];
+
+// --- ZIP archives ---
+// Minimal ZIP support for export/import: writes stored (uncompressed) entries, which suits
+// already-compressed photos and videos, and reads stored or deflated entries (deflated ones
+// need DecompressionStream). No ZIP64: archives and entries are limited to 4 GB and 65535 entries.
+class TgZip {
+  // entries: [{ name, blob, date? }] -> Blob (application/zip). Entries are stored as they are:
+  // their CRCs are computed chunk by chunk and the blobs themselves become parts of the archive
+  // blob, so no entry is read into memory as a whole.
+  static async write(entries) {
+    if (entries.length > 0xffff) throw new Error('Too many entries for a ZIP archive');
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const size = entry.blob.size;
+      const [time, date] = TgZip._dosDateTime(entry.date ? new Date(entry.date) : new Date());
+      if (offset + size > 0xffffffff) throw new Error('ZIP archive would exceed 4 GB');
+      const crc = await TgZip._blobCrc32(entry.blob);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size, true);
+      local.setUint32(22, size, true);
+      local.setUint16(26, name.length, true);
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      // flags .. name length: same fields as the local header, two bytes further on
+      for (let i = 6; i < 28; i += 2) header.setUint16(i + 2, local.getUint16(i, true), true);
+      header.setUint32(42, offset, true);
+      parts.push(local, name, entry.blob);
+      central.push(header, name);
+      offset += 30 + name.length + size;
     }
+    const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob(parts.concat(central, [end]), { type: 'application/zip' });
   }
 
-  async deleteAlbum() {
-    await this.ready();
-    try {
-      if (this.name === 'Trash') {
-        const msg = 'Trash album cannot be deleted';
-        console.warn(msg);
-        return { ok: false, errors: [msg] };
-      }
-      const root = this.app.root;
-      const idx = root.findIndex(a => a.albumId === this.albumId);
-      if (idx !== -1) {
-        root.splice(idx, 1);
-        this.app.root = root.sort((x, y) => x.name.localeCompare(y.name));
-        await this.app._saveRootCascade();
+  // -> [{ name, size, directory, blob(): Promise<Blob> }]
+  static async read(blob) {
+    const tailSize = Math.min(blob.size, 22 + 0xffff);
+    const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+    let eocd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a ZIP archive');
+    const count = tail.getUint16(eocd + 10, true);
+    const centralSize = tail.getUint32(eocd + 12, true);
+    const centralOffset = tail.getUint32(eocd + 16, true);
+    if (centralOffset === 0xffffffff || count === 0xffff) throw new Error('ZIP64 archives are not supported');
+    const cd = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0, pos = 0; i < count; i++) {
+      if (cd.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+      const method = cd.getUint16(pos + 10, true);
+      const compressedSize = cd.getUint32(pos + 20, true);
+      const size = cd.getUint32(pos + 24, true);
+      const nameLength = cd.getUint16(pos + 28, true);
+      const skip = nameLength + cd.getUint16(pos + 30, true) + cd.getUint16(pos + 32, true);
+      const localOffset = cd.getUint32(pos + 42, true);
+      const name = decoder.decode(new Uint8Array(cd.buffer, cd.byteOffset + pos + 46, nameLength));
+      pos += 46 + skip;
+      entries.push({
+        name,
+        size,
+        directory: name.endsWith('/'),
+        blob: async () => {
+          const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+          const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+          const raw = blob.slice(start, start + compressedSize);
+          if (method === 0) return raw;
+          if (method === 8 && typeof DecompressionStream === 'function') {
+            return new Response(raw.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+          }
+          throw new Error(`Unsupported ZIP compression method ${method} for "${name}"`);
+        }
+      });
+    }
+    return entries;
+  }
+
+  // previous continues the CRC of the bytes before these
+  static crc32(bytes, previous = 0) {
+    let table = TgZip._crcTable;
+    if (!table) {
+      table = TgZip._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
       }
-      return { ok: true };
-    } catch (e) {
-      console.error('deleteAlbum error:', e);
-      return { ok: false, errors: [String(e)] };
     }
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  static async _blobCrc32(blob) {
+    const reader = blob.stream().getReader();
+    let crc = 0;
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return crc;
+      crc = TgZip.crc32(value, crc);
+    }
+  }
+
+  static _dosDateTime(d) {
+    if (isNaN(d) || d.getFullYear() < 1980) d = new Date(1980, 0, 1);
+    return [
+      (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    ];
   }
 }
 
-// --- AlbumFile class ---
+// --- encryption ---
+// Passphrase-based encryption with WebCrypto. A random data key encrypts everything (AES-GCM);
+// the passphrase only wraps that key (PBKDF2 -> AES-GCM), so changing it re-encrypts nothing.
+// Encrypted blobs are MAGIC + 12-byte IV + ciphertext. Which files are encrypted is recorded with
+// them (encrypted: true, see TgAlbumsApp._withEncryptedFlag); MAGIC is only checked for entries
+// of encrypted libraries written before that.
+class TgCrypto {
+  static get MAGIC() { return [0x54, 0x47, 0x45, 0x31]; } // "TGE1"
 
-class AlbumFile {
-  constructor(album, descriptor) {
-    this.album = album;
-    this.descriptor = descriptor; // live reference from album.files
+  // new data key for passphrase -> { key, info }; info is stored in the root file
+  static async createKey(passphrase, iterations = 600000) {
+    const raw = crypto.getRandomValues(new Uint8Array(32));
+    const info = await TgCrypto._wrap(raw, passphrase, iterations);
+    return { key: await TgCrypto._importDataKey(raw), info };
   }
 
-  async getFullBlob() {
-    return (await this.album.service.getFile(this.descriptor.fullFileId, this.descriptor.name, this.descriptor.mime)).blob;
+  // data key from info; throws an error with code 'BAD_PASSPHRASE' if passphrase is wrong
+  static async unlock(passphrase, info) {
+    return TgCrypto._importDataKey(await TgCrypto._unwrap(passphrase, info));
   }
 
-  async getThumbBlob() {
-    if (!this.descriptor.thumbFileId) return null;
-    return (await this.album.service.getFile(this.descriptor.thumbFileId, `thumb_${this.descriptor.name}`, this.descriptor.mime)).blob;
+  // info for the same data key under a new passphrase
+  static async rewrap(oldPassphrase, newPassphrase, info) {
+    return TgCrypto._wrap(await TgCrypto._unwrap(oldPassphrase, info), newPassphrase, info.iterations);
   }
 
-  async getScreenBlob() {
-    if (!this.descriptor.screenFileId) return null;
-    return (await this.album.service.getFile(this.descriptor.screenFileId, `screen_${this.descriptor.name}`, this.descriptor.mime)).blob;
+  static async encrypt(key, data) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data));
+    const out = new Uint8Array(4 + 12 + cipher.length);
+    out.set(TgCrypto.MAGIC, 0);
+    out.set(iv, 4);
+    out.set(cipher, 16);
+    return out;
   }
 
-  async getFullBlobURL() {
-    return URL.createObjectURL(await this.getFullBlob());
+  static async decrypt(key, bytes) {
+    if (!TgCrypto.isEncrypted(bytes)) throw new Error('Data is not encrypted');
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(4, 16) }, key, bytes.subarray(16)));
   }
 
-  async getThumbBlobURL() {
-    return URL.createObjectURL(await this.getThumbBlob());
+  static isEncrypted(bytes) {
+    return bytes.length >= 16 && TgCrypto.MAGIC.every((b, i) => bytes[i] === b);
   }
 
-  async getScreenBlobURL() {
-    return URL.createObjectURL(await this.getScreenBlob());
+  static async _wrap(raw, passphrase, iterations) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const kek = await TgCrypto._deriveKek(passphrase, salt, iterations);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, kek, raw));
+    return {
+      kdf: 'PBKDF2', hash: 'SHA-256', iterations, cipher: 'AES-GCM',
+      salt: TgCrypto.toBase64(salt), iv: TgCrypto.toBase64(iv), wrappedKey: TgCrypto.toBase64(wrapped)
+    };
   }
 
-  async setAsAlbumThumbnail() {
+  static async _unwrap(passphrase, info) {
+    if (info.kdf !== 'PBKDF2' || info.cipher !== 'AES-GCM') throw new Error(`Unsupported encryption scheme ${info.kdf}/${info.cipher}`);
+    const kek = await TgCrypto._deriveKek(passphrase, TgCrypto.fromBase64(info.salt), info.iterations);
     try {
-      await this.album.ready();
-      const target = this.album.files.find(f => f.fullFileId === this.descriptor.fullFileId);
-      if (!target) throw new Error('File not found in album');
-      this.album.thumbFileId = target.thumbFileId || null;
-      await this.album._saveAlbumCascade();
-      return { ok: true };
+      return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: TgCrypto.fromBase64(info.iv) }, kek, TgCrypto.fromBase64(info.wrappedKey)));
     } catch (e) {
-      console.error('setAsAlbumThumbnail error:', e);
-      return { ok: false, errors: [String(e)] };
+      const err = new Error('Wrong passphrase');
+      err.code = 'BAD_PASSPHRASE';
+      throw err;
     }
   }
 
-  async removeFromAlbum() {
-    try {
-      await this.album.ready();
-      const fileIdx = this.album.files.findIndex(f => f.fullFileId === this.descriptor.fullFileId);
-      if (fileIdx === -1) throw new Error('File not found in album');
-      const fileEntry = this.album.files.splice(fileIdx, 1)[0];
-      fileEntry.originalAlbumIds = fileEntry.originalAlbumIds || [];
-      if (!fileEntry.originalAlbumIds.includes(this.album.albumId)) fileEntry.originalAlbumIds.push(this.album.albumId);
-      const trashEntry = this.album.app.root.find(a => a.name === 'Trash');
-      if (!trashEntry) throw new Error('Trash album not found');
-      const trashAlbum = new Album(this.album.service, trashEntry.albumFileId, trashEntry.name, this.album.app, trashEntry.thumbFileId, trashEntry.albumId);
-      await trashAlbum.ready();
-      trashAlbum.files.push(fileEntry);
-      trashAlbum.files.sort((x, y) => x.name.localeCompare(y.name));
-      await trashAlbum._saveAlbumCascade();
-      await this.album._saveAlbumCascade();
-      return { ok: true };
-    } catch (e) {
-      console.error('removeFromAlbum error:', e);
-      return { ok: false, errors: [String(e)] };
-    }
+  static async _deriveKek(passphrase, salt, iterations) {
+    if (!passphrase || typeof passphrase !== 'string') throw new Error('Passphrase required');
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material,
+      { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
   }
 
-  async restoreToAlbum() {
-    try {
-      await this.album.ready();
-      if (this.album.name !== 'Trash') throw new Error('restoreToAlbum should be called on a file in Trash');
-      const originalIds = this.descriptor.originalAlbumIds || [];
-      if (!originalIds.length) throw new Error('No original album recorded');
-      const targetAlbumId = originalIds[originalIds.length - 1];
-      const targetEntry = this.album.app.root.find(a => a.albumId === targetAlbumId);
-      if (!targetEntry) throw new Error('Original album not found');
-      const targetAlbum = new Album(this.album.service, targetEntry.albumFileId, targetEntry.name, this.album.app, targetEntry.thumbFileId, targetEntry.albumId);
-      await targetAlbum.ready();
-      const idx = this.album.files.findIndex(f => f.fullFileId === this.descriptor.fullFileId);
-      if (idx === -1) throw new Error('File not found in Trash');
-      const fileEntry = this.album.files.splice(idx, 1)[0];
-      fileEntry.originalAlbumIds = fileEntry.originalAlbumIds || [];
-      targetAlbum.files.push(fileEntry);
-      targetAlbum.files.sort((x, y) => x.name.localeCompare(y.name));
-      await targetAlbum._saveAlbumCascade();
-      await this.album._saveAlbumCascade();
-      return { ok: true };
-    } catch (e) {
-      console.error('restoreToAlbum error:', e);
-      return { ok: false, errors: [String(e)] };
-    }
+  static _importDataKey(raw) {
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
   }
 
-  // Updated to only remove file from current album
-  async removeForever() {
-    try {
-      await this.album.ready();
-      const idx = this.album.files.findIndex(f => f.fullFileId === this.descriptor.fullFileId);
-      if (idx === -1) throw new Error('File not found in this album');
-      this.album.files.splice(idx, 1);
-      await this.album._saveAlbumCascade();
-      return { ok: true };
-    } catch (e) {
-      console.error('removeForever error:', e);
-      return { ok: false, errors: [String(e)] };
-    }
+  static toBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
   }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TgAlbumsApp, Album, AlbumFile, TgAlbumsViewer, TgTransport, TgDownloader, OffscreenCanvasImageProcessor, DomCanvasImageProcessor, DomVideoProcessor, ImageMetadataReader, TgZip, TgCrypto, TgBlobCache };
+}
+
 /*
 USAGE EXAMPLES
 ==============
@@ -482,6 +4947,37 @@ Trash behavior, and root synchronization.
   const app = new TgAlbumsApp(service);
   await app.ready(); // ensures root file and Trash album exist
 
+  // Optional: custom Bot API base URL / fetch, retry and timeout policy.
+  // A service exposing a `transport` property shares it with the app.
+  // 429 responses are retried after parameters.retry_after. Uploads and downloads get their own,
+  // longer timeout; a sendDocument that timed out is not retried (it may have gone through).
+  const transport = new TgTransport({ baseUrl: 'https://api.telegram.org', retries: 5, timeoutMs: 30000, transferTimeoutMs: 600000 });
+  const customApp = new TgAlbumsApp(service, { transport });
+
+  // Optional: rendition sizes/format and a custom image processor. OffscreenCanvas
+  // (works in workers) and DOM canvas processors are built in; Node needs its own.
+  TgAlbumsApp.registerImageProcessor({
+    name: 'sharp',
+    isSupported: () => typeof process !== 'undefined',
+    resize: async (blob, { maxWidth, maxHeight, type, quality }) => {
+      const out = await sharp(Buffer.from(await blob.arrayBuffer()))
+        .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
+        .toFormat(type.split('/')[1], { quality: Math.round(quality * 100) })
+        .toBuffer();
+      return new Blob([out], { type });
+    }
+  });
+  // Video posters are taken at options.posterTime seconds by the built-in DOM
+  // video processor; register one (e.g. ffmpeg based) for workers or Node.
+  TgAlbumsApp.registerVideoProcessor({
+    name: 'ffmpeg',
+    extractPoster: async (blob, { time }) => ({ poster: await grabFrame(blob, time), duration, width, height, codec })
+  });
+  const webpApp = new TgAlbumsApp(service, {
+    posterTime: 2,
+    renditions: { thumb: { maxWidth: 300, maxHeight: 300, type: 'image/webp', quality: 0.7 }, screen: { type: 'image/jpeg' } }
+  });
+
   // --- 2. Create a new album ---
   const resCreate = await app.createAlbum('Vacations 2025');
   if (!resCreate.ok) {
@@ -502,7 +4998,7 @@ Trash behavior, and root synchronization.
   const addRes = await album.addFiles([
     [jpegBlob, 'beach.jpg', 'image/jpeg'],
     [pngBlob, 'mountain.png', 'image/png'],
-    [videoBlob, 'trip.mp4', 'video/mp4'], // example video upload
+    [videoBlob, 'trip.mp4', 'video/mp4'], // thumb/screen come from a poster frame; duration, size and codec are recorded
     [txtBlob, 'note.txt', 'text/plain']   // unsupported MIME -> warning
   ]);
 
@@ -513,24 +5009,63 @@ Trash behavior, and root synchronization.
     console.error('Error while adding files:', addRes.errors);
   }
 
+  // Large imports: parallel uploads, a single album/root save at the end,
+  // per-file progress and cancellation.
+  const controller = new AbortController();
+  const bulkRes = await album.addFiles(manyItems, {
+    concurrency: 4,
+    checkpointEvery: 50, // optional intermediate saves
+    signal: controller.signal,
+    onProgress: ev => console.log(`${ev.completed}/${ev.total}`, ev.type, ev.name)
+  });
+  if (bulkRes.aborted) console.log('Import cancelled after', bulkRes.added, 'files');
+
+  // ...or consume the same events as an async iterator
+  for await (const ev of album.addFilesIter(manyItems, { signal: controller.signal })) {
+    if (ev.type === 'error') console.warn('Failed:', ev.name, ev.error);
+  }
+
+  // Re-adding content that is already in the library (same SHA-256) is skipped with a warning;
+  // dedup: 'link' adds it without uploading again, 'off' always uploads (app-wide: new TgAlbumsApp(service, { dedup }))
+  await album.addFiles([[jpegBlob, 'beach-copy.jpg', 'image/jpeg']], { dedup: 'link' });
+  const dupRes = await app.findDuplicates({ computeMissing: true }); // also hashes files uploaded before hashes were recorded
+  for (const g of dupRes.groups) console.log('Same content:', g.files.map(f => `${f.albumName}/${f.name}`));
+
   // --- 4. List all albums ---
   const albums = await app.getAlbums();
   console.log('All albums:', albums.map(a => ({
     name: a.name, id: a.albumId
   })));
 
+  // Album editing: rename, description, a cover that survives later saves,
+  // and a manual album order (reorderAlbums([]) returns to alphabetical).
+  await album.rename('Vacations 2025 - Italy');
+  await album.setDescription('Two weeks in Rome and Florence');
+  await app.reorderAlbums([album.albumId]); // this album first, the rest after it
+
   // --- 5. Find album by ID ---
   const sameAlbum = await app.findAlbumById(album.albumId);
   console.log('Found by ID:', sameAlbum.name);
 
+  // getAlbums()/findAlbumById()/findAlbumsByName() hand out one shared Album
+  // instance per albumId, and every mutation is queued, so concurrent calls
+  // from different parts of the UI are applied in order.
+  console.log('Same instance:', sameAlbum === album);
+
   // --- 6. Find albums by name (duplicates allowed) ---
-  const vacs = await app.findAlbumsByName('Vacations 2025');
+  const vacs = await app.findAlbumsByName('Vacations 2025 - Italy');
   console.log('Albums with that name:', vacs.length);
 
   // --- 7. Get list of files in the album ---
   const files = await album.getFiles();
   console.log('Files in album:', files.map(f => f.name));
 
+  // Images carry EXIF/XMP metadata (capture date, camera, GPS, orientation) in
+  // f.meta, plus size/addedAt/width/height. Albums can be ordered by
+  // 'name', 'takenAt', 'addedAt' or 'size' ('-' prefix = descending):
+  await album.setSortOrder('takenAt'); // persisted for everyone
+  const biggestFirst = await album.getFiles({ sort: '-size' }); // this call only
+
   // --- 8. Find file by name ---
   const [firstFileEntry] = files.filter(f => f.name === 'beach.jpg');
   if (firstFileEntry) {
@@ -541,28 +5076,37 @@ Trash behavior, and root synchronization.
     const fullURL = await fileObj.getFullBlobURL();
     console.log('Full file URL:', fullURL);
     console.log('Thumbnail exists:', !!thumbBlob);
+    // downloads are cached by file ID (memory LRU + IndexedDB, see TgBlobCache and options.cache);
+    // object URLs are shared and stay valid until released
+    fileObj.release(); // or album.release() when leaving the album view
 
-    // --- 10. Set this file as the album’s thumbnail ---
+    // --- 10. Set this file as the album’s thumbnail (same as album.setCover(fullFileId)) ---
     const setThumbRes = await fileObj.setAsAlbumThumbnail();
     console.log('Album thumbnail set:', setThumbRes);
 
+    // Move/copy between albums without re-uploading (same Telegram file IDs)
+    const bestOf = (await app.createAlbum('Best of 2025')).album;
+    await fileObj.copyTo(bestOf); // now in both albums
+    await album.copyFiles(files.map(f => f.fullFileId), bestOf.albumId); // bulk variant; moveFiles() moves
+
     // --- 11. Move the file to Trash ---
     const rmRes = await fileObj.removeFromAlbum();
     console.log('File moved to Trash:', rmRes);
   }
 
   // --- 12. Restore a file from Trash ---
-  const albumsNow = await app.getAlbums();
-  const trash = albumsNow.find(a => a.name === 'Trash');
+  const trash = await app.getTrash();
   await trash.ready();
-  const trashFiles = await trash.getFiles();
+  const trashFiles = await trash.getFiles(); // entries carry trashedAt and trashedFromName
 
   if (trashFiles.length > 0) {
     const trashedEntry = trashFiles[0];
     const trashedObj = new AlbumFile(trash, trashedEntry);
-    const restoreRes = await trashedObj.restoreToAlbum();
+    const restoreRes = await trashedObj.restoreToAlbum(); // recreates the original album if it was deleted
     console.log('File restore result:', restoreRes);
   }
+  // bulk restore, optionally into a chosen album
+  await trash.restoreFiles(trash.files.map(f => f.fullFileId), { target: album });
 
   // --- 13. Permanently delete a file from Trash ---
   const refreshedTrash = (await app.getAlbums()).find(a => a.name === 'Trash');
@@ -574,17 +5118,149 @@ Trash behavior, and root synchronization.
     const delRes = await toDeleteObj.removeForever();
     console.log('File permanently deleted:', delRes);
   }
+  // files older than trashRetentionDays (default 30) are purged by ready(); on demand:
+  await app.purgeTrash({ olderThanDays: 7 });
+  await app.emptyTrash();
 
   // --- 14. Clear an album (remove all its files, keep Trash) ---
   const clearRes = await album.clear();
   console.log('Album cleared:', clearRes);
 
   // --- 15. Delete an album (Trash cannot be deleted) ---
+  // The album moves to Trash with its files, cover and albumId until restored or purged
   const delAlbumRes = await album.deleteAlbum();
   console.log('Album deletion result:', delAlbumRes);
+  console.log('Deleted albums:', (await app.getTrashedAlbums()).map(a => a.name));
+  await album.restoreAlbum(); // undo
 
-  // --- 16. Delete all albums (Trash is preserved but emptied) ---
+  // --- 16. Delete all albums (each moves to Trash; emptyTrash() removes them for good) ---
   const delAllRes = await app.deleteAllAlbums();
-  console.log('All albums deleted (Trash preserved):', delAllRes);
+  console.log('All albums moved to Trash:', delAllRes);
+
+  // --- 17. Multi-device sync ---
+  // Saves merge in changes made by other devices sharing the same bot/chat.
+  // To pick them up without making a change yourself:
+  const refreshRes = await app.refresh();
+  console.log('Remote changes:', refreshRes.changes); // { added, removed, updated } albumIds
+  app.startPolling(30000, changes => console.log('Albums changed remotely:', changes));
+  app.stopPolling();
+
+  // --- 18. History and rollback ---
+  // Every save keeps the previous root (and through it the album files) in a bounded history
+  const snapshots = await app.getSnapshots(); // [{ fileId, savedAt, op, current? }], newest first
+  const beforeDelete = snapshots.find(s => s.op !== 'deleteAllAlbums' && !s.current);
+  const view = await app.inspectSnapshot(beforeDelete.fileId, { withFiles: true }); // read-only
+  console.log('Albums then:', view.albums.map(a => `${a.name} (${a.files.length})`));
+  await app.rollback(beforeDelete.fileId); // undoable: the replaced root goes into history too
+
+  // --- 19. Integrity check and repair ---
+  const check = await app.verify({ checkHistory: true }); // checkMedia: false skips the per-file getFile calls
+  for (const issue of check.issues) console.log(issue.type, issue.message, '->', issue.fix || 'no automatic fix');
+  const repairRes = await app.repair(); // { fixed, remaining }
+  console.log('Repaired:', repairRes.fixed.length, 'left:', repairRes.remaining.length);
+  // a root file that can't be read is only replaced after asking; repair() then recovers its albums
+  const rescued = new TgAlbumsApp(service, { onUnreadableRoot: ({ error }) => confirm(`Library index is damaged (${error.message}). Start over?`) });
+  await rescued.ready(); // rejects with err.code 'ROOT_UNREADABLE' if declined
+
+  // --- 20. Export / import ZIP archives ---
+  const exportRes = await app.exportLibrary({ onProgress: ev => console.log(`${ev.completed}/${ev.total}`, ev.album, ev.name) });
+  const link = Object.assign(document.createElement('a'), { href: URL.createObjectURL(exportRes.blob), download: 'albums.zip' });
+  link.click();
+  const albumZip = (await album.exportZip()).blob; // one album
+  // archives from exportLibrary keep albumIds, descriptions, sort orders and covers;
+  // plain ZIPs become one album per top-level folder
+  const importRes = await app.importZip(zipFileFromInput, { onProgress: ev => console.log(ev.album, ev.type, ev.name) });
+  console.log('Imported', importRes.added, 'files into', importRes.albums.length, 'albums');
+
+  // --- 21. End-to-end encryption ---
+  // Albums, file lists and media are encrypted in the browser; the chat only sees ciphertext
+  const secureApp = new TgAlbumsApp(service, { passphrase: 'correct horse battery staple' });
+  await secureApp.ready(); // rejects with err.code 'PASSPHRASE_REQUIRED' / 'BAD_PASSPHRASE'
+  // an existing plaintext library is migrated in place (re-uploads every file)
+  if (!app.encrypted) await app.enableEncryption('correct horse battery staple', { onProgress: ev => console.log(`${ev.completed}/${ev.total}`) });
+  await app.changePassphrase('correct horse battery staple', 'a new passphrase');
+
+  // --- 22. Change events ---
+  // listeners run after the change is saved; views can patch themselves instead of reloading everything
+  const unsubscribe = app.on('filesAdded', ev => console.log(ev.files.length, 'new files in', ev.albumId));
+  app.on('syncConflict', ev => console.log('Merged changes from another device:', ev.changes));
+  album.on('*', ev => console.log(album.name, ev.type)); // only events about this album
+  unsubscribe();
+
+  // --- 23. Captions, tags, favorites and search ---
+  const photo = (await album.findFilesByName('photo.jpg'))[0];
+  await photo.setCaption('Sunset at the lighthouse');
+  await photo.setTags(['sea', 'Portugal']);
+  await photo.setFavorite(true);
+  await album.setFileMetadata(album.files.map(f => f.fullFileId), { addTags: ['trip 2024'], rating: 3 });
+  // across all albums; matching ignores case and accents
+  const found = await app.search({ tags: ['portugal'], mime: 'image/*', from: '2024-06-01', to: '2024-06-30' });
+  for (const r of found.results) console.log(r.albumName, r.name, r.caption);
+  const typos = await app.search({ name: 'phtoo', fuzzy: true, limit: 10 }); // finds photo.jpg; best matches first, with score
+  const favorites = await app.search({ favorite: true, sort: '-takenAt' });
+  const { tags } = await app.getTags(); // [{ tag, count }], most used first
+
+  // --- 24. Large files ---
+  // originals over chunkSize (default 19 MiB) are stored in parts and reassembled transparently
+  const bigApp = new TgAlbumsApp(service, { chunkSize: 10 * 1024 * 1024 });
+  const movie = (await album.findFilesByName('holiday.mp4'))[0];
+  const wholeMovie = await movie.getFullBlob(); // every part is checked against its SHA-256
+  // or play while downloading, e.g. a fragmented MP4 through MediaSource
+  const mediaSource = new MediaSource();
+  videoElement.src = URL.createObjectURL(mediaSource);
+  mediaSource.addEventListener('sourceopen', async () => {
+    const buffer = mediaSource.addSourceBuffer('video/mp4; codecs="avc1.64001f, mp4a.40.2"');
+    const reader = movie.getFullStream().getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      buffer.appendBuffer(chunk.value);
+      await new Promise(resolve => buffer.addEventListener('updateend', resolve, { once: true }));
+    }
+    mediaSource.endOfStream();
+  });
+
+  // --- 25. Very large albums ---
+  // albums over albumPageSize files (default 500) are stored in pages; edits re-upload only the
+  // pages they touch, and older single-file albums are converted the next time their files change
+  const bigAlbum = await app.findAlbumById(albumId);
+  let page = await bigAlbum.getFilesPage(null, 50); // downloads only the pages it needs
+  renderGrid(page.files);
+  while (page.nextCursor) {
+    page = await bigAlbum.getFilesPage(page.nextCursor, 50);
+    renderGrid(page.files);
+  }
+  for await (const file of bigAlbum.filesIter(200)) console.log(file.name);
+
+  // --- 26. Folders ---
+  const { folder: trips } = await app.createFolder('Trips');
+  const { folder: y2024 } = await app.createFolder('2024', trips.folderId);
+  const { album: lisbon } = await app.createAlbum('Lisbon', { folderId: y2024.folderId });
+  await album.moveToFolder(trips.folderId); // null moves it back to the top level
+  const listing = await app.listFolder(trips.folderId); // { folder, path, folders, albums }
+  for (const crumb of listing.path) console.log(crumb.name); // Trips
+  const tile = await app.getFolderSummary(trips.folderId); // { folders, albums, files, cover, covers }
+  console.log(`${tile.albums} albums, ${tile.files} files`);
+  await app.moveFolder(y2024.folderId, null);
+  await app.deleteFolder(trips.folderId); // its albums move up; { trashAlbums: true } trashes them
+
+  // --- 27. Sharing ---
+  // shares go through a second bot, so viewers never get the library's token; it uploads into
+  // FAMILY_CHAT_ID and must be able to edit its description
+  const sharingApp = new TgAlbumsApp(service, { shareService: new TgFileService('SHARE_BOT_TOKEN', 'FAMILY_CHAT_ID') });
+  const { share, token } = await sharingApp.shareAlbum(album, { originals: false });
+  // on the viewer's side, with a service for the share bot
+  const viewer = new TgAlbumsViewer(new TgFileService('SHARE_BOT_TOKEN', 'FAMILY_CHAT_ID'), token);
+  await viewer.ready();
+  for (const f of viewer.files) showImage(await viewer.getScreenBlob(f), f.caption);
+  await viewer.refresh(); // { changed } after the owner's edits
+  await sharingApp.revokeShare(share.shareId); // viewer.refresh() now reports revoked: true
+  const { token: frozen } = await sharingApp.publishAlbum(album); // a one-off snapshot that never changes
+  await app.sendAlbumToChat(album, 'FAMILY_CHAT_ID'); // screens as photo groups with captions
+
+  // --- 28. Node tests without network (TgAlbumsFake.js) ---
+  // const { TgFakeBotApi } = require('./TgAlbumsFake.js');
+  const fakeApi = new TgFakeBotApi();
+  const testApp = new TgAlbumsApp(fakeApi.createFileService());
+  await testApp.ready();
+  fakeApi.failNext('sendDocument', { error_code: 429, retry_after: 0 }); // retried transparently
 })();
 */
@@ -1 +1 @@
-class TgAlbumsApp{constructor(t){if(!t)throw new Error("TgFileService instance required");this.service=t,this.botToken=t.botToken,this.chatId=t.chatId,this.root=[],this.rootFileId=null,this._ready=this._init()}async ready(){return this._ready}async _callTelegram(t,e){const i=`https://api.telegram.org/bot${this.botToken}/${t}`,r=await fetch(i,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(e)}),a=await r.json();if(!a.ok)throw new Error(`Telegram API error: ${a.description}`);return a.result}async _getChat(){return this._callTelegram("getChat",{chat_id:this.chatId})}async _setChatDescription(t){return this._callTelegram("setChatDescription",{chat_id:this.chatId,description:t})}static _makeAlbumId(){const t="abcdefghijklmnopqrstuvwxyz",pick=()=>t[Math.floor(26*Math.random())],e=Array.from({length:3},(()=>Math.random()<.5?pick().toUpperCase():pick())).join("");return"a"+Date.now()+e}async _init(){try{const t=await this._getChat(),e=t&&t.description?t.description.trim():"";if(e)try{await this._loadRootFromFileId(e)}catch(t){console.warn("Failed to load root file from chat description:",t),await this._createEmptyRoot()}else await this._createEmptyRoot();if(!this.root.find((t=>"Trash"===t.name))){console.log("Creating missing Trash album");const t=TgAlbumsApp._makeAlbumId(),e=new Blob([JSON.stringify([])],{type:"application/json"}),i={name:"Trash",thumbFileId:null,albumFileId:await this.service.putFile(e),albumId:t};this.root.push(i),this.root.sort(((t,e)=>t.name.localeCompare(e.name))),await this._saveRootCascade()}}catch(t){throw console.error("Initialization error:",t),t}}async _createEmptyRoot(){this.root=[];const t=new Blob([JSON.stringify(this.root)],{type:"application/json"}),e=await this.service.putFile(t);this.rootFileId=e,await this._setChatDescription(e)}async _loadRootFromFileId(t){const e=await this.service.getFile(t,"albums.json","application/json");if(!e||!e.blob)throw new Error("No root file blob");const i=await e.blob.text(),r=JSON.parse(i);if(!Array.isArray(r))throw new Error("Root file JSON must be array");for(const t of r)if("string"!=typeof t.name||"string"!=typeof t.albumFileId||"string"!=typeof t.albumId)throw new Error("Invalid album entry");this.root=r.slice().sort(((t,e)=>t.name.localeCompare(e.name))),this.rootFileId=t}async _saveRootCascade(){const t=new Blob([JSON.stringify(this.root)],{type:"application/json"}),e=await this.service.putFile(t);this.rootFileId=e,await this._setChatDescription(e)}async createAlbum(t){await this.ready();try{if(!t||"string"!=typeof t)throw new Error("Name required");const e=TgAlbumsApp._makeAlbumId(),i=new Blob([JSON.stringify([])],{type:"application/json"}),r=await this.service.putFile(i),a={name:t,thumbFileId:null,albumFileId:r,albumId:e};return this.root.push(a),this.root.sort(((t,e)=>t.name.localeCompare(e.name))),await this._saveRootCascade(),{ok:!0,album:new Album(this.service,r,t,this,a.thumbFileId,e)}}catch(t){return console.error("createAlbum error:",t),{ok:!1,errors:[String(t)]}}}async getAlbums(){return await this.ready(),this.root.map((t=>new Album(this.service,t.albumFileId,t.name,this,t.thumbFileId,t.albumId)))}async findAlbumById(t){await this.ready();const e=this.root.find((e=>e.albumId===t));return e?new Album(this.service,e.albumFileId,e.name,this,e.thumbFileId,e.albumId):null}async findAlbumsByName(t){await this.ready();return this.root.filter((e=>e.name===t)).map((t=>new Album(this.service,t.albumFileId,t.name,this,t.thumbFileId,t.albumId)))}async deleteAllAlbums(){await this.ready();try{const t=this.root.findIndex((t=>"Trash"===t.name)),e=-1!==t?this.root.splice(t,1)[0]:null;return this.root=[],e&&this.root.push(e),await this._saveRootCascade(),{ok:!0}}catch(t){return console.error("deleteAllAlbums error:",t),{ok:!1,errors:[String(t)]}}}async _updateAlbumDescriptorByFileId(t,e){const i=this.root.findIndex((e=>e.albumFileId===t));if(-1===i)throw new Error("Album not found in root");this.root[i]=Object.assign({},this.root[i],e),this.root.sort(((t,e)=>t.name.localeCompare(e.name))),await this._saveRootCascade()}async _updateAlbumDescriptorByAlbumId(t,e){const i=this.root.findIndex((e=>e.albumId===t));if(-1===i)throw new Error("Album not found in root");this.root[i]=Object.assign({},this.root[i],e),this.root.sort(((t,e)=>t.name.localeCompare(e.name))),await this._saveRootCascade()}}class Album{constructor(t,e,i,r,a=null,s=null){this.service=t,this.app=r,this.name=i,this.albumFileId=e,this.thumbFileId=a,this.albumId=s,this.files=[],this._loaded=this._load()}async ready(){return this._loaded}async _load(){const t=await this.service.getFile(this.albumFileId,`${this.name}.json`,"application/json");if(!t||!t.blob)throw new Error("Failed to load album file");const e=await t.blob.text(),i=JSON.parse(e);if(!Array.isArray(i))throw new Error("Album file must be array");for(const t of i)if("string"!=typeof t.name||"string"!=typeof t.fullFileId)throw new Error("Invalid file entry in album");this.files=i.slice().sort(((t,e)=>t.name.localeCompare(e.name)))}static async _resizeBlob(t,e,i,r){r=r||t.type||"image/png";const a=await createImageBitmap(t),s=a.width,o=a.height,l=Math.min(1,Math.min(e/s,i/o)),n=Math.max(1,Math.round(s*l)),h=Math.max(1,Math.round(o*l)),u=document.createElement("canvas");u.width=n,u.height=h;return u.getContext("2d").drawImage(a,0,0,n,h),await new Promise((t=>u.toBlob(t,r)))}async getFiles(){return await this.ready(),this.files.map((t=>Object.assign({},t)))}async addFiles(t){await this.ready();const e=[];try{if(!Array.isArray(t))throw new Error("items must be array of [Blob,name,mime]");for(const i of t){const[t,r,a]=i;if(!t||!r){const t="Each item must be [Blob,name,mime]";console.warn(t),e.push(t);continue}const s=a||t.type||"";if(!s.startsWith("image/")&&!s.startsWith("video/")){const t=`Skipped unsupported MIME type for file "${r}": ${s}`;console.warn(t),e.push(t);continue}const o=await this.service.putFile(t);let l,n;try{l=await Album._resizeBlob(t,150,150,s)}catch(e){console.warn("Thumbnail creation failed, using original blob as thumb:",e),l=t}try{n=await Album._resizeBlob(t,1920,1080,s)}catch(e){console.warn("Screen resize failed, using original blob as screen:",e),n=t}const h=await this.service.putFile(l),u={name:r,mime:s,thumbFileId:h,screenFileId:await this.service.putFile(n),fullFileId:o,originalAlbumIds:[this.albumId]};this.files.push(u),this.files.sort(((t,e)=>t.name.localeCompare(e.name))),await this._saveAlbumCascade()}const i={ok:!0};return e.length&&(i.warnings=e),i}catch(t){return console.error("addFiles error:",t),{ok:!1,errors:[String(t)]}}}async _saveAlbumCascade(){const t=new Blob([JSON.stringify(this.files)],{type:"application/json"}),e=await this.service.putFile(t),i=this.albumFileId;this.albumFileId=e;try{await this.app._updateAlbumDescriptorByFileId(i,{albumFileId:e,thumbFileId:this._deriveThumbFileId()})}catch(t){console.error("Failed to update root after saving album:",t)}}_deriveThumbFileId(){return 0===this.files.length?null:this.files[0].thumbFileId||null}async findFileByFullId(t){await this.ready();const e=this.files.find((e=>e.fullFileId===t));return e?new AlbumFile(this,e):null}async findFilesByName(t){await this.ready();return this.files.filter((e=>e.name===t)).map((t=>new AlbumFile(this,t)))}async deleteThumbnailForFile(t){await this.ready();try{const e=this.files.findIndex((e=>e.fullFileId===t));if(-1===e)throw new Error("File not found");return this.files[e].thumbFileId=null,await this._saveAlbumCascade(),{ok:!0}}catch(t){return console.error("deleteThumbnailForFile error:",t),{ok:!1,errors:[String(t)]}}}async clear(){await this.ready();try{return this.files=[],await this._saveAlbumCascade(),{ok:!0}}catch(t){return console.error("clear album error:",t),{ok:!1,errors:[String(t)]}}}async deleteAlbum(){await this.ready();try{if("Trash"===this.name){const t="Trash album cannot be deleted";return console.warn(t),{ok:!1,errors:[t]}}const t=this.app.root,e=t.findIndex((t=>t.albumId===this.albumId));return-1!==e&&(t.splice(e,1),this.app.root=t.sort(((t,e)=>t.name.localeCompare(e.name))),await this.app._saveRootCascade()),{ok:!0}}catch(t){return console.error("deleteAlbum error:",t),{ok:!1,errors:[String(t)]}}}}class AlbumFile{constructor(t,e){this.album=t,this.descriptor=e}async getFullBlob(){return(await this.album.service.getFile(this.descriptor.fullFileId,this.descriptor.name,this.descriptor.mime)).blob}async getThumbBlob(){return this.descriptor.thumbFileId?(await this.album.service.getFile(this.descriptor.thumbFileId,`thumb_${this.descriptor.name}`,this.descriptor.mime)).blob:null}async getScreenBlob(){return this.descriptor.screenFileId?(await this.album.service.getFile(this.descriptor.screenFileId,`screen_${this.descriptor.name}`,this.descriptor.mime)).blob:null}async getFullBlobURL(){return URL.createObjectURL(await this.getFullBlob())}async getThumbBlobURL(){return URL.createObjectURL(await this.getThumbBlob())}async getScreenBlobURL(){return URL.createObjectURL(await this.getScreenBlob())}async setAsAlbumThumbnail(){try{await this.album.ready();const t=this.album.files.find((t=>t.fullFileId===this.descriptor.fullFileId));if(!t)throw new Error("File not found in album");return this.album.thumbFileId=t.thumbFileId||null,await this.album._saveAlbumCascade(),{ok:!0}}catch(t){return console.error("setAsAlbumThumbnail error:",t),{ok:!1,errors:[String(t)]}}}async removeFromAlbum(){try{await this.album.ready();const t=this.album.files.findIndex((t=>t.fullFileId===this.descriptor.fullFileId));if(-1===t)throw new Error("File not found in album");const e=this.album.files.splice(t,1)[0];e.originalAlbumIds=e.originalAlbumIds||[],e.originalAlbumIds.includes(this.album.albumId)||e.originalAlbumIds.push(this.album.albumId);const i=this.album.app.root.find((t=>"Trash"===t.name));if(!i)throw new Error("Trash album not found");const r=new Album(this.album.service,i.albumFileId,i.name,this.album.app,i.thumbFileId,i.albumId);return await r.ready(),r.files.push(e),r.files.sort(((t,e)=>t.name.localeCompare(e.name))),await r._saveAlbumCascade(),await this.album._saveAlbumCascade(),{ok:!0}}catch(t){return console.error("removeFromAlbum error:",t),{ok:!1,errors:[String(t)]}}}async restoreToAlbum(){try{if(await this.album.ready(),"Trash"!==this.album.name)throw new Error("restoreToAlbum should be called on a file in Trash");const t=this.descriptor.originalAlbumIds||[];if(!t.length)throw new Error("No original album recorded");const e=t[t.length-1],i=this.album.app.root.find((t=>t.albumId===e));if(!i)throw new Error("Original album not found");const r=new Album(this.album.service,i.albumFileId,i.name,this.album.app,i.thumbFileId,i.albumId);await r.ready();const a=this.album.files.findIndex((t=>t.fullFileId===this.descriptor.fullFileId));if(-1===a)throw new Error("File not found in Trash");const s=this.album.files.splice(a,1)[0];return s.originalAlbumIds=s.originalAlbumIds||[],r.files.push(s),r.files.sort(((t,e)=>t.name.localeCompare(e.name))),await r._saveAlbumCascade(),await this.album._saveAlbumCascade(),{ok:!0}}catch(t){return console.error("restoreToAlbum error:",t),{ok:!1,errors:[String(t)]}}}async removeForever(){try{await this.album.ready();const t=this.album.files.findIndex((t=>t.fullFileId===this.descriptor.fullFileId));if(-1===t)throw new Error("File not found in this album");return this.album.files.splice(t,1),await this.album._saveAlbumCascade(),{ok:!0}}catch(t){return console.error("removeForever error:",t),{ok:!1,errors:[String(t)]}}}}
+class TgAlbumsApp{constructor(e,t={}){if(!e)throw new Error("TgFileService instance required");this.service=e,this.botToken=e.botToken,this.chatId=e.chatId,this.transport=t.transport||e.transport||new TgTransport,this.imageProcessor=t.imageProcessor||null,this.renditions=TgAlbumsApp._resolveRenditions(t.renditions),this.videoProcessor=t.videoProcessor||null,this.posterTime=null!=t.posterTime?t.posterTime:1,this.dedup=t.dedup||"skip",this.trashRetentionDays=null!=t.trashRetentionDays?t.trashRetentionDays:30,this.historyLimit=null!=t.historyLimit?t.historyLimit:50,this.chunkSize=null!=t.chunkSize?t.chunkSize:19922944,this.albumPageSize=null!=t.albumPageSize?t.albumPageSize:500,this.onUnreadableRoot=t.onUnreadableRoot||null,this.shareService=t.shareService||null,this.root=[],this.rootMeta={},this.rootFileId=null,this._baseRoot=null,this._baseMeta={},this._hashIndex=null,this._hashIndexDirty=!1,this._pendingHashes=new Map,this._searchIndex=null,this._searchIndexDirty=!1,this._knownPages=new Map,this._pollTimer=null,this._pendingShares=new Set,this._albums=new Map,this._queue=Promise.resolve(),this._op=null,this._passphrase=t.passphrase||null,this._key=null,this._encryption=null,this._baseEncryption=null,this.cache=!1===t.cache?null:t.cache instanceof TgBlobCache?t.cache:new TgBlobCache(t.cache||{}),this._downloader=new TgDownloader(e,this.cache,()=>this._key),this._objectUrls=new Map,this._listeners=new Map,this._ready=this._init()}async ready(){return this._ready}async _callTelegram(e,t){return this.transport.call(this.botToken,e,t)}async _getChat(){return this._callTelegram("getChat",{chat_id:this.chatId})}async _setChatDescription(e){return this._callTelegram("setChatDescription",{chat_id:this.chatId,description:e})}static get defaultRenditions(){return{thumb:{maxWidth:150,maxHeight:150,type:null,quality:.8},screen:{maxWidth:1920,maxHeight:1080,type:null,quality:.9}}}static _resolveRenditions(e={}){const t=TgAlbumsApp.defaultRenditions;for(const r of Object.keys(t))Object.assign(t[r],e[r]||{});return t}static registerImageProcessor(e){if(!e||"function"!=typeof e.resize)throw new Error("Image processor must implement resize(blob, options)");TgAlbumsApp.imageProcessors.unshift(e)}_pickImageProcessor(){return this.imageProcessor?this.imageProcessor:TgAlbumsApp.imageProcessors.find(e=>!e.isSupported||e.isSupported())||null}async _renderRendition(e,t,r,s=1){const a=this.renditions[t],i=this._pickImageProcessor();if(!i)throw new Error("No image processor available in this environment");const o=a.type||r,n=await i.resize(e,{maxWidth:a.maxWidth,maxHeight:a.maxHeight,type:o,quality:a.quality,orientation:s});return{blob:n,mime:n.type||o}}static registerVideoProcessor(e){if(!e||"function"!=typeof e.extractPoster)throw new Error("Video processor must implement extractPoster(blob, options)");TgAlbumsApp.videoProcessors.unshift(e)}_pickVideoProcessor(){return this.videoProcessor?this.videoProcessor:TgAlbumsApp.videoProcessors.find(e=>!e.isSupported||e.isSupported())||null}async _probeVideo(e,t){const r=this._pickVideoProcessor();let s={};if(r)try{s=await r.extractPoster(e,{time:this.posterTime})||{}}catch(e){console.warn("Video poster extraction failed:",e)}else console.warn("No video processor available in this environment, storing video without poster");let a=s.codec||TgAlbumsApp._codecFromMime(t);if(!a)try{a=await TgAlbumsApp._sniffVideoCodec(e)}catch(e){a=null}return{poster:s.poster||null,duration:null!=s.duration?s.duration:null,width:s.width||null,height:s.height||null,codec:a||null}}static _normalizeCodec(e){return{avc1:"h264",avc3:"h264",hvc1:"hevc",hev1:"hevc",vp08:"vp8",vp8:"vp8",vp09:"vp9",vp9:"vp9",av01:"av1",mp4v:"mpeg4","V_MPEG4/ISO/AVC":"h264","V_MPEGH/ISO/HEVC":"hevc",V_VP8:"vp8",V_VP9:"vp9",V_AV1:"av1"}[e]||null}static _codecFromMime(e){const t=/codecs\s*=\s*"?([^";]+)/i.exec(e||"");if(!t)return null;for(const e of t[1].split(",")){const t=TgAlbumsApp._normalizeCodec(e.trim().split(".")[0].toLowerCase());if(t)return t}return null}static async _sniffVideoCodec(e){const t=1048576,r=e.size>2*t?[e.slice(0,t),e.slice(e.size-t)]:[e];for(const e of r){const t=new Uint8Array(await e.arrayBuffer()),r=new TextDecoder("latin1").decode(t);for(let e=r.indexOf("stsd");-1!==e;e=r.indexOf("stsd",e+4)){const t=TgAlbumsApp._normalizeCodec(r.substr(e+16,4));if(t)return t}const s=/V_(?:MPEG4\/ISO\/AVC|MPEGH\/ISO\/HEVC|VP8|VP9|AV1)/.exec(r);if(s)return TgAlbumsApp._normalizeCodec(s[0])}return null}async _loadHashIndex(){if(!this._hashIndex){const e=this.rootMeta.hashIndexFileId,t=e?await this._fetchJson(e,"hashes.json",this.encrypted):{};this._hashIndex||(this._hashIndex=new Map(Object.entries(t)))}return this._hashIndex}async _saveHashIndex(){this._hashIndexDirty&&this._hashIndex&&(this.rootMeta.hashIndexFileId=await this._putJson(Object.fromEntries(this._hashIndex)),this._hashIndexDirty=!1)}static _hashTemplate(e){const t=Object.assign({},e);for(const e of["originalAlbumIds","addedAt","caption","tags","favorite","rating"])delete t[e];return t}_indexHash(e){e.sha256&&(this._pendingHashes.delete(e.sha256),this._hashIndex.set(e.sha256,TgAlbumsApp._hashTemplate(e)),this._hashIndexDirty=!0)}async _forgetHashes(e,t={}){const r=await this._loadHashIndex(),s=e.filter(e=>{const t=e.sha256&&r.get(e.sha256);return t&&t.fullFileId===e.fullFileId});if(!s.length)return;const a=t.force?new Set:await this._referencedFullIds(new Set(e));for(const e of s)a.has(e.fullFileId)||(r.delete(e.sha256),this._hashIndexDirty=!0)}async _referencedFullIds(e){const t=new Set;for(const r of this.root){const s=this._albumFor(r);await s.ready();for(const r of s.files)e.has(r)||t.add(r.fullFileId)}return t}async _lookupHash(e){const t=await this._loadHashIndex();if(t.has(e))return t.get(e);const r=this._pendingHashes.get(e);return r?r.catch(()=>null):null}static async _sha256(e){const t=16777216,r=async e=>Array.from(new Uint8Array(await crypto.subtle.digest("SHA-256",e)),e=>e.toString(16).padStart(2,"0")).join("");if(e.size<=t)return r(await e.arrayBuffer());const s=[];for(let a=0;a<e.size;a+=t)s.push(await r(await e.slice(a,a+t).arrayBuffer()));return r((new TextEncoder).encode(s.join("")))}async findDuplicates(e={}){await this.ready();try{const{computeMissing:t=!1}=e,r=new Map;let s=0;for(const e of this.root.slice()){const a=this._albumFor(e);await a.ready();let i=!1;for(const e of a.files)!e.sha256&&t&&(e.sha256=await TgAlbumsApp._sha256(await this._downloader.getOriginal(e)),i=!0),e.sha256?(r.has(e.sha256)||r.set(e.sha256,[]),r.get(e.sha256).push({albumId:a.albumId,albumName:a.name,name:e.name,fullFileId:e.fullFileId})):s++;i&&await this._mutate(async()=>{const e=await this._loadHashIndex();for(const t of a.files)t.sha256&&!e.has(t.sha256)&&this._indexHash(t);await a._saveAlbumCascade()},"findDuplicates")}const a=[];for(const[e,t]of r)new Set(t.map(e=>e.fullFileId)).size>1&&a.push({sha256:e,files:t});return{ok:!0,groups:a,unhashed:s}}catch(e){return console.error("findDuplicates error:",e),{ok:!1,errors:[String(e)]}}}async _loadSearchIndex(){if(!this._searchIndex){const e=this.rootMeta.searchIndexFileId;let t={};if(e)try{t=await this._fetchJson(e,"search.json",this.encrypted)}catch(e){console.warn("Search index unreadable, rebuilding:",e)}this._searchIndex||(this._searchIndex=new Map(Object.entries(t)))}return this._searchIndex}async _saveSearchIndex(){this._searchIndexDirty&&this._searchIndex&&(this.rootMeta.searchIndexFileId=await this._putJson(Object.fromEntries(this._searchIndex)),this._searchIndexDirty=!1)}async _refreshSearchIndex(e){const t=await this._loadSearchIndex();for(const e of t.keys())this.root.some(t=>t.albumId===e)||(t.delete(e),this._searchIndexDirty=!0);for(const r of e){const e=t.get(r.albumId);if(e&&e.albumFileId===r.albumFileId)continue;const s=this._albums.get(r.albumId),a=s&&s._loadedFileId===r.albumFileId?s.files:await this._fetchAlbumFiles(r.albumFileId,r.name,r.encrypted);t.set(r.albumId,{albumFileId:r.albumFileId,files:a.map(TgAlbumsApp._searchRecord)}),this._searchIndexDirty=!0}return t}static _searchRecord(e){const t={fullFileId:e.fullFileId,name:e.name,mime:e.mime||""};for(const r of["size","addedAt","caption","tags","favorite","rating"])void 0!==e[r]&&(t[r]=e[r]);return e.meta&&e.meta.takenAt&&(t.meta={takenAt:e.meta.takenAt}),t}static _fold(e){return String(e||"").normalize("NFKD").replace(/[\u0300-\u036f]/g,"").toLowerCase()}static _fuzzyScore(e,t){if(!e)return 1;if(t.includes(e))return 1;const r=Math.floor(e.length/4);if(!r)return 0;let s=null,a=Array.from({length:e.length+1},(e,t)=>t),i=a[e.length];for(let r=1;r<=t.length;r++){const o=[0];for(let i=1;i<=e.length;i++){const n=e[i-1]===t[r-1]?0:1;o[i]=Math.min(a[i-1]+n,a[i]+1,o[i-1]+1),s&&i>1&&e[i-1]===t[r-2]&&e[i-2]===t[r-1]&&(o[i]=Math.min(o[i],s[i-2]+1))}i=Math.min(i,o[e.length]),s=a,a=o}return i<=r?1-i/(e.length+1):0}async search(e={}){await this.ready();try{const{includeTrash:t=!1,fuzzy:r=!1,limit:s=0}=e,a=TgAlbumsApp._fold(e.text),i=TgAlbumsApp._fold(e.name),o=[].concat(e.tags||[]).map(TgAlbumsApp._fold),n=[].concat(e.mime||[]),l=null!=e.from?new Date(e.from).getTime():null,h=null!=e.to?new Date(e.to).getTime():null;if(Number.isNaN(l)||Number.isNaN(h))throw new Error("from/to must be valid dates");const d=e.sort?Album._comparator(e.sort):Album._comparator("-takenAt"),c=this.root.filter(r=>(!e.albumIds||e.albumIds.includes(r.albumId))&&(t||"Trash"!==r.name&&!r.trashedAt)),u=await this._refreshSearchIndex(c),m=e=>!n.length||n.some(t=>t.endsWith("/*")?e.startsWith(t.slice(0,-1)):e===t),p=[];for(const t of c)for(const s of u.get(t.albumId).files){if(!m(s.mime))continue;if(null!=e.favorite&&!!s.favorite!=!!e.favorite)continue;if(e.minRating&&!(s.rating>=e.minRating))continue;const n=(s.tags||[]).map(TgAlbumsApp._fold);if(!o.every(e=>n.includes(e)))continue;if(null!=l||null!=h){const e=Album._takenTime(s);if(e===-1/0||null!=l&&e<l||null!=h&&e>h)continue}if(a&&!TgAlbumsApp._fold(s.name).includes(a)&&!TgAlbumsApp._fold(s.caption).includes(a)&&!n.some(e=>e.includes(a)))continue;const d=i?r?TgAlbumsApp._fuzzyScore(i,TgAlbumsApp._fold(s.name)):+TgAlbumsApp._fold(s.name).includes(i):1;if(!d)continue;const c=Object.assign({albumId:t.albumId,albumName:t.name},TgAlbumsApp._clone(s));i&&r&&(c.score=d),p.push(c)}return p.sort(i&&r&&!e.sort?(e,t)=>t.score-e.score||d(e,t):d),{ok:!0,results:s>0?p.slice(0,s):p,total:p.length}}catch(e){return console.error("search error:",e),{ok:!1,errors:[String(e)]}}}async getTags(){await this.ready();try{const e=this.root.filter(e=>"Trash"!==e.name&&!e.trashedAt),t=await this._refreshSearchIndex(e),r=new Map;for(const s of e)for(const e of t.get(s.albumId).files)for(const t of e.tags||[]){const e=TgAlbumsApp._fold(t);r.has(e)||r.set(e,{tag:t,count:0}),r.get(e).count++}return{ok:!0,tags:Array.from(r.values()).sort((e,t)=>t.count-e.count||e.tag.localeCompare(t.tag))}}catch(e){return console.error("getTags error:",e),{ok:!1,errors:[String(e)]}}}on(e,t){return this._listeners.has(e)||this._listeners.set(e,new Set),this._listeners.get(e).add(t),()=>this.off(e,t)}off(e,t){const r=this._listeners.get(e);r&&r.delete(t)}once(e,t){const r=this.on(e,e=>{r(),t(e)});return r}_emit(e,t={}){this._queueShareUpdates(e,t.albumId);const r=[...this._listeners.get(e)||[],...this._listeners.get("*")||[]];if(!r.length)return;const s=Object.assign({type:e},t);for(const e of["files","file"])Array.isArray(s[e])?s[e]=s[e].map(e=>Object.assign({},e)):s[e]&&(s[e]=Object.assign({},s[e]));for(const t of r)try{t(s)}catch(t){console.warn(`${e} listener failed:`,t)}}_mutate(e,t=null){const r=this._queue.then(async()=>{this._op=t;try{return await e()}finally{this._op=null}});return this._queue=r.catch(()=>{}),r}_albumFor(e){let t=this._albums.get(e.albumId);return t||(t=new Album(this.service,e.albumFileId,e.name,this,e.thumbFileId,e.albumId),t.encrypted=e.encrypted,this._albums.set(e.albumId,t)),t._applyEntry(e),t}_resolveAlbum(e){const t="string"==typeof e?e:e&&e.albumId,r=t&&this.root.find(e=>e.albumId===t);if(!r)throw new Error("Target album not found");return this._albumFor(r)}static _makeAlbumId(){const e="abcdefghijklmnopqrstuvwxyz",t=()=>e[Math.floor(26*Math.random())],r=Array.from({length:3},()=>Math.random()<.5?t().toUpperCase():t()).join("");return"a"+Date.now()+r}async _init(){try{const e=await this._getChat(),t=e&&e.description?e.description.trim():"";if(t)try{await this._loadRootFromFileId(t)}catch(e){if("ROOT_UNREADABLE"!==e.code||e.encrypted||this._passphrase||!this.onUnreadableRoot)throw e;if(!await this.onUnreadableRoot({fileId:t,error:e}))throw e;console.error("Failed to read root file from chat description, starting with an empty root (see repair()):",e),await this._createEmptyRoot({unreadableRootFileId:t})}else await this._createEmptyRoot();this._passphrase&&(console.warn("Library is not encrypted, the passphrase is ignored; use enableEncryption() to encrypt it"),this._passphrase=null);if(!this.root.find(e=>"Trash"===e.name)){console.log("Creating missing Trash album");const e=TgAlbumsApp._makeAlbumId(),t=await this._putJson([]),r=this._withEncryptedFlag({name:"Trash",thumbFileId:null,albumFileId:t,albumId:e});this.root.push(r),this._sortRoot(),await this._mutate(()=>this._saveRootCascade(),"init")}if(this.trashRetentionDays>0)try{await this._mutate(()=>this._purgeTrash(Date.now()-864e5*this.trashRetentionDays),"autoPurgeTrash")}catch(e){console.warn("Trash auto-purge failed:",e)}}catch(e){throw console.error("Initialization error:",e),e}}async _putBlob(e){if(!this._key)return this.service.putFile(e);const t=await TgCrypto.encrypt(this._key,new Uint8Array(await e.arrayBuffer()));return this.service.putFile(new Blob([t],{type:"application/octet-stream"}))}_withEncryptedFlag(e){return this._key?e.encrypted=!0:delete e.encrypted,e}async _acquireObjectUrl(e,t){let r=this._objectUrls.get(e);return r||(r={url:t().then(e=>URL.createObjectURL(e)),refs:0},this._objectUrls.set(e,r),r.url.catch(()=>{this._objectUrls.get(e)===r&&this._objectUrls.delete(e)})),r.refs++,r.url}_releaseObjectUrl(e){const t=this._objectUrls.get(e);!t||--t.refs>0||(this._objectUrls.delete(e),t.url.then(e=>URL.revokeObjectURL(e),()=>{}))}async _putJson(e){return this._putBlob(new Blob([JSON.stringify(e)],{type:"application/json"}))}async _putParts(e){const t=[];for(let r=0;r<e.size;r+=this.chunkSize){const s=e.slice(r,r+this.chunkSize);t.push({fileId:await this._putBlob(s),size:s.size,sha256:await TgAlbumsApp._sha256(s)})}return t}async _fetchJson(e,t,r){return JSON.parse(await(await this._downloader.getBlob(e,t,"application/json",r)).text())}_serializeRoot(){const e=this.root.find(e=>"Trash"===e.name);return this.root.map(t=>t===e?Object.assign({},t,{library:Object.assign({version:2},this.rootMeta)}):t)}async _putRoot(){if(this.root.some(e=>"Trash"===e.name)||(this.root.push(this._withEncryptedFlag({name:"Trash",thumbFileId:null,albumFileId:await this._putJson([]),albumId:TgAlbumsApp._makeAlbumId()})),this._sortRoot()),!this._key)return this.service.putFile(new Blob([JSON.stringify(this._serializeRoot())],{type:"application/json"}));const e=await TgCrypto.encrypt(this._key,(new TextEncoder).encode(JSON.stringify(this._serializeRoot()))),t=this.root.find(e=>"Trash"===e.name),r=[{name:t.name,thumbFileId:null,albumFileId:t.albumFileId,albumId:t.albumId,library:{version:2,encryption:this._encryption,sealed:TgCrypto.toBase64(e)}}];return this.service.putFile(new Blob([JSON.stringify(r)],{type:"application/json"}))}static _rootLibrary(e){const t=e.find(e=>e&&e.library);return t?t.library:null}async _fetchRootJson(e){const t=await(await this._downloader.getBlob(e,"albums.json","application/json",!1)).text();let r;try{r=JSON.parse(t)}catch(e){throw TgAlbumsApp._unreadableRoot(`Root file is not valid JSON: ${e.message}`)}const s=Array.isArray(r)?TgAlbumsApp._rootLibrary(r):r;if(!s||!s.sealed)return{parsed:r,encryption:null};if(!this._key){if(!this._passphrase){const e=new Error("Library is encrypted: passphrase required");throw e.code="PASSPHRASE_REQUIRED",e}this._key=await TgCrypto.unlock(this._passphrase,s.encryption),this._passphrase=null}let a;try{a=JSON.parse((new TextDecoder).decode(await TgCrypto.decrypt(this._key,TgCrypto.fromBase64(s.sealed))))}catch(e){throw TgAlbumsApp._unreadableRoot(`Sealed root file can't be decrypted: ${e.message}`,!0)}return Array.isArray(r)&&Array.isArray(a)&&(a=a.concat(r.filter(e=>e&&!e.library&&!a.some(t=>t.albumId===e.albumId)))),{parsed:a,encryption:s.encryption}}static _unreadableRoot(e,t=!1){const r=new Error(e);return r.code="ROOT_UNREADABLE",r.encrypted=t,r}async _createEmptyRoot(e={}){this.root=[],this.rootMeta=Object.assign({savedAt:(new Date).toISOString(),op:"init"},e),this._passphrase&&(({key:this._key,info:this._encryption}=await TgCrypto.createKey(this._passphrase)),this._baseEncryption=this._encryption,this._passphrase=null);const t=await this._putRoot();this.rootFileId=t,this._baseRoot=TgAlbumsApp._clone(this.root),this._baseMeta=TgAlbumsApp._clone(this.rootMeta),await this._setChatDescription(t)}async _fetchRoot(e){const{parsed:t,encryption:r}=await this._fetchRootJson(e),s=Array.isArray(t)?t:t&&t.albums;if(!Array.isArray(s))throw TgAlbumsApp._unreadableRoot("Root file JSON must be an array or { albums: [...] }",!!r);for(const e of s)if(!e||"string"!=typeof e.name||"string"!=typeof e.albumFileId||"string"!=typeof e.albumId)throw TgAlbumsApp._unreadableRoot("Invalid album entry",!!r);const a=Array.isArray(t)?TgAlbumsApp._rootLibrary(t):t;if(a&&a.version>2){const e=new Error(`Root version ${a.version} is newer than this app`);throw e.code="ROOT_TOO_NEW",e}const i=Object.assign({},a);return delete i.version,delete i.albums,{albums:s.map(TgAlbumsApp._withoutLibrary),meta:i,encryption:r}}static _withoutLibrary(e){if(!e||!e.library)return e;const t=Object.assign({},e);return delete t.library,t}async _loadRootFromFileId(e){const{albums:t,meta:r,encryption:s}=await this._fetchRoot(e);this._encryption=this._baseEncryption=s,this.root=t.slice(),this.rootMeta=r,this._sortRoot(),this.rootFileId=e,this._baseRoot=TgAlbumsApp._clone(t),this._baseMeta=TgAlbumsApp._clone(r)}async _fetchAlbumList(e,t,r){const s=await this._fetchJson(e,`${t}.json`,r);if(Array.isArray(s))return{files:TgAlbumsApp._checkFileEntries(s)};if(!s||"tg-albums-pages"!==s.format||!Array.isArray(s.pages))throw new Error("Album file must be array");if(s.version>1)throw new Error(`Album pages version ${s.version} is newer than this app`);for(const e of s.pages)this._knownPages.set(e.sha256,e.fileId);return{header:s}}async _fetchAlbumPage(e,t,r){const s=await this._fetchJson(e.fileId,`${t}.page.json`,r);if(!Array.isArray(s)||s.length!==e.count)throw new Error(`Page of album "${t}" is incomplete`);return TgAlbumsApp._checkFileEntries(s)}async _fetchAlbumFiles(e,t,r){const{files:s,header:a}=await this._fetchAlbumList(e,t,r);return s||this._fetchAllPages(a,t)}async _fetchAllPages(e,t){const r=[];for(const s of e.pages)r.push(...await this._fetchAlbumPage(s,t,e.encrypted));if(r.length!==e.count)throw new Error(`Album "${t}" is incomplete`);return r}static _checkFileEntries(e){for(const t of e)if(!t||"string"!=typeof t.name||"string"!=typeof t.fullFileId)throw new Error("Invalid file entry in album");return e}async _putAlbumFiles(e,t){if(!(this.albumPageSize>0)||e.length<=this.albumPageSize)return this._putJson(e);const r=[];for(const t of TgAlbumsApp._splitPages(e,this.albumPageSize)){const e=JSON.stringify(t),s=await TgAlbumsApp._sha256(new Blob([e]));let a=this._knownPages.get(s);a||(a=await this._putBlob(new Blob([e],{type:"application/json"})),this._knownPages.set(s,a)),r.push({fileId:a,count:t.length,sha256:s})}return this._putJson(this._withEncryptedFlag({format:"tg-albums-pages",version:1,sort:t,count:e.length,pages:r}))}static _splitPages(e,t){const r=[];let s=[];for(const a of e)s.push(a),(s.length>=2*t||s.length>=t/4&&TgAlbumsApp._fnv1a(a.fullFileId)%t===0)&&(r.push(s),s=[]);return s.length&&r.push(s),r}static _fnv1a(e){let t=2166136261;for(let r=0;r<e.length;r++)t=Math.imul(t^e.charCodeAt(r),16777619);return t>>>0}async _saveRootCascade(){for(let e=0;;e++){const t=await this._getRemoteRootFileId();if(t&&t!==this.rootFileId){if(e>=3)throw new Error("Root keeps changing remotely, giving up");const{changes:r}=await this._mergeRemoteRoot(t);this._emit("syncConflict",{remoteFileId:t,changes:r});continue}await this._saveHashIndex(),await this._saveSearchIndex(),this._pushHistory();const r=await this._putRoot();return this.rootFileId=r,await this._setChatDescription(r),this._baseRoot=TgAlbumsApp._clone(this.root),this._baseMeta=TgAlbumsApp._clone(this.rootMeta),this._baseEncryption=this._encryption,void this._emit("rootSaved",{rootFileId:r,op:this.rootMeta.op})}}_pushHistory(){const e=this.rootMeta,t=(e.history||[]).filter(e=>e.fileId!==this.rootFileId);this.rootFileId&&t.unshift({fileId:this.rootFileId,savedAt:e.savedAt||null,op:e.op||null}),e.history=t.slice(0,Math.max(0,this.historyLimit)),e.savedAt=(new Date).toISOString(),e.op=this._op||"save"}async getSnapshots(){await this.ready();const e=this.rootMeta;return[{fileId:this.rootFileId,savedAt:e.savedAt||null,op:e.op||null,current:!0}].concat((e.history||[]).map(e=>Object.assign({},e)))}async inspectSnapshot(e,t={}){await this.ready();try{const{albums:r,meta:s}=await this._fetchRoot(e);if(t.withFiles)for(const e of r)e.files=await this._fetchAlbumFiles(e.albumFileId,e.name,e.encrypted);return{ok:!0,fileId:e,savedAt:s.savedAt||null,op:s.op||null,albums:r,folders:s.folders||[]}}catch(e){return console.error("inspectSnapshot error:",e),{ok:!1,errors:[String(e)]}}}async rollback(e){await this.ready();try{return{ok:!0,changes:await this._mutate(async()=>{const t=await this._getRemoteRootFileId();t&&t!==this.rootFileId&&await this._mergeRemoteRoot(t);const{albums:r,meta:s}=await this._fetchRoot(e),a=this.root.find(e=>"Trash"===e.name);a&&!r.some(e=>"Trash"===e.name)&&r.push(Object.assign({},a));const i=TgAlbumsApp._diffRoots(this.root,r);return this.root=r,this._sortRoot(),this._setFolders(s.folders||[]),s.hashIndexFileId!==this.rootMeta.hashIndexFileId&&(this.rootMeta.hashIndexFileId=s.hashIndexFileId,s.hashIndexFileId||delete this.rootMeta.hashIndexFileId,this._hashIndex=null,this._hashIndexDirty=!1),this._syncAlbumInstances(new Map),await this._saveRootCascade(),this._emit("rolledBack",{fileId:e,changes:i}),i},"rollback")}}catch(e){return console.error("rollback error:",e),{ok:!1,errors:[String(e)]}}}async verify(e={}){await this.ready();try{return Object.assign({ok:!0},await this._mutate(()=>this._verify(e),"verify"))}catch(e){return console.error("verify error:",e),{ok:!1,errors:[String(e)]}}}async repair(e={}){await this.ready();try{const{fixed:t,remaining:r}=await this._mutate(async()=>{const{issues:t}=await this._verify(e),r=[],s=[];for(const a of t){a.fix&&(!e.types||e.types.includes(a.type))&&await this._applyFix(a)?r.push(a):s.push(a)}if(r.length){for(const e of new Set(r.map(e=>e._album).filter(Boolean)))await e._saveAlbumCascade();this._sortRoot(),await this._saveRootCascade()}return{fixed:r,remaining:s}},"repair"),s=e=>{const t=Object.assign({},e);return delete t._album,delete t._entry,delete t._encrypted,t};return{ok:!0,fixed:t.map(s),remaining:r.map(s)}}catch(e){return console.error("repair error:",e),{ok:!1,errors:[String(e)]}}}async _verify(e={}){const{checkMedia:t=!0,checkHistory:r=!1}=e,s=[],a={albums:0,files:0,fileIds:0},i=e=>s.push(Object.assign({fix:null},e));this.rootMeta.unreadableRootFileId&&i({type:"unreadable-root",fileId:this.rootMeta.unreadableRootFileId,fix:"recover-albums",message:"A previous root file could not be loaded; its albums are missing"});const o=new Set;for(const e of this.root)o.has(e.albumId)&&i({type:"duplicate-album-id",albumId:e.albumId,fix:"new-album-id",_entry:e,message:`Album "${e.name}" shares albumId ${e.albumId} with another album`}),o.add(e.albumId);const n=this.root.filter(e=>"Trash"===e.name);n.length||i({type:"missing-trash",fix:"create-trash",message:"Trash album is missing"}),n.length>1&&i({type:"duplicate-trash",fix:"merge-trash",message:`${n.length} Trash albums`});for(const e of this._folders())e.parentId&&!this._effectiveParentId(e.parentId)&&i({type:"broken-folder",folderId:e.folderId,fix:"move-to-top",message:`Folder "${e.name}" is inside a missing folder or a loop of folders`});for(const e of this.root)e.parentId&&this._albumParentId(e)!==e.parentId&&i({type:"broken-folder",albumId:e.albumId,fix:"move-to-top",_entry:e,message:`Album "${e.name}" is inside a missing folder or a loop of folders`});for(const[e,t]of this._albums){const r=this.root.find(t=>t.albumId===e);r?t._loadedFileId!==t.albumFileId||t.albumFileId===r.albumFileId||t._dirty||i({type:"stale-entry",albumId:e,fileId:t.albumFileId,fix:"relink",_entry:r,_encrypted:t.encrypted,message:`Root points at an older file list of album "${r.name}"`}):i({type:"orphaned-album",albumId:e,fix:"restore-to-trash",_album:t,message:`Album "${t.name}" is loaded but missing from root`})}const l=this.rootMeta.history||[];for(const e of this.root.slice()){a.albums++;const r=this._albumFor(e);try{await r.ready()}catch(t){const r=await this._findReadableAlbumFile(e.albumId,e.albumFileId,l);i({type:"unreadable-album",albumId:e.albumId,fileId:r&&r.albumFileId,fix:r?"relink":null,_entry:e,_encrypted:r&&r.encrypted,message:`File list of album "${e.name}" cannot be loaded: ${t.message}`});continue}const s=new Set;for(const o of r.files){a.files++;const n={albumId:e.albumId,fullFileId:o&&o.fullFileId,_album:r};if(o&&"string"==typeof o.name&&"string"==typeof o.fullFileId){if(s.has(o.fullFileId))i(Object.assign(n,{type:"duplicate-file",fix:"remove-file",message:`File "${o.name}" is listed twice in album "${e.name}"`}));else if(s.add(o.fullFileId),t){for(const t of["full","thumb","screen"]){const r=o[`${t}FileId`];r&&(a.fileIds++,await this._fileIdExists(r)||i(Object.assign({},n,{type:`missing-${t}`,fileId:r,fix:"full"===t?"remove-file":"clear-rendition",message:`${t} file of "${o.name}" in album "${e.name}" cannot be fetched`})))}for(const[t,r]of(o.parts||[]).entries())t&&(a.fileIds++,await this._fileIdExists(r.fileId)||i(Object.assign({},n,{type:"missing-full",fileId:r.fileId,fix:"remove-file",message:`Part ${t+1} of "${o.name}" in album "${e.name}" cannot be fetched`})))}}else i(Object.assign(n,{type:"invalid-file",fix:"remove-file",message:`Malformed file entry in album "${e.name}"`}))}(e.thumbFileId||null)!==r._deriveThumbFileId()&&r._loadedFileId===e.albumFileId&&i({type:"stale-thumb",albumId:e.albumId,fix:"update-thumb",_album:r,message:`Album thumbnail of "${e.name}" does not match its cover`})}if(r){const e=new Set(this.root.map(e=>e.albumId).concat(s.filter(e=>"orphaned-album"===e.type).map(e=>e.albumId)));for(const t of l){let r;try{({albums:r}=await this._fetchRoot(t.fileId))}catch(e){continue}for(const s of r)e.has(s.albumId)||(e.add(s.albumId),i({type:"lost-album",albumId:s.albumId,fileId:t.fileId,fix:"restore-to-trash",_entry:s,message:`Album "${s.name}" from the ${t.op||"unknown"} snapshot of ${t.savedAt} is no longer in root`}))}}return{issues:s,checked:a}}async _mergeTrashEntries(){const e=this.root.slice(),t=new Map;await this._mergeDuplicateTrash(e,t),this.root=e,this._syncAlbumInstances(t)}async _fileIdExists(e){try{return await this._callTelegram("getFile",{file_id:e}),!0}catch(e){if(400===e.errorCode)return/file is too big/i.test(e.message);throw e}}async _findReadableAlbumFile(e,t,r){const s=new Set([t]);for(const t of r){let r;try{({albums:r}=await this._fetchRoot(t.fileId))}catch(e){continue}const a=r.find(t=>t.albumId===e);if(a&&!s.has(a.albumFileId)){s.add(a.albumFileId);try{return await this._fetchAlbumFiles(a.albumFileId,a.name,a.encrypted),a}catch(e){}}}return null}async _applyFix(e){const t=e._album,r=(e,t)=>{const r=this.root.indexOf(e);return-1!==r&&(this.root[r]=Object.assign({},e,t),!0)};switch(e.fix){case"recover-albums":{let t;try{({parsed:t}=await this._fetchRootJson(e.fileId))}catch(e){return!1}const r=(Array.isArray(t)?t:t&&t.albums||[]).map(TgAlbumsApp._withoutLibrary);for(const e of r){e&&"string"==typeof e.name&&"string"==typeof e.albumFileId&&"string"==typeof e.albumId&&!this.root.some(t=>t.albumId===e.albumId)&&this.root.push(e)}return delete this.rootMeta.unreadableRootFileId,await this._mergeTrashEntries(),!0}case"new-album-id":return r(e._entry,{albumId:TgAlbumsApp._makeAlbumId()});case"create-trash":return this.root.push(this._withEncryptedFlag({name:"Trash",thumbFileId:null,albumFileId:await this._putJson([]),albumId:TgAlbumsApp._makeAlbumId()})),!0;case"merge-trash":return await this._mergeTrashEntries(),!0;case"relink":{if(!r(e._entry,{albumFileId:e.fileId,encrypted:e._encrypted}))return!1;const t=this._albums.get(e.albumId);return t&&t.albumFileId!==e.fileId&&(t.albumFileId=e.fileId,t.encrypted=e._encrypted,t._loaded=t._load(),await t.ready()),!0}case"move-to-top":{if(e.folderId){const t=this._folders().find(t=>t.folderId===e.folderId);if(!t)return!1;if(!t.parentId||this._effectiveParentId(t.parentId))return!0;const r=Object.assign({},t);return delete r.parentId,this._setFolders(this._folders().map(e=>e===t?r:e)),!0}if(this._albumParentId(e._entry)===e._entry.parentId)return!0;if(!r(e._entry,{parentId:void 0}))return!1;const t=this._albums.get(e.albumId);return t&&(t.parentId=null),!0}case"restore-to-trash":{const r=e._entry||{name:t.name,thumbFileId:t.thumbFileId,albumFileId:t.albumFileId,albumId:t.albumId};return!this.root.some(e=>e.albumId===r.albumId)&&(this._addAlbumEntry(Object.assign({},r,{trashedAt:(new Date).toISOString()})),!0)}case"remove-file":{const r=t.files.findIndex(t=>!t||"string"!=typeof t.name||"string"!=typeof t.fullFileId||t.fullFileId===e.fullFileId);if(-1===r)return!1;const[s]=t.files.splice(r,1);return s&&s.fullFileId&&"missing-full"===e.type&&await this._forgetHashes([s],{force:!0}),!0}case"clear-rendition":{const r=t.files.find(t=>t.fullFileId===e.fullFileId),s=e.type.replace("missing-","");return!(!r||r[`${s}FileId`]!==e.fileId)&&(r[`${s}FileId`]=null,delete r[`${s}Mime`],!0)}case"update-thumb":return!0;default:return!1}}get encrypted(){return!!this._key}async enableEncryption(e,t={}){await this.ready();try{if(this._key)throw new Error("Library is already encrypted");return{ok:!0,files:await this._mutate(async()=>{const r=await this._getRemoteRootFileId();r&&r!==this.rootFileId&&await this._mergeRemoteRoot(r);const s=this.root.slice(),a=new Map;for(const e of s){const t=this._albumFor(e);await t.ready(),a.set(e.albumId,t.files.map(e=>Object.assign({},e)))}const i=await this._loadHashIndex(),o=new Set;for(const e of a.values())for(const t of e)[t.fullFileId,t.thumbFileId,t.screenFileId].concat((t.parts||[]).map(e=>e.fileId)).forEach(e=>e&&o.add(e));const{key:n,info:l}=await TgCrypto.createKey(e);this._key=n,this._encryption=l,this._knownPages.clear();try{const e=new Map,r=async(r,s,a)=>{if(!r)return r;if(!e.has(r)&&(e.set(r,await this._putBlob(await this._downloader.getBlob(r,s,a,!1))),t.onProgress))try{t.onProgress({type:"file",name:s,completed:e.size,total:o.size})}catch(e){console.warn("onProgress callback failed:",e)}return e.get(r)};for(const e of a.values())for(const t of e){if(t.parts){const e=[];for(const[s,a]of t.parts.entries())e.push(Object.assign({},a,{fileId:await r(a.fileId,`${t.name}.part${s+1}`,"application/octet-stream")}));t.parts=e}t.fullFileId=await r(t.fullFileId,t.name,t.mime),t.thumbFileId=await r(t.thumbFileId,`thumb_${t.name}`,t.thumbMime||t.mime),t.screenFileId=await r(t.screenFileId,`screen_${t.name}`,t.screenMime||t.mime),this._withEncryptedFlag(t)}const n=[];for(const t of s){const r=await this._putAlbumFiles(a.get(t.albumId),t.sort||"name"),s=t.coverFullFileId&&(e.get(t.coverFullFileId)||t.coverFullFileId),i={albumFileId:r,thumbFileId:t.thumbFileId&&(e.get(t.thumbFileId)||null)};s&&(i.coverFullFileId=s),n.push(this._withEncryptedFlag(Object.assign({},t,i)))}for(const t of i.values()){e.has(t.fullFileId)&&this._withEncryptedFlag(t);for(const r of["fullFileId","thumbFileId","screenFileId"])t[r]&&e.has(t[r])&&(t[r]=e.get(t[r]));t.parts&&(t.parts=t.parts.map(t=>Object.assign({},t,{fileId:e.get(t.fileId)||t.fileId})))}return this._hashIndexDirty=!0,delete this.rootMeta.searchIndexFileId,this._searchIndex=null,this._searchIndexDirty=!1,this.root=n,await this._saveRootCascade(),this._syncAlbumInstances(a),e.size}catch(e){throw this._key=null,this._encryption=null,this.root=s,this._hashIndex=null,this._hashIndexDirty=!1,e}},"enableEncryption")}}catch(e){return console.error("enableEncryption error:",e),{ok:!1,errors:[String(e)]}}}async changePassphrase(e,t){await this.ready();try{if(!this._key)throw new Error("Library is not encrypted");return await this._mutate(async()=>{this._encryption=await TgCrypto.rewrap(e,t,this._encryption),await this._saveRootCascade()},"changePassphrase"),{ok:!0}}catch(e){return console.error("changePassphrase error:",e),{ok:!1,errors:[String(e)]}}}async _getRemoteRootFileId(){const e=await this._getChat();return e&&e.description?e.description.trim():""}async _mergeRemoteRoot(e){const{albums:t,meta:r,encryption:s}=await this._fetchRoot(e);JSON.stringify(this._encryption)===JSON.stringify(this._baseEncryption)&&(this._encryption=s),this._baseEncryption=s;const a=e=>new Map(e.map(e=>[e.albumId,e])),i=a(this._baseRoot||[]),o=a(this.root),n=a(t),l=[],h=new Map;for(const e of new Set([...o.keys(),...n.keys()])){const t=i.get(e),r=o.get(e),s=n.get(e),a=this._albums.get(e),d=!(!a||!a._dirty);if(r&&s){const i=TgAlbumsApp._mergeFields(t,r,s),o=d||!t||r.albumFileId!==t.albumFileId,n=!t||s.albumFileId!==t.albumFileId;if(d||r.albumFileId!==s.albumFileId&&o&&n){const o=await this._mergeAlbumFiles(t,r,s,a);i.albumFileId=await this._putAlbumFiles(o,"name"),i.count=o.length,this._withEncryptedFlag(i),h.set(e,o)}l.push(i)}else r?t&&r.albumFileId===t.albumFileId&&!d||l.push(r):t&&s.albumFileId===t.albumFileId||l.push(s)}await this._mergeDuplicateTrash(l,h);const d=await this._mergeRootMeta(this._baseMeta,this.rootMeta,r,!!s),c=TgAlbumsApp._diffRoots(this.root,l);this.root=l,this.rootMeta=d,this._sortRoot(),this.rootFileId=e,this._baseRoot=TgAlbumsApp._clone(t),this._baseMeta=TgAlbumsApp._clone(r),this._syncAlbumInstances(h);const u=e=>JSON.stringify(e.slice().sort((e,t)=>e.albumId.localeCompare(t.albumId))),m=e=>JSON.stringify(Object.keys(e).sort().map(t=>[t,e[t]]));return{changes:c,needsSave:u(l)!==u(t)||m(d)!==m(r)||this._hashIndexDirty}}async _mergeRootMeta(e,t,r,s){const a=TgAlbumsApp._mergeFields(e,t,r),i=TgAlbumsApp._mergeById(e.folders||[],t.folders||[],r.folders||[],"folderId");i.length?a.folders=TgAlbumsApp._sortFolders(i):delete a.folders;const o=TgAlbumsApp._mergeById(e.shares||[],t.shares||[],r.shares||[],"shareId");if(o.length?a.shares=TgAlbumsApp._sortShares(o):delete a.shares,t.hashIndexFileId!==r.hashIndexFileId){const i=this._hashIndexDirty||t.hashIndexFileId!==e.hashIndexFileId;if(i&&r.hashIndexFileId){const e=await this._loadHashIndex(),t=await this._fetchJson(r.hashIndexFileId,"hashes.json",s);for(const[r,s]of Object.entries(t))e.has(r)||e.set(r,s);this._hashIndexDirty=!0}else i||(this._hashIndex=null);a.hashIndexFileId=r.hashIndexFileId||t.hashIndexFileId}for(const e of["savedAt","op","history"])void 0!==r[e]?a[e]=r[e]:delete a[e];return a}async _mergeAlbumFiles(e,t,r,s){const a=e?await this._fetchAlbumFiles(e.albumFileId,e.name,e.encrypted):[],i=s&&s._loadedFileId===t.albumFileId?s.files:await this._fetchAlbumFiles(t.albumFileId,t.name,t.encrypted),o=await this._fetchAlbumFiles(r.albumFileId,r.name,r.encrypted);return TgAlbumsApp._mergeFileLists(a,i,o)}async _mergeDuplicateTrash(e,t){const r=e.filter(e=>"Trash"===e.name).sort((e,t)=>e.albumId.localeCompare(t.albumId));if(r.length<2)return;const[s,...a]=r;let i=t.get(s.albumId)||await this._fetchAlbumFiles(s.albumFileId,s.name,s.encrypted);for(const r of a){const s=t.get(r.albumId)||await this._fetchAlbumFiles(r.albumFileId,r.name,r.encrypted);i=TgAlbumsApp._mergeFileLists([],i,s),e.splice(e.indexOf(r),1)}s.albumFileId=await this._putAlbumFiles(i,"name"),s.count=i.length,this._withEncryptedFlag(s),t.set(s.albumId,i)}_syncAlbumInstances(e){for(const[t,r]of this._albums){const s=this.root.find(e=>e.albumId===t);s?(r._applyEntry(s),e.has(t)?r._replaceFiles(s,e.get(t)):r.albumFileId!==s.albumFileId&&(r.albumFileId=s.albumFileId,r.encrypted=s.encrypted,r._loaded=null)):this._albums.delete(t)}}async refresh(){await this.ready();try{return{ok:!0,changes:await this._mutate(async()=>{const e=await this._getRemoteRootFileId();if(!e||e===this.rootFileId)return{added:[],removed:[],updated:[]};const t=await this._mergeRemoteRoot(e);return t.needsSave&&await this._saveRootCascade(),TgAlbumsApp._hasChanges(t.changes)&&this._emit("remoteChanges",{changes:t.changes}),t.changes},"refresh")}}catch(e){return console.error("refresh error:",e),{ok:!1,errors:[String(e)]}}}startPolling(e=3e4,t=null){this.stopPolling();const r={};this._polling=r;const s=async()=>{const a=await this.refresh();if(this._polling===r){if(a.ok&&t&&TgAlbumsApp._hasChanges(a.changes))try{t(a.changes)}catch(e){console.warn("onChange callback failed:",e)}this._pollTimer=setTimeout(s,e)}};this._pollTimer=setTimeout(s,e)}stopPolling(){this._pollTimer&&clearTimeout(this._pollTimer),this._pollTimer=null,this._polling=null}static _clone(e){return JSON.parse(JSON.stringify(e))}static _hasChanges(e){return!!(e.added.length||e.removed.length||e.updated.length)}static _mergeFields(e,t,r){const s={};for(const a of new Set([...Object.keys(t),...Object.keys(r)])){const i=!e||JSON.stringify(t[a])!==JSON.stringify(e[a])?t[a]:r[a];void 0!==i&&(s[a]=i)}return s}static _mergeFileLists(e,t,r){return TgAlbumsApp._mergeById(e,t,r,"fullFileId").sort((e,t)=>e.name.localeCompare(t.name))}static _mergeById(e,t,r,s){const a=e=>new Map(e.map(e=>[e[s],e])),i=a(e),o=a(t),n=a(r),l=[];for(const e of new Set([...o.keys(),...n.keys()])){const t=i.get(e),r=o.get(e),s=n.get(e);r&&s?l.push(TgAlbumsApp._mergeFields(t,r,s)):!r||t&&JSON.stringify(r)===JSON.stringify(t)?!s||t&&JSON.stringify(s)===JSON.stringify(t)||l.push(s):l.push(r)}return l}static _diffRoots(e,t){const r=new Map(e.map(e=>[e.albumId,e])),s=new Map(t.map(e=>[e.albumId,e])),a={added:[],removed:[],updated:[]};for(const[e,t]of s){const s=r.get(e);s?JSON.stringify(s)!==JSON.stringify(t)&&a.updated.push(e):a.added.push(e)}for(const e of r.keys())s.has(e)||a.removed.push(e);return a}async createAlbum(e,t={}){await this.ready();try{if(!e||"string"!=typeof e)throw new Error("Name required");if("Trash"===e)throw new Error('Name "Trash" is reserved');return t.folderId&&this._requireFolder(t.folderId),{ok:!0,album:await this._createAlbum(e,TgAlbumsApp._makeAlbumId(),"createAlbum",t.folderId)}}catch(e){return console.error("createAlbum error:",e),{ok:!1,errors:[String(e)]}}}async _createAlbum(e,t,r,s=null){const a=await this._putJson([]),i=this._withEncryptedFlag({name:e,thumbFileId:null,albumFileId:a,albumId:t,count:0});return await this._mutate(async()=>{s&&this._folders().some(e=>e.folderId===s)&&(i.parentId=s),this._addAlbumEntry(i),await this._saveRootCascade(),this._emit("albumCreated",{albumId:t,album:this._albumFor(i)})},r),this._albumFor(i)}_addAlbumEntry(e){const t=this.root.filter(e=>"number"==typeof e.order).map(e=>e.order);t.length&&(e.order=Math.max(...t)+1),this.root.push(e),this._sortRoot()}async getAlbums(){return await this.ready(),this.root.filter(e=>!e.trashedAt).map(e=>this._albumFor(e))}async getTrashedAlbums(){return await this.ready(),this.root.filter(e=>e.trashedAt).map(e=>this._albumFor(e))}async findAlbumById(e){await this.ready();const t=this.root.find(t=>t.albumId===e);return t?this._albumFor(t):null}async findAlbumsByName(e){await this.ready();return this.root.filter(t=>t.name===e&&!t.trashedAt).map(e=>this._albumFor(e))}async reorderAlbums(e){await this.ready();try{if(!Array.isArray(e))throw new Error("albumIds must be an array");return await this._mutate(async()=>{for(const t of e)if(!this.root.some(e=>e.albumId===t))throw new Error(`Album not found: ${t}`);if(e.length){const t=e.map(e=>this.root.find(t=>t.albumId===e)),r=this.root.filter(t=>!e.includes(t.albumId));this.root=t.concat(r).map((e,t)=>Object.assign({},e,{order:t}))}else this.root=this.root.map(e=>{const t=Object.assign({},e);return delete t.order,t});this._sortRoot(),await this._saveRootCascade(),this._emit("albumsReordered",{albumIds:this.root.map(e=>e.albumId)})},"reorderAlbums"),{ok:!0}}catch(e){return console.error("reorderAlbums error:",e),{ok:!1,errors:[String(e)]}}}_sortRoot(){this.root.sort((e,t)=>{const r="number"==typeof e.order?e.order:1/0,s="number"==typeof t.order?t.order:1/0;return r!==s?r-s:e.name.localeCompare(t.name)})}async getFolders(){return await this.ready(),this._folders().map(e=>Object.assign({},e))}async listFolder(e=null){await this.ready();try{const t=e?this._requireFolder(e):null,r=t?t.folderId:null;return{ok:!0,folder:t&&Object.assign({},t),path:this._folderPath(r),folders:this._folders().filter(e=>this._effectiveParentId(e.parentId)===r).map(e=>Object.assign({},e)),albums:this.root.filter(e=>!e.trashedAt&&this._albumParentId(e)===r).map(e=>this._albumFor(e))}}catch(e){return console.error("listFolder error:",e),{ok:!1,errors:[String(e)]}}}async getFolderPath(e){return await this.ready(),this._requireFolder(e),this._folderPath(e)}async getFolderSummary(e=null,t={}){await this.ready();try{const{maxCovers:r=4}=t,s=e?this._requireFolder(e).folderId:null,a=e=>{for(let t=e;t;t=this._effectiveParentId(this._folders().find(e=>e.folderId===t).parentId))if(t===s)return!0;return null===s},i=this._folders().filter(e=>e.folderId!==s&&a(this._effectiveParentId(e.parentId))),o=this.root.filter(e=>!e.trashedAt&&"Trash"!==e.name&&a(this._albumParentId(e)));let n=0;for(const e of o){if("number"==typeof e.count){n+=e.count;continue}const t=this._albumFor(e);await t.ready(),n+=t.files.length}const l=o.map(e=>e.thumbFileId).filter(Boolean).slice(0,r);return{ok:!0,folders:i.length,albums:o.length,files:n,cover:l[0]||null,covers:l}}catch(e){return console.error("getFolderSummary error:",e),{ok:!1,errors:[String(e)]}}}async createFolder(e,t=null){await this.ready();try{TgAlbumsApp._checkFolderName(e);const r=await this._mutate(async()=>{const r={folderId:TgAlbumsApp._makeFolderId(),name:e};return t&&(r.parentId=this._requireFolder(t).folderId),this._setFolders(this._folders().concat([r])),await this._saveRootCascade(),this._emit("folderCreated",{folderId:r.folderId,folder:r}),r},"createFolder");return{ok:!0,folder:Object.assign({},r)}}catch(e){return console.error("createFolder error:",e),{ok:!1,errors:[String(e)]}}}async renameFolder(e,t){await this.ready();try{return TgAlbumsApp._checkFolderName(t),await this._mutate(()=>this._updateFolder(e,{name:t}),"renameFolder"),{ok:!0}}catch(e){return console.error("renameFolder error:",e),{ok:!1,errors:[String(e)]}}}async moveFolder(e,t=null){await this.ready();try{return await this._mutate(()=>{if(t&&(this._requireFolder(t),this._folderPath(t).some(t=>t.folderId===e)))throw new Error("Cannot move a folder into itself");return this._updateFolder(e,{parentId:t||void 0})},"moveFolder"),{ok:!0}}catch(e){return console.error("moveFolder error:",e),{ok:!1,errors:[String(e)]}}}async deleteFolder(e,t={}){await this.ready();try{return await this._mutate(async()=>{const r=this._requireFolder(e),s=this._effectiveParentId(r.parentId),a=new Set([r.folderId]);if(t.trashAlbums)for(let e=!0;e;){e=!1;for(const t of this._folders())!a.has(t.folderId)&&a.has(this._effectiveParentId(t.parentId))&&(a.add(t.folderId),e=!0)}const i=(new Date).toISOString(),o=[],n=[];this.root=this.root.map(e=>{if(!a.has(this._albumParentId(e)))return e;const r=Object.assign({},e);return t.trashAlbums?r.trashedAt||(r.trashedAt=i,o.push(e.albumId)):(s?r.parentId=s:delete r.parentId,n.push(e.albumId)),r}),this._setFolders(this._folders().filter(e=>!a.has(e.folderId)).map(e=>{if(!a.has(this._effectiveParentId(e.parentId)))return e;const t=Object.assign({},e);return s?t.parentId=s:delete t.parentId,t})),this._syncAlbumInstances(new Map),await this._saveRootCascade();for(const e of o)this._emit("albumDeleted",{albumId:e,permanent:!1});for(const e of n)this._emit("albumUpdated",{albumId:e,changes:{parentId:s}});for(const e of a)this._emit("folderDeleted",{folderId:e})},"deleteFolder"),{ok:!0}}catch(e){return console.error("deleteFolder error:",e),{ok:!1,errors:[String(e)]}}}_folders(){return this.rootMeta.folders||[]}_setFolders(e){e.length?this.rootMeta.folders=TgAlbumsApp._sortFolders(e):delete this.rootMeta.folders}static _sortFolders(e){return e.slice().sort((e,t)=>e.name.localeCompare(t.name)||e.folderId.localeCompare(t.folderId))}_requireFolder(e){const t=this._folders().find(t=>t.folderId===e);if(!t)throw new Error(`Folder not found: ${e}`);return t}async _updateFolder(e,t){const r=this._requireFolder(e),s=Object.assign({},r,t);s.parentId||delete s.parentId,this._setFolders(this._folders().map(e=>e===r?s:e)),await this._saveRootCascade(),this._emit("folderUpdated",{folderId:e,changes:t})}_effectiveParentId(e){const t=new Set;for(let r=e;r;){if(t.has(r))return null;t.add(r);const e=this._folders().find(e=>e.folderId===r);if(!e)return null;r=e.parentId}return e||null}_albumParentId(e){return"Trash"===e.name?null:this._effectiveParentId(e.parentId)}_folderPath(e){const t=[];for(let r=this._effectiveParentId(e);r;){const e=this._folders().find(e=>e.folderId===r);t.unshift({folderId:r,name:e.name}),r=this._effectiveParentId(e.parentId)}return t}static _checkFolderName(e){if(!e||"string"!=typeof e)throw new Error("Name required")}static _makeFolderId(){return"f"+TgAlbumsApp._makeAlbumId().slice(1)}async getTrash(){return await this.ready(),this._trashAlbum()}_trashAlbum(){const e=this.root.find(e=>"Trash"===e.name);if(!e)throw new Error("Trash album not found");return this._albumFor(e)}async purgeTrash(e={}){await this.ready();try{const t=null!=e.olderThanDays?e.olderThanDays:this.trashRetentionDays;if(!(t>=0))throw new Error("olderThanDays must be a number >= 0");return{ok:!0,purged:await this._mutate(()=>this._purgeTrash(Date.now()-864e5*t),"purgeTrash")}}catch(e){return console.error("purgeTrash error:",e),{ok:!1,errors:[String(e)]}}}async emptyTrash(){await this.ready();try{return{ok:!0,purged:await this._mutate(()=>this._purgeTrash(1/0),"emptyTrash")}}catch(e){return console.error("emptyTrash error:",e),{ok:!1,errors:[String(e)]}}}async _purgeTrash(e){const t=this.root.filter(t=>t.trashedAt&&(e===1/0||Date.parse(t.trashedAt)<e)),r=[];for(const e of t){const t=this._albumFor(e);await t.ready(),r.push(...t.files)}await this._forgetHashes(r);for(const e of t)this._albums.delete(e.albumId);if(t.length){this.root=this.root.filter(e=>!t.includes(e)),await this._saveRootCascade();for(const e of t)this._emit("albumDeleted",{albumId:e.albumId,permanent:!0})}return r.length+await this._purgeTrashFiles(e)}async _purgeTrashFiles(e){const t=this._trashAlbum();await t.ready();const r=(new Date).toISOString();let s=!1;const a=[],i=[];for(const o of t.files)o.trashedAt||e===1/0||(o.trashedAt=r,s=!0),e===1/0||Date.parse(o.trashedAt)<e?i.push(o):a.push(o);return i.length||s?(await this._forgetHashes(i),t.files=a,await t._saveAlbumCascade(),i.length&&this._emit("filesRemoved",{albumId:t.albumId,files:i,permanent:!0}),i.length):0}async deleteAllAlbums(){await this.ready();try{return await this._mutate(async()=>{const e=(new Date).toISOString(),t=[];for(const r of this.root){if("Trash"===r.name||r.trashedAt)continue;r.trashedAt=e,t.push(r.albumId);const s=this._albums.get(r.albumId);s&&s._applyEntry(r)}await this._saveRootCascade();for(const e of t)this._emit("albumDeleted",{albumId:e,permanent:!1})},"deleteAllAlbums"),{ok:!0}}catch(e){return console.error("deleteAllAlbums error:",e),{ok:!1,errors:[String(e)]}}}async exportLibrary(e={}){await this.ready();const t=this.root.filter(t=>"Trash"!==t.name&&(e.includeTrash||!t.trashedAt)).map(e=>this._albumFor(e));return this._exportAlbums(t,e)}async _exportAlbums(e,t={}){const{onProgress:r=null,signal:s=null}=t;try{const t=[],a={format:"tg-albums",version:1,exportedAt:(new Date).toISOString(),albums:[]},i=[],o=new Set;for(const t of e)await t.ready();const n=e.reduce((e,t)=>e+t.files.length,0);let l=0;for(const h of e){const e=TgAlbumsApp._uniqueName(TgAlbumsApp._safeFileName(h.name)||"album",o),d=new Set,c={albumId:h.albumId,name:h.name,folder:e,description:h.description,sort:h.sort,cover:null,files:[]};h.trashedAt&&(c.trashedAt=h.trashedAt);const u=this._folderPath(h.parentId).map(e=>e.name);u.length&&(c.path=u);for(const a of h.files.slice()){if(s&&s.aborted)throw s.reason||new DOMException("Export aborted","AbortError");const o=`${e}/${TgAlbumsApp._uniqueName(TgAlbumsApp._safeFileName(a.name)||"file",d)}`;try{const e=await this._downloader.getOriginal(a);i.push({name:o,blob:e,date:a.meta&&a.meta.takenAt||a.addedAt});const t=Object.assign({path:o},a);for(const e of["fullFileId","thumbFileId","screenFileId","thumbMime","screenMime","originalAlbumIds","parts","encrypted"])delete t[e];c.files.push(t),a.fullFileId===h.coverFullFileId&&(c.cover=o)}catch(e){const r=`Could not export "${a.name}" from album "${h.name}": ${e.message||e}`;console.warn(r),t.push(r)}if(l++,r)try{r({type:"file",album:h.name,name:a.name,completed:l,total:n})}catch(e){console.warn("onProgress callback failed:",e)}}a.albums.push(c)}i.unshift({name:"tg-albums.json",blob:new Blob([JSON.stringify(a,null,2)],{type:"application/json"})});const h={ok:!0,blob:await TgZip.write(i)};return t.length&&(h.warnings=t),h}catch(e){return console.error("export error:",e),{ok:!1,errors:[String(e)]}}}async importZip(e,t={}){await this.ready();const{dedup:r="link",concurrency:s,signal:a=null,onProgress:i=null}=t,o={ok:!0,albums:[],added:0},n=[],l=[];try{const h=await TgZip.read(e),d=new Map(h.filter(e=>!e.directory).map(e=>[e.name,e])),c=d.get("tg-albums.json"),u=c?TgAlbumsApp._planFromManifest(JSON.parse(await(await c.blob()).text())):TgAlbumsApp._planFromFolders(Array.from(d.keys()),t.albumName||"Imported");for(const e of u){if(a&&a.aborted){o.aborted=!0;break}const t=e.albumId&&this.root.find(t=>t.albumId===e.albumId&&!t.trashedAt),h=!t,c=!t&&e.path&&e.path.length?await this._ensureFolderPath(e.path):null,u=t?this._albumFor(t):await this._createAlbum(e.name,e.albumId&&!this.root.some(t=>t.albumId===e.albumId)?e.albumId:TgAlbumsApp._makeAlbumId(),"importZip",c);await u.ready(),o.albums.push(u.albumId);const m=[];for(const t of e.files){const e=d.get(t.path);e?m.push([await e.blob(),t.name,t.mime||TgAlbumsApp._mimeFromName(t.name)]):n.push(`Missing in archive: ${t.path}`)}const p=await u.addFiles(m,{dedup:r,concurrency:s,signal:a,onProgress:i&&(e=>i(Object.assign({album:u.name,albumId:u.albumId},e)))});if(o.added+=p.added,p.warnings&&n.push(...p.warnings),p.errors&&l.push(...p.errors),p.aborted){o.aborted=!0;break}e.files.some(e=>e.metadata)&&await this._importMetadata(u,e.files,n),h&&(e.description||e.sort&&"name"!==e.sort)&&(await this._mutate(()=>this._updateAlbumDescriptorByAlbumId(u.albumId,{description:e.description||"",sort:e.sort||"name"}),"importZip"),u._applyEntry(this.root.find(e=>e.albumId===u.albumId)),u._sortFiles());const f=e.cover&&e.files.find(t=>t.path===e.cover),b=f&&u.files.find(e=>f.sha256?e.sha256===f.sha256:e.name===f.name);h&&b&&await u.setCover(b.fullFileId),h&&e.trashedAt&&await this._mutate(async()=>{await this._updateAlbumDescriptorByAlbumId(u.albumId,{trashedAt:e.trashedAt}),u._applyEntry(this.root.find(e=>e.albumId===u.albumId)),this._emit("albumDeleted",{albumId:u.albumId,permanent:!1})},"importZip")}}catch(e){console.error("importZip error:",e),l.push(String(e))}return n.length&&(o.warnings=n),l.length&&(o.ok=!1,o.errors=l),o}static _planFromManifest(e){if(!e||"tg-albums"!==e.format||!Array.isArray(e.albums))throw new Error("Not a tg-albums manifest");return e.albums.map(e=>({albumId:e.albumId,name:TgAlbumsApp._importedAlbumName(e.name),description:e.description,sort:e.sort,cover:e.cover,path:Array.isArray(e.path)?e.path.filter(e=>e&&"string"==typeof e):void 0,trashedAt:"string"!=typeof e.trashedAt||isNaN(Date.parse(e.trashedAt))?void 0:e.trashedAt,files:(e.files||[]).map(e=>{const t={path:e.path,name:e.name,mime:e.mime,sha256:e.sha256},r={};for(const t of["caption","tags","favorite","rating"])void 0!==e[t]&&(r[t]=e[t]);return Object.keys(r).length&&(t.metadata=r),t})}))}async _ensureFolderPath(e){return this._mutate(async()=>{let t=null;const r=[];for(const s of e){let e=this._folders().find(e=>e.name===s&&this._effectiveParentId(e.parentId)===t);e||(e={folderId:TgAlbumsApp._makeFolderId(),name:s},t&&(e.parentId=t),this._setFolders(this._folders().concat([e])),r.push(e)),t=e.folderId}if(r.length){await this._saveRootCascade();for(const e of r)this._emit("folderCreated",{folderId:e.folderId,folder:e})}return t},"importZip")}async _importMetadata(e,t,r){await this._mutate(async()=>{const s=[];for(const a of t){if(!a.metadata)continue;const t=e.files.find(e=>a.sha256?e.sha256===a.sha256:e.name===a.name);if(t&&!["caption","tags","favorite","rating"].some(e=>void 0!==t[e]))try{Album._applyMetadata({},a.metadata),Album._applyMetadata(t,a.metadata)&&s.push(t)}catch(e){r.push(`Metadata of ${a.path} ignored: ${e.message}`)}}if(s.length){await e._saveAlbumCascade();for(const t of s)this._emit("fileUpdated",{albumId:e.albumId,file:t})}},"importZip")}static _planFromFolders(e,t){const r=new Map;for(const s of e){const e=s.split("/"),a=e[e.length-1];if("__MACOSX"===e[0]||a.startsWith("."))continue;const i=TgAlbumsApp._importedAlbumName(e.length>1?e[0]:t);r.has(i)||r.set(i,{name:i,files:[]}),r.get(i).files.push({path:s,name:a})}return Array.from(r.values())}static _importedAlbumName(e){return"Trash"===e?"Trash (imported)":e}static _mimeFromName(e){const t=(e.match(/\.([^.]+)$/)||[])[1];return t&&{jpg:"image/jpeg",jpeg:"image/jpeg",png:"image/png",gif:"image/gif",webp:"image/webp",avif:"image/avif",heic:"image/heic",heif:"image/heif",bmp:"image/bmp",tif:"image/tiff",tiff:"image/tiff",mp4:"video/mp4",m4v:"video/mp4",mov:"video/quicktime",webm:"video/webm",mkv:"video/x-matroska",avi:"video/x-msvideo","3gp":"video/3gpp"}[t.toLowerCase()]||""}static _safeFileName(e){return String(e).replace(/[\\/:*?"<>|\x00-\x1f]/g,"_").trim()}static _uniqueName(e,t){const r=e.lastIndexOf("."),[s,a]=r>0?[e.slice(0,r),e.slice(r)]:[e,""];let i=e;for(let e=2;t.has(i.toLowerCase());e++)i=`${s} (${e})${a}`;return t.add(i.toLowerCase()),i}async publishAlbum(e,t={}){await this.ready();try{const r=this._requireShareService(),s=this._resolveAlbum(e),a={originals:!1!==t.originals};this._key&&(a.key=TgAlbumsApp._makeShareKey());const i=await this._mutate(()=>this._publishSnapshot(s,a),"publishAlbum");return{ok:!0,fileId:i,token:TgAlbumsApp._encodeShareToken({m:i,b:TgAlbumsApp._botId(r.botToken),k:a.key})}}catch(e){return console.error("publishAlbum error:",e),{ok:!1,errors:[String(e)]}}}async shareAlbum(e,t={}){await this.ready();try{const r=this._requireShareService(),s=null!=t.chatId&&""!==t.chatId?t.chatId:r.chatId;if(null==s||""===s)throw new Error("chatId required");if(String(s)===String(this.chatId))throw new Error("Shares need a chat of their own, not the library chat");const a=this._resolveAlbum(e),i={shareId:TgAlbumsApp._makeShareId(),albumId:a.albumId,chatId:s,bot:TgAlbumsApp._botId(r.botToken),originals:!1!==t.originals,createdAt:(new Date).toISOString()};this._key&&(i.key=TgAlbumsApp._makeShareKey()),await this._mutate(async()=>{await this._publishShare(i),this._setShares(this._shares().concat([i])),await this._saveRootCascade(),this._emit("shareCreated",{shareId:i.shareId,albumId:i.albumId,share:TgAlbumsApp._shareInfo(i)})},"shareAlbum");const o=TgAlbumsApp._shareInfo(i);return{ok:!0,share:o,token:o.token}}catch(e){return console.error("shareAlbum error:",e),{ok:!1,errors:[String(e)]}}}async getShares(e={}){return await this.ready(),this._shares().filter(t=>!(e.albumId&&t.albumId!==e.albumId||this._shareAlbumGone(t))).map(e=>TgAlbumsApp._shareInfo(e))}async updateShare(e){await this.ready();try{return await this._mutate(async()=>{const t=this._requireShare(e);await this._publishShare(t),this._emit("shareUpdated",{shareId:e,albumId:t.albumId})},"updateShare"),{ok:!0}}catch(e){return console.error("updateShare error:",e),{ok:!1,errors:[String(e)]}}}async revokeShare(e){await this.ready();try{const t=await this._mutate(()=>this._revokeShare(this._requireShare(e)),"revokeShare");return t.length?{ok:!0,warnings:t}:{ok:!0}}catch(e){return console.error("revokeShare error:",e),{ok:!1,errors:[String(e)]}}}async sendAlbumToChat(e,t,r={}){await this.ready();try{if(null==t||""===t)throw new Error("chatId required");const s=this._resolveAlbum(e);await s.ready();const a=r.fullIds&&new Set(r.fullIds),i=s.files.filter(e=>!a||a.has(e.fullFileId)),o=[],n=[];let l=0;for(let e=0;e<i.length;e+=10){const r=[];for(const t of i.slice(e,e+10)){const e=t.screenFileId||t.thumbFileId;if(e)try{const s=t.screenFileId?t.screenMime:t.thumbMime;r.push({blob:await this._downloader.getBlob(e,`screen_${t.name}`,s||"image/jpeg",t.encrypted),caption:t.caption||""})}catch(e){const r=`Could not send "${t.name}": ${e.message||e}`;console.warn(r),o.push(r)}else o.push(`"${t.name}" has no rendition to send`)}r.length&&(l||(r[0].caption=r[0].caption?`${s.name}\n${r[0].caption}`:s.name),n.push(...await this._sendPhotos(t,r)),l+=r.length)}const h={ok:!0,sent:l,messageIds:n};return o.length&&(h.warnings=o),h}catch(e){return console.error("sendAlbumToChat error:",e),{ok:!1,errors:[String(e)]}}}async _sendPhotos(e,t){const r=new FormData;r.append("chat_id",String(e));const s=e=>e.slice(0,1024);if(1===t.length)return r.append("photo",t[0].blob,"photo"),t[0].caption&&r.append("caption",s(t[0].caption)),[(await this._callTelegram("sendPhoto",r)).message_id];const a=t.map((e,t)=>{r.append(`photo${t}`,e.blob,`photo${t}`);const a={type:"photo",media:`attach://photo${t}`};return e.caption&&(a.caption=s(e.caption)),a});return r.append("media",JSON.stringify(a)),(await this._callTelegram("sendMediaGroup",r)).map(e=>e.message_id)}async _publishShare(e){const t=this._requireShareService(e),r=t.transport||this.transport,s=(await TgAlbumsApp._fetchShareDirectory(t,r,e.chatId)).shares[e.shareId];let a=null;if(s)try{a=await this._fetchSharedJson(s,e.key)}catch(t){console.warn(`Previous snapshot of share ${e.shareId} is unreadable, uploading every file again:`,t)}const i=await this._publishSnapshot(this._resolveAlbum(e.albumId),e,a),o=await TgAlbumsApp._fetchShareDirectory(t,r,e.chatId);return o.shares[e.shareId]=i,await this._saveShareDirectory(t,e.chatId,o),i}async _publishSnapshot(e,t,r=null){if(await e.ready(),this._key&&!t.key)throw new Error("The share was created before the library was encrypted; revoke it and share the album again");const s=t.key?await TgCrypto._importDataKey(TgCrypto.fromBase64(t.key)):null,a=new Map(r&&r.uploads||[]),i=async(e,t,r,i)=>{if(!e)return null;const o=await TgAlbumsApp._sha256(new Blob([e]));if(!a.has(o)){const n=await this._downloader.getBlob(e,t,r,i);a.set(o,await this._putSharedBlob(n,s))}return a.get(o)},o=[];for(const r of e.files.slice()){const e=Object.assign({},r);if(delete e.originalAlbumIds,s?e.encrypted=!0:delete e.encrypted,e.thumbFileId=await i(r.thumbFileId,`thumb_${r.name}`,r.thumbMime,r.encrypted),e.screenFileId=await i(r.screenFileId,`screen_${r.name}`,r.screenMime,r.encrypted),t.originals)if(r.parts){e.parts=[];for(const[t,s]of r.parts.entries())e.parts.push(Object.assign({},s,{fileId:await i(s.fileId,`${r.name}.part${t+1}`,"application/octet-stream",r.encrypted)}));e.fullFileId=e.parts[0].fileId}else e.fullFileId=await i(r.fullFileId,r.name,r.mime,r.encrypted);else delete e.fullFileId,delete e.parts;o.push(e)}const n=e.files.find(t=>t.thumbFileId===e.thumbFileId),l={format:"tg-albums-share",version:1,publishedAt:(new Date).toISOString(),album:{name:e.name,description:e.description,sort:e.sort,thumbFileId:await i(e.thumbFileId,`thumb_${e.name}`,n&&n.thumbMime,n&&n.encrypted)},files:o};return l.uploads=Array.from(a),this._putSharedBlob(new Blob([JSON.stringify(l)],{type:"application/json"}),s)}async _putSharedBlob(e,t){if(!t)return this.shareService.putFile(e);const r=await TgCrypto.encrypt(t,new Uint8Array(await e.arrayBuffer()));return this.shareService.putFile(new Blob([r],{type:"application/octet-stream"}))}async _fetchSharedJson(e,t){const r=await this.shareService.getFile(e,"share.json","application/json");if(!t)return JSON.parse(await r.blob.text());const s=await TgCrypto._importDataKey(TgCrypto.fromBase64(t));return JSON.parse((new TextDecoder).decode(await TgCrypto.decrypt(s,new Uint8Array(await r.blob.arrayBuffer()))))}static async _fetchShareDirectory(e,t,r){const s=await t.call(e.botToken,"getChat",{chat_id:r}),a=s&&s.description?s.description.trim():"",i={format:"tg-albums-shares",version:1,shares:{}};if(!a)return i;const o=await e.getFile(a,"shares.json","application/json");let n=null;try{n=JSON.parse(await o.blob.text())}catch(e){}if(!n||n.format!==i.format||!n.shares)throw new Error(`The description of chat ${r} does not point to shares`);return n}async _saveShareDirectory(e,t,r){const s=await e.putFile(new Blob([JSON.stringify(r)],{type:"application/json"}));await(e.transport||this.transport).call(e.botToken,"setChatDescription",{chat_id:t,description:s})}_requireShareService(e=null){const t=this.shareService;if(!t)throw new Error("Sharing needs options.shareService, a bot of its own");const r=TgAlbumsApp._botId(t.botToken);if(r===TgAlbumsApp._botId(this.botToken))throw new Error("options.shareService must use a bot other than the library's");if(e&&e.bot!==r)throw new Error(`Share ${e.shareId} was published by another bot than options.shareService's`);return t}static _botId(e){return String(e).split(":")[0]}async _revokeShare(e){this._setShares(this._shares().filter(t=>t.shareId!==e.shareId)),await this._saveRootCascade();const t=[];try{const t=this._requireShareService(e),r=await TgAlbumsApp._fetchShareDirectory(t,t.transport||this.transport,e.chatId);r.shares[e.shareId]&&(delete r.shares[e.shareId],await this._saveShareDirectory(t,e.chatId,r))}catch(r){const s=`Could not remove share ${e.shareId} from chat ${e.chatId}: ${r.message||r}`;console.warn(s),t.push(s)}return this._emit("shareRevoked",{shareId:e.shareId,albumId:e.albumId}),t}_shareAlbumGone(e){const t=this.root.find(t=>t.albumId===e.albumId);return!t||!!t.trashedAt}_queueShareUpdates(e,t){if(["filesAdded","filesRemoved","fileUpdated","fileTrashed","fileRestored","albumUpdated","albumDeleted","rolledBack"].includes(e))for(const r of this._shares()){if("rolledBack"!==e&&r.albumId!==t||this._pendingShares.has(r.shareId))continue;this._pendingShares.add(r.shareId);const s=this._shareAlbumGone(r);this._mutate(async()=>{this._pendingShares.delete(r.shareId);const e=this._shares().find(e=>e.shareId===r.shareId);e&&(this._shareAlbumGone(e)?await this._revokeShare(e):(await this._publishShare(e),this._emit("shareUpdated",{shareId:e.shareId,albumId:e.albumId})))},s?"revokeShare":"updateShare").catch(e=>console.warn(`Could not update share ${r.shareId}:`,e))}}_shares(){return this.rootMeta.shares||[]}_setShares(e){e.length?this.rootMeta.shares=TgAlbumsApp._sortShares(e):delete this.rootMeta.shares}static _sortShares(e){return e.slice().sort((e,t)=>e.createdAt.localeCompare(t.createdAt)||e.shareId.localeCompare(t.shareId))}_requireShare(e){const t=this._shares().find(t=>t.shareId===e);if(!t)throw new Error(`Share not found: ${e}`);return t}static _shareInfo(e){const t=Object.assign({},e);return delete t.key,t.token=TgAlbumsApp._encodeShareToken({c:e.chatId,s:e.shareId,b:e.bot,k:e.key}),t}static _encodeShareToken(e){return TgCrypto.toBase64((new TextEncoder).encode(JSON.stringify(e))).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")}static _decodeShareToken(e){if(!e||"string"!=typeof e)throw new Error("Share token required");try{const t=e.replace(/-/g,"+").replace(/_/g,"/"),r=JSON.parse((new TextDecoder).decode(TgCrypto.fromBase64(t+"=".repeat((4-t.length%4)%4))));if(r&&(r.m||null!=r.c&&r.s))return r}catch(e){}return{m:e}}static _makeShareKey(){return TgCrypto.toBase64(crypto.getRandomValues(new Uint8Array(32)))}static _makeShareId(){return"s"+TgAlbumsApp._makeAlbumId().slice(1)}async _updateAlbumDescriptorByFileId(e,t){const r=this.root.findIndex(t=>t.albumFileId===e);if(-1===r)throw new Error("Album not found in root");this.root[r]=Object.assign({},this.root[r],t),this._sortRoot(),await this._saveRootCascade()}async _updateAlbumDescriptorByAlbumId(e,t){const r=this.root.findIndex(t=>t.albumId===e);if(-1===r)throw new Error("Album not found in root");this.root[r]=Object.assign({},this.root[r],t),t.albumFileId&&this._withEncryptedFlag(this.root[r]),this._sortRoot(),await this._saveRootCascade()}}class Album{constructor(e,t,r,s,a=null,i=null){this.service=e,this.app=s,this.name=r,this.albumFileId=t,this.encrypted=void 0,this.thumbFileId=a,this.albumId=i,this.description="",this.coverFullFileId=null,this.files=[],this.sort="name",this._loadedFileId=null,this._dirty=!1,this._urlHolders=new Set,this._header=null,this._loaded=null}async ready(){return this._loaded||(this._loaded=this._load()),this._loaded}_applyEntry(e){this.name=e.name,this.thumbFileId=e.thumbFileId,this.sort=e.sort||"name",this.description=e.description||"",this.coverFullFileId=e.coverFullFileId||null,this.trashedAt=e.trashedAt||null,this.parentId=e.parentId||null}async _load(){const e=this.albumFileId,{files:t,header:r}=await this.app._fetchAlbumList(e,this.name,this.encrypted),s=t||await this.app._fetchAllPages(r,this.name);this.albumFileId===e&&(this.files=s.slice(),this._sortFiles(),this._loadedFileId=e)}_replaceFiles(e,t){this.albumFileId=e.albumFileId,this.encrypted=e.encrypted,this._header=null,this.files=t.slice(),this._sortFiles(),this._loadedFileId=e.albumFileId,this._loaded=Promise.resolve()}static _comparator(e){const t=e.startsWith("-"),r=t?e.slice(1):e,s={name:null,takenAt:Album._takenTime,addedAt:e=>e.addedAt||"",size:e=>e.size||0};if(!(r in s))throw new Error(`Unknown sort order: ${e}`);const a=s[r],i=(e,t)=>e.name.localeCompare(t.name),o=a?(e,t)=>{const r=a(e),s=a(t);return r<s?-1:r>s?1:i(e,t)}:i;return t?(e,t)=>o(t,e):o}static _takenTime(e){const t=Date.parse(e.meta&&e.meta.takenAt||e.addedAt||"");return Number.isNaN(t)?-1/0:t}_sortFiles(){this.files.sort(Album._comparator(this.sort))}async setSortOrder(e){await this.ready();try{return Album._comparator(e),await this.app._mutate(async()=>{this._requireActive(),this.sort=e,this._sortFiles(),await this.app._updateAlbumDescriptorByAlbumId(this.albumId,{sort:e}),this.app._emit("albumUpdated",{albumId:this.albumId,changes:{sort:e}})},"setSortOrder"),{ok:!0}}catch(e){return console.error("setSortOrder error:",e),{ok:!1,errors:[String(e)]}}}async getFiles(e={}){await this.ready();const t=this.files.map(e=>Object.assign({},e));return e.sort?t.sort(Album._comparator(e.sort)):t}async getFilesPage(e=null,t=100){const r=null==e?0:Number(e);if(!Number.isInteger(r)||r<0)throw new Error(`Invalid cursor: ${e}`);if(!Number.isInteger(t)||t<1)throw new Error("limit must be a positive integer");const s=this._loadedFileId===this.albumFileId?null:await this._loadHeader();let a,i;if(s&&s.sort===this.sort){i=s.count,a=[];let e=0;for(const i of s.pages){const o=e+i.count;if(o>r&&e<r+t){const o=await this.app._fetchAlbumPage(i,this.name,s.encrypted);a.push(...o.slice(Math.max(0,r-e),r+t-e))}e=o}}else await this.ready(),i=this.files.length,a=this.files.slice(r,r+t);a=a.map(e=>Object.assign({},e));const o=r+a.length;return{files:a,nextCursor:a.length&&o<i?String(o):null,total:i}}async*filesIter(e=100){let t=null;do{const r=await this.getFilesPage(t,e);yield*r.files,t=r.nextCursor}while(t)}async _loadHeader(){const e=this.albumFileId;if(!this._header||this._header.albumFileId!==e){const{header:t}=await this.app._fetchAlbumList(e,this.name,this.encrypted);this._header={albumFileId:e,header:t||null}}return this._header.header}async addFiles(e,t={}){const r=[],s=[];let a=0,i=!1;try{for await(const i of this.addFilesIter(e,t))if("done"===i.type&&a++,"skip"===i.type&&r.push(i.warning),"error"===i.type&&s.push(String(i.error)),t.onProgress)try{t.onProgress(i)}catch(e){console.warn("onProgress callback failed:",e)}}catch(e){e&&"AbortError"===e.name?i=!0:console.error("addFiles error:",e),s.push(String(e))}const o={ok:0===s.length,added:a};return r.length&&(o.warnings=r),s.length&&(o.errors=s),i&&(o.aborted=!0),o}async*addFilesIter(e,t={}){if(await this.ready(),!Array.isArray(e))throw new Error("items must be array of [Blob,name,mime]");const{concurrency:r=3,checkpointEvery:s=0,signal:a=null,dedup:i=this.app.dedup}=t;if(!["skip","link","off"].includes(i))throw new Error(`Unknown dedup mode: ${i}`);this._requireActive();const o=e.length,n=[];let l=null;const h=e=>{n.push(e),l&&(l(),l=null)};let d=0,c=0,u=0,m=[],p=!1,f=Promise.resolve();const b=()=>(f=f.catch(()=>{}).then(async()=>{if(!u)return;const e=u;u=0;try{await this.app._mutate(async()=>{await this._saveAlbumCascade();const e=m;m=[],this.app._emit("filesAdded",{albumId:this.albumId,files:e})},"addFiles")}catch(t){throw u+=e,t}}),f);let g=!1;const y=Promise.all(Array.from({length:Math.max(1,Math.min(r,o))},async()=>{for(;!p&&d<o&&(!a||!a.aborted);){const t=d++,r=e[t]&&e[t][1]||null;h({type:"start",index:t,name:r,completed:c,total:o});try{const a=await this._uploadItem(e[t],i);if(c++,a.warning){h({type:"skip",index:t,name:r,completed:c,total:o,warning:a.warning});continue}let n;try{n=await this.app._mutate(()=>(this._requireActive(),!(!a.linked||!this.files.some(e=>e.fullFileId===a.entry.fullFileId))||(this.files.push(a.entry),this._sortFiles(),this._dirty=!0,u++,m.push(a.entry),a.linked||this.app._indexHash(a.entry),!1)),"addFiles")}finally{a.settle&&a.settle(!1===n)}if(n){const e=`Skipped file "${r}": same content is already in this album`;console.warn(e),h({type:"skip",index:t,name:r,completed:c,total:o,warning:e});continue}if(h({type:"done",index:t,name:r,completed:c,total:o,entry:Object.assign({},a.entry)}),s>0&&u>=s)try{await b(),h({type:"checkpoint",index:t,name:r,completed:c,total:o})}catch(e){console.error("addFiles checkpoint save failed:",e)}}catch(e){c++,console.warn(`Upload failed for file "${r}":`,e),h({type:"error",index:t,name:r,completed:c,total:o,error:e})}}})).then(()=>{g=!0,l&&(l(),l=null)});try{for(;;)if(n.length)yield n.shift();else{if(g)break;await new Promise(e=>{l=e})}}finally{p=!0,await y,await b()}if(a&&a.aborted)throw a.reason||new DOMException("Upload aborted","AbortError")}async _uploadItem(e,t=this.app.dedup){const[r,s,a]=e||[];if(!r||!s){const e="Each item must be [Blob,name,mime]";return console.warn(e),{warning:e}}const i=a||r.type||"";if(!i.startsWith("image/")&&!i.startsWith("video/")){const e=`Skipped unsupported MIME type for file "${s}": ${i}`;return console.warn(e),{warning:e}}const o=await TgAlbumsApp._sha256(r),n=this.app;if(await n._loadHashIndex(),"off"!==t){const e=await n._lookupHash(o);if(e){if("skip"===t){const t=`Skipped duplicate file "${s}" (same content as "${e.name}")`;return console.warn(t),{warning:t}}return{entry:Object.assign({},e,{name:s,originalAlbumIds:[this.albumId],addedAt:(new Date).toISOString()}),linked:!0}}}let l;const h=new Promise((e,t)=>{l={resolve:e,reject:t}});n._pendingHashes.has(o)||n._pendingHashes.set(o,h);const d=()=>{n._pendingHashes.get(o)===h&&n._pendingHashes.delete(o)};try{const e=await this._uploadOriginal(r,s,i,o);return{entry:e,settle:t=>{d(),l.resolve(t?TgAlbumsApp._hashTemplate(e):null)}}}catch(e){throw d(),l.reject(e),e}}async _uploadOriginal(e,t,r,s){const a=this.app.chunkSize,i=a>0&&e.size>a?await this.app._putParts(e):null,o={name:t,mime:r,thumbFileId:null,screenFileId:null,fullFileId:i?i[0].fileId:await this.app._putBlob(e),originalAlbumIds:[this.albumId],size:e.size,addedAt:(new Date).toISOString(),sha256:s};i&&(o.parts=i),this.app._withEncryptedFlag(o);let n=e,l=r,h=1;if(r.startsWith("image/")){let r=null;try{r=await ImageMetadataReader.read(e)}catch(e){console.warn(`Metadata extraction failed for file "${t}":`,e)}if(r){const{width:e,height:t}=r;e&&t&&Object.assign(o,{width:e,height:t}),delete r.width,delete r.height,Object.keys(r).length&&(o.meta=r),h=r.orientation||1}}else if(r.startsWith("video/")){const t=await this.app._probeVideo(e,r);Object.assign(o,{duration:t.duration,width:t.width,height:t.height,codec:t.codec}),n=t.poster,l=t.poster?t.poster.type||"image/jpeg":null}if(n)for(const t of["thumb","screen"]){let s;try{s=await this.app._renderRendition(n,t,l,n===e?h:1)}catch(r){console.warn(`${t} rendition failed, using ${n===e?"original":"poster"} instead:`,r),s={blob:n,mime:l}}o[`${t}FileId`]=await this.app._putBlob(s.blob),s.mime!==r&&(o[`${t}Mime`]=s.mime)}return o}async _saveAlbumCascade(){this._sortFiles();const e=await this.app._putAlbumFiles(this.files,this.sort);this.albumFileId=e,this.encrypted=this.app.encrypted||void 0,this._loadedFileId=e,this._dirty=!1;try{this.thumbFileId=this._deriveThumbFileId(),await this.app._updateAlbumDescriptorByAlbumId(this.albumId,{albumFileId:e,thumbFileId:this.thumbFileId,count:this.files.length})}catch(e){console.error("Failed to update root after saving album:",e)}}_deriveThumbFileId(){const e=this.coverFullFileId&&this.files.find(e=>e.fullFileId===this.coverFullFileId);return e?e.thumbFileId||null:0===this.files.length?null:this.files[0].thumbFileId||null}_requireActive(){const e=this.app.root.find(e=>e.albumId===this.albumId);if(e&&e.trashedAt)throw new Error(`Album "${this.name}" is in Trash; restore it first`)}async rename(e){await this.ready();try{if(!e||"string"!=typeof e)throw new Error("Name required");if("Trash"===this.name)throw new Error("Trash album cannot be renamed");if("Trash"===e)throw new Error('Name "Trash" is reserved');return await this.app._mutate(async()=>{this._requireActive(),await this.app._updateAlbumDescriptorByAlbumId(this.albumId,{name:e}),this.name=e,this.app._emit("albumUpdated",{albumId:this.albumId,changes:{name:e}})},"rename"),{ok:!0}}catch(e){return console.error("rename error:",e),{ok:!1,errors:[String(e)]}}}async setDescription(e){await this.ready();try{if("string"!=typeof e)throw new Error("Description must be a string");return await this.app._mutate(async()=>{this._requireActive(),await this.app._updateAlbumDescriptorByAlbumId(this.albumId,{description:e}),this.description=e,this.app._emit("albumUpdated",{albumId:this.albumId,changes:{description:e}})},"setDescription"),{ok:!0}}catch(e){return console.error("setDescription error:",e),{ok:!1,errors:[String(e)]}}}async moveToFolder(e){try{if("Trash"===this.name)throw new Error("Trash album cannot be moved into a folder");const t=this.app;return await t.ready(),await t._mutate(async()=>{this._requireActive();const r=e?t._requireFolder(e).folderId:null,s=t.root.findIndex(e=>e.albumId===this.albumId);if(-1===s)throw new Error("Album not found in root");const a=Object.assign({},t.root[s]);r?a.parentId=r:delete a.parentId,t.root[s]=a,await t._saveRootCascade(),this._applyEntry(a),t._emit("albumUpdated",{albumId:this.albumId,changes:{parentId:r}})},"moveToFolder"),{ok:!0}}catch(e){return console.error("moveToFolder error:",e),{ok:!1,errors:[String(e)]}}}getPath(){const e=this.app.root.find(e=>e.albumId===this.albumId);return this.app._folderPath(e?this.app._albumParentId(e):null)}async setCover(e){await this.ready();try{return await this.app._mutate(()=>this._setCover(e),"setCover"),{ok:!0}}catch(e){return console.error("setCover error:",e),{ok:!1,errors:[String(e)]}}}async _setCover(e){if(this._requireActive(),e&&!this.files.some(t=>t.fullFileId===e))throw new Error("File not found in album");this.coverFullFileId=e||null,this.thumbFileId=this._deriveThumbFileId(),await this.app._updateAlbumDescriptorByAlbumId(this.albumId,{coverFullFileId:this.coverFullFileId,thumbFileId:this.thumbFileId}),this.app._emit("albumUpdated",{albumId:this.albumId,changes:{coverFullFileId:this.coverFullFileId}})}on(e,t){return this.app.on(e,e=>{e.albumId!==this.albumId&&e.trashAlbumId!==this.albumId||t(e)})}async findFileByFullId(e){await this.ready();const t=this.files.find(t=>t.fullFileId===e);return t?new AlbumFile(this,t):null}async findFilesByName(e){await this.ready();return this.files.filter(t=>t.name===e).map(e=>new AlbumFile(this,e))}async setFileMetadata(e,t){await this.ready();try{if(!Array.isArray(e))throw new Error("fullIds must be an array");Album._applyMetadata({},t);const{updated:r,warnings:s}=await this.app._mutate(async()=>{this._requireActive();const r=[],s=[];for(const a of e){const e=this.files.find(e=>e.fullFileId===a);e?Album._applyMetadata(e,t)&&s.push(e):r.push(`File not found in album: ${a}`)}if(s.length){await this._saveAlbumCascade();for(const e of s)this.app._emit("fileUpdated",{albumId:this.albumId,file:e})}return{updated:s,warnings:r}},"setFileMetadata");s.forEach(e=>console.warn(e));const a={ok:!0,updated:r.length};return s.length&&(a.warnings=s),a}catch(e){return console.error("setFileMetadata error:",e),{ok:!1,errors:[String(e)]}}}static _applyMetadata(e,t){if(!t||"object"!=typeof t)throw new Error("changes must be an object");const r=JSON.stringify(e),s=(e,t)=>{if(!Array.isArray(e)||e.some(e=>"string"!=typeof e))throw new Error(`${t} must be an array of strings`);return e.map(e=>e.trim().replace(/\s+/g," ")).filter(Boolean)},a=(e,t)=>TgAlbumsApp._fold(e)===TgAlbumsApp._fold(t);let i=e.tags||[];for(const[r,o]of Object.entries(t))switch(r){case"caption":if("string"!=typeof o)throw new Error("caption must be a string");o.trim()?e.caption=o.trim():delete e.caption;break;case"tags":i=s(o,r);break;case"addTags":i=i.concat(s(o,r));break;case"removeTags":{const e=s(o,r);i=i.filter(t=>!e.some(e=>a(e,t)));break}case"favorite":if("boolean"!=typeof o)throw new Error("favorite must be a boolean");o?e.favorite=!0:delete e.favorite;break;case"rating":if(!Number.isInteger(o)||o<0||o>5)throw new Error("rating must be an integer from 0 to 5");o?e.rating=o:delete e.rating;break;default:throw new Error(`Unknown metadata field: ${r}`)}return i=i.filter((e,t)=>i.findIndex(t=>a(t,e))===t),i.length?e.tags=i:delete e.tags,JSON.stringify(e)!==r}async moveFiles(e,t){return this._transferFiles(e,t,!0)}async copyFiles(e,t){return this._transferFiles(e,t,!1)}async _transferFiles(e,t,r){await this.ready();const s=r?"moveFiles":"copyFiles";try{if(!Array.isArray(e))throw new Error("fullIds must be an array");const a=this.app._resolveAlbum(t);if(a.albumId===this.albumId)throw new Error("Source and target album are the same");if("Trash"===this.name||"Trash"===a.name)throw new Error("Use removeFromAlbum/restoreToAlbum for Trash");await a.ready();const{done:i,warnings:o}=await this.app._mutate(async()=>{a._requireActive(),r&&this._requireActive();const t=[],s=[],i=[];for(const o of e){const e=this.files.findIndex(e=>e.fullFileId===o);if(-1===e){t.push(`File not found in album: ${o}`);continue}if(a.files.some(e=>e.fullFileId===o)){t.push(`File "${this.files[e].name}" is already in album "${a.name}"`);continue}const n=Album._withHomeAlbum(this.files[e],a.albumId);a.files.push(n),r&&i.push(this.files.splice(e,1)[0]),s.push(n)}return s.length&&(a._sortFiles(),await a._saveAlbumCascade(),r&&await this._saveAlbumCascade(),this.app._emit("filesAdded",{albumId:a.albumId,files:s}),r&&this.app._emit("filesRemoved",{albumId:this.albumId,files:i})),{done:s,warnings:t}},s);o.forEach(e=>console.warn(e));const n={ok:!0,[r?"moved":"copied"]:i.length,entries:i.map(e=>Object.assign({},e))};return o.length&&(n.warnings=o),n}catch(e){return console.error(`${s} error:`,e),{ok:!1,errors:[String(e)]}}}static _withHomeAlbum(e,t){const r=(e.originalAlbumIds||[]).filter(e=>e!==t);return r.push(t),Object.assign({},e,{originalAlbumIds:r})}release(){for(const e of Array.from(this._urlHolders))e.release();const e=this.app.cache;if(!e)return;const t=new Set(this.app._objectUrls.keys());for(const e of this.app._albums.values())if(e!==this)for(const r of e.files)[r.fullFileId,r.thumbFileId,r.screenFileId].forEach(e=>e&&t.add(e));for(const r of this.files)[r.fullFileId,r.thumbFileId,r.screenFileId].forEach(r=>r&&!t.has(r)&&e.delete(r))}async exportZip(e={}){return await this.ready(),this.app._exportAlbums([this],e)}static _sameEntry(e,t,r){if(e.fullFileId!==t.fullFileId)return!1;if(!r)return!0;const s=e=>JSON.stringify([e.trashedAt||null,e.trashedFromName||null,e.originalAlbumIds||[]]);return s(e)===s(t)}async restoreFiles(e,t={}){await this.ready();try{if("Trash"!==this.name)throw new Error("restoreFiles should be called on the Trash album");if(!Array.isArray(e))throw new Error("fullIds must be an array");const{target:r=null,recreate:s=!0}=t,a=r?this.app._resolveAlbum(r):null;if(a&&a.albumId===this.albumId)throw new Error("Cannot restore into Trash");const i=this.app,{done:o,warnings:n}=await i._mutate(async()=>{a&&a._requireActive();const t=[],r=[],o=new Set,n=[],l=new Set,h=[];for(const r of e){const e="string"==typeof r?this.files.filter(e=>e.fullFileId===r):this.files.filter(e=>Album._sameEntry(e,r,!0)),s=e.filter(e=>!l.has(e));s.length?(s.forEach(e=>l.add(e)),h.push(...s)):e.length||t.push(`File not found in Trash: ${"string"==typeof r?r:r.fullFileId}`)}for(const e of h){const l=e.fullFileId;let h=a;if(!h){const r=e.originalAlbumIds||[],a=r[r.length-1];if(!a){t.push(`No original album recorded for file "${e.name}"`);continue}let o=i.root.find(e=>e.albumId===a);if(o)o.trashedAt&&(delete o.trashedAt,n.push(["albumRestored",o]));else{if(!s){t.push(`Original album of file "${e.name}" not found`);continue}o=i._withEncryptedFlag({name:e.trashedFromName||"Restored",thumbFileId:null,albumFileId:await i._putJson([]),albumId:a}),i._addAlbumEntry(o),n.push(["albumCreated",o])}h=i._albumFor(o)}if(await h.ready(),h.files.some(e=>e.fullFileId===l)){t.push(`File "${e.name}" is already in album "${h.name}"`);continue}const d=Album._withHomeAlbum(e,h.albumId);delete d.trashedAt,delete d.trashedFromName,h.files.push(d),this.files.splice(this.files.indexOf(e),1),o.add(h),r.push({album:h,entry:d})}for(const e of o)e._sortFiles(),await e._saveAlbumCascade();r.length&&await this._saveAlbumCascade();for(const[e,t]of n)i._emit(e,"albumCreated"===e?{albumId:t.albumId,album:i._albumFor(t)}:{albumId:t.albumId});for(const{album:e,entry:t}of r)i._emit("fileRestored",{albumId:e.albumId,file:t,trashAlbumId:this.albumId});return{done:r,warnings:t}},"restoreFiles");n.forEach(e=>console.warn(e));const l={ok:!0,restored:o.length,entries:o.map(e=>Object.assign({albumId:e.album.albumId},e.entry))};return n.length&&(l.warnings=n),l}catch(e){return console.error("restoreFiles error:",e),{ok:!1,errors:[String(e)]}}}async deleteThumbnailForFile(e){await this.ready();try{return await this.app._mutate(async()=>{this._requireActive();const t=this.files.findIndex(t=>t.fullFileId===e);if(-1===t)throw new Error("File not found");this.files[t].thumbFileId=null,await this._saveAlbumCascade(),this.app._emit("fileUpdated",{albumId:this.albumId,file:this.files[t]})},"deleteThumbnailForFile"),{ok:!0}}catch(e){return console.error("deleteThumbnailForFile error:",e),{ok:!1,errors:[String(e)]}}}async clear(){await this.ready();try{return await this.app._mutate(async()=>{this._requireActive();const e=this.files;await this.app._forgetHashes(e),this.files=[],await this._saveAlbumCascade(),e.length&&this.app._emit("filesRemoved",{albumId:this.albumId,files:e,permanent:!0})},"clear"),{ok:!0}}catch(e){return console.error("clear album error:",e),{ok:!1,errors:[String(e)]}}}async deleteAlbum(){await this.ready();try{if("Trash"===this.name){const e="Trash album cannot be deleted";return console.warn(e),{ok:!1,errors:[e]}}return await this.app._mutate(async()=>{this.trashedAt||(await this.app._updateAlbumDescriptorByAlbumId(this.albumId,{trashedAt:(new Date).toISOString()}),this._applyEntry(this.app.root.find(e=>e.albumId===this.albumId)),this.app._emit("albumDeleted",{albumId:this.albumId,permanent:!1}))},"deleteAlbum"),{ok:!0}}catch(e){return console.error("deleteAlbum error:",e),{ok:!1,errors:[String(e)]}}}async restoreAlbum(){await this.ready();try{return await this.app._mutate(async()=>{const e=this.app.root.find(e=>e.albumId===this.albumId);if(!e)throw new Error("Album not found in root");e.trashedAt&&(delete e.trashedAt,this._applyEntry(e),await this.app._saveRootCascade(),this.app._emit("albumRestored",{albumId:this.albumId}))},"restoreAlbum"),{ok:!0}}catch(e){return console.error("restoreAlbum error:",e),{ok:!1,errors:[String(e)]}}}}class AlbumFile{constructor(e,t){this.album=e,this.descriptor=t,this._heldUrls=[]}async getFullBlob(){return this.album.app._downloader.getOriginal(this.descriptor)}getFullStream(){return this.album.app._downloader.streamOriginal(this.descriptor)}async getThumbBlob(){return this.descriptor.thumbFileId?this.album.app._downloader.getBlob(this.descriptor.thumbFileId,`thumb_${this.descriptor.name}`,this.descriptor.thumbMime||this.descriptor.mime,this.descriptor.encrypted):null}async getScreenBlob(){return this.descriptor.screenFileId?this.album.app._downloader.getBlob(this.descriptor.screenFileId,`screen_${this.descriptor.name}`,this.descriptor.screenMime||this.descriptor.mime,this.descriptor.encrypted):null}async getFullBlobURL(){const e=this.descriptor;return this._acquireUrl(e.fullFileId,()=>this.album.app._downloader.getOriginal(e))}async getThumbBlobURL(){return this._acquireUrl(this.descriptor.thumbFileId,()=>this.getThumbBlob())}async getScreenBlobURL(){return this._acquireUrl(this.descriptor.screenFileId,()=>this.getScreenBlob())}async _acquireUrl(e,t){if(!e)return null;const r=this.album.app;this._heldUrls.push(e),this.album._urlHolders.add(this);try{return await r._acquireObjectUrl(e,t)}catch(t){throw this._heldUrls.splice(this._heldUrls.lastIndexOf(e),1),r._releaseObjectUrl(e),t}}release(){const e=this.album.app;for(const t of this._heldUrls.splice(0))e._releaseObjectUrl(t);this.album._urlHolders.delete(this)}async setAsAlbumThumbnail(){try{return await this.album.ready(),await this.album.app._mutate(()=>this.album._setCover(this.descriptor.fullFileId),"setAsAlbumThumbnail"),{ok:!0}}catch(e){return console.error("setAsAlbumThumbnail error:",e),{ok:!1,errors:[String(e)]}}}async setMetadata(e){const t=await this.album.setFileMetadata([this.descriptor.fullFileId],e);return t.ok?t.warnings?{ok:!1,errors:t.warnings}:(this.descriptor=this.album.files.find(e=>e.fullFileId===this.descriptor.fullFileId)||this.descriptor,{ok:!0}):t}async setCaption(e){return this.setMetadata({caption:e})}async setTags(e){return this.setMetadata({tags:e})}async setFavorite(e){return this.setMetadata({favorite:e})}async setRating(e){return this.setMetadata({rating:e})}async moveTo(e){const t=await this.album.moveFiles([this.descriptor.fullFileId],e);return t.ok&&t.entries.length&&(this.album=this.album.app._resolveAlbum(e),this.descriptor=this.album.files.find(e=>e.fullFileId===this.descriptor.fullFileId)||t.entries[0]),AlbumFile._singleResult(t)}async copyTo(e){return AlbumFile._singleResult(await this.album.copyFiles([this.descriptor.fullFileId],e))}static _singleResult(e){return e.ok?e.entries.length?{ok:!0}:{ok:!1,errors:e.warnings||[]}:e}async removeFromAlbum(){try{await this.album.ready();const e=this.album.app;return await e._mutate(async()=>{this.album._requireActive();const t=this.album.files.findIndex(e=>e.fullFileId===this.descriptor.fullFileId);if(-1===t)throw new Error("File not found in album");const r=e._trashAlbum();await r.ready();const s=Object.assign(Album._withHomeAlbum(this.album.files.splice(t,1)[0],this.album.albumId),{trashedAt:(new Date).toISOString(),trashedFromName:this.album.name});r.files.push(s),r._sortFiles(),await r._saveAlbumCascade(),await this.album._saveAlbumCascade(),e._emit("fileTrashed",{albumId:this.album.albumId,file:s,trashAlbumId:r.albumId})},"removeFromAlbum"),{ok:!0}}catch(e){return console.error("removeFromAlbum error:",e),{ok:!1,errors:[String(e)]}}}async restoreToAlbum(e={}){const t=await this.album.restoreFiles([this.descriptor],e);return t.ok&&t.entries.length&&(this.album=this.album.app._resolveAlbum(t.entries[0].albumId),this.descriptor=this.album.files.find(e=>e.fullFileId===this.descriptor.fullFileId)||this.descriptor),AlbumFile._singleResult(t)}async removeForever(){try{return await this.album.ready(),await this.album.app._mutate(async()=>{this.album._requireActive();const e=this.album.files.findIndex(e=>Album._sameEntry(e,this.descriptor,"Trash"===this.album.name));if(-1===e)throw new Error("File not found in this album");const[t]=this.album.files.splice(e,1);await this.album.app._forgetHashes([t]),await this.album._saveAlbumCascade(),this.album.app._emit("filesRemoved",{albumId:this.album.albumId,files:[t],permanent:!0})},"removeForever"),{ok:!0}}catch(e){return console.error("removeForever error:",e),{ok:!1,errors:[String(e)]}}}}class TgAlbumsViewer{constructor(e,t,r={}){if(!e)throw new Error("TgFileService instance required");if(this.service=e,this.botToken=e.botToken,this.transport=r.transport||e.transport||new TgTransport,this.share=TgAlbumsApp._decodeShareToken(t),this.share.b&&this.share.b!==TgAlbumsApp._botId(e.botToken))throw new Error(`The share was published by bot ${this.share.b}; open it with a service for that bot`);this.name="",this.description="",this.sort="name",this.thumbFileId=null,this.files=[],this.publishedAt=null,this.manifestFileId=null,this.revoked=!1,this.cache=!1===r.cache?null:r.cache instanceof TgBlobCache?r.cache:new TgBlobCache(r.cache||{}),this._key=null,this._downloader=new TgDownloader(e,this.cache,()=>this._key),this._ready=this._init()}async ready(){return this._ready}async _init(){this.share.k&&(this._key=await TgCrypto._importDataKey(TgCrypto.fromBase64(this.share.k))),await this._load()}async refresh(){await this.ready();try{return{ok:!0,changed:await this._load()}}catch(e){console.error("refresh error:",e);const t={ok:!1,errors:[String(e)]};return this.revoked&&(t.revoked=!0),t}}async _load(){let e=this.share.m;if(!e){if(e=(await TgAlbumsApp._fetchShareDirectory(this.service,this.transport,this.share.c)).shares[this.share.s],!e){this.revoked=!0;const e=new Error("The share has been revoked");throw e.code="SHARE_REVOKED",e}}if(e===this.manifestFileId)return!1;const t=await(await this._downloader.getBlob(e,"share.json","application/json",!!this._key)).text();let r=null;try{r=JSON.parse(t)}catch(e){}if(!r||"tg-albums-share"!==r.format||!Array.isArray(r.files))throw new Error(this._key?"Not a tg-albums share":"Not a tg-albums share, or the link is missing its key");const s=r.album||{};return this.name=s.name||"",this.description=s.description||"",this.sort=s.sort||"name",this.thumbFileId=s.thumbFileId||null,this.files=r.files,this.publishedAt=r.publishedAt||null,this.manifestFileId=e,!0}async getThumbBlob(e){return e.thumbFileId?this._downloader.getBlob(e.thumbFileId,`thumb_${e.name}`,e.thumbMime||e.mime,e.encrypted):null}async getScreenBlob(e){return e.screenFileId?this._downloader.getBlob(e.screenFileId,`screen_${e.name}`,e.screenMime||e.mime,e.encrypted):null}async getFullBlob(e){if(!e.fullFileId)throw new Error(`The original of "${e.name}" is not shared`);return this._downloader.getOriginal(e)}getFullStream(e){if(!e.fullFileId)throw new Error(`The original of "${e.name}" is not shared`);return this._downloader.streamOriginal(e)}}class TgTransport{constructor(e={}){this.baseUrl=(e.baseUrl||"https://api.telegram.org").replace(/\/+$/,""),this.fetch=e.fetch||((e,t)=>fetch(e,t)),this.retries=null!=e.retries?e.retries:5,this.backoffMs=null!=e.backoffMs?e.backoffMs:500,this.maxBackoffMs=null!=e.maxBackoffMs?e.maxBackoffMs:3e4,this.timeoutMs=null!=e.timeoutMs?e.timeoutMs:3e4,this.transferTimeoutMs=null!=e.transferTimeoutMs?e.transferTimeoutMs:6e5}methodUrl(e,t){return`${this.baseUrl}/bot${e}/${t}`}fileUrl(e,t){return`${this.baseUrl}/file/bot${e}/${t}`}async call(e,t,r){const s="undefined"!=typeof FormData&&r instanceof FormData,a=s?{method:"POST",body:r}:{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(r||{})},i=s?this.transferTimeoutMs:this.timeoutMs;for(let r=0;;r++){let s;try{s=await this._fetchWithTimeout(this.methodUrl(e,t),a,i,e=>e.json())}catch(e){if(r>=this.retries||"TIMEOUT"===e.code&&TgTransport._postsMessage(t))throw e;await TgTransport._sleep(this._backoff(r));continue}if(s.ok)return s.result;const o=s.error_code;if(!(429===o||o>=500)||r>=this.retries){const e=new Error(`Telegram API error: ${s.description}`);throw e.errorCode=o,e}const n=s.parameters&&s.parameters.retry_after;await TgTransport._sleep(null!=n?1e3*n:this._backoff(r))}}async request(e,t={}){const r=async e=>e.ok?new Response(await e.blob(),{status:e.status,statusText:e.statusText,headers:e.headers}):e;for(let s=0;;s++){let a;try{a=await this._fetchWithTimeout(e,t,this.transferTimeoutMs,r)}catch(e){if(s>=this.retries)throw e;await TgTransport._sleep(this._backoff(s));continue}if(a.ok)return a;if(429!==a.status&&a.status<500||s>=this.retries)throw new Error(`Telegram request failed: HTTP ${a.status}`);const i=Number(a.headers.get("Retry-After"));await TgTransport._sleep(i>0?1e3*i:this._backoff(s))}}async _fetchWithTimeout(e,t,r,s){if(!r)return s(await this.fetch(e,t));const a=new AbortController;let i;const o=new Promise((e,t)=>{i=setTimeout(()=>{const e=new Error(`Telegram request timed out after ${r}ms`);e.code="TIMEOUT",t(e),a.abort()},r)});try{return await Promise.race([this.fetch(e,Object.assign({},t,{signal:a.signal})).then(s),o])}finally{clearTimeout(i)}}static _postsMessage(e){return/^(send|copy|forward)/.test(e)}_backoff(e){const t=Math.min(this.maxBackoffMs,this.backoffMs*Math.pow(2,e));return Math.round(t/2+Math.random()*t/2)}static _sleep(e){return new Promise(t=>setTimeout(t,e))}}class TgBlobCache{constructor(e={}){this.memoryBytes=null!=e.memoryBytes?e.memoryBytes:52428800,this.persistentBytes=null!=e.persistentBytes?e.persistentBytes:524288e3,this.persistent=!1!==e.persistent&&"undefined"!=typeof indexedDB,this.dbName=e.dbName||"tg-albums-cache",this._memory=new Map,this._memorySize=0,this._storedSize=null,this._dbPromise=null}get(e){const t=this._memory.get(e);return t?(this._memory.delete(e),this._memory.set(e,t),t):null}put(e,t){if(!(t.size>this.memoryBytes/4)){this.delete(e),this._memory.set(e,t),this._memorySize+=t.size;for(const[e,t]of this._memory){if(this._memorySize<=this.memoryBytes)break;this._memory.delete(e),this._memorySize-=t.size}}}delete(e){const t=this._memory.get(e);t&&(this._memory.delete(e),this._memorySize-=t.size)}async getStored(e){if(!this.persistent)return null;try{const t=await this._request("readonly",t=>t.get(e));return t?(this._request("readwrite",e=>e.put(Object.assign(t,{lastUsed:Date.now()}))).catch(()=>{}),t.blob):null}catch(e){return this._disablePersistent(e),null}}async putStored(e,t){if(this.persistent&&!(t.size>this.persistentBytes))try{await this._request("readwrite",r=>r.put({fileId:e,blob:t,size:t.size,lastUsed:Date.now()})),null!=this._storedSize&&(this._storedSize+=t.size),(null==this._storedSize||this._storedSize>this.persistentBytes)&&await this._evictStored()}catch(e){this._disablePersistent(e)}}async clear(){if(this._memory.clear(),this._memorySize=0,this.persistent)try{await this._request("readwrite",e=>e.clear()),this._storedSize=0}catch(e){this._disablePersistent(e)}}async _evictStored(){const e=await this._db();this._storedSize=await new Promise((t,r)=>{const s=e.transaction("blobs","readwrite"),a=s.objectStore("blobs"),i=[];let o=0;a.index("lastUsed").openCursor().onsuccess=e=>{const t=e.target.result;if(t)return i.push([t.primaryKey,t.value.size]),o+=t.value.size,void t.continue();for(const[e,t]of i){if(o<=this.persistentBytes)break;a.delete(e),o-=t}},s.oncomplete=()=>t(o),s.onerror=s.onabort=()=>r(s.error)})}_db(){return this._dbPromise||(this._dbPromise=new Promise((e,t)=>{const r=indexedDB.open(this.dbName,1);r.onupgradeneeded=()=>r.result.createObjectStore("blobs",{keyPath:"fileId"}).createIndex("lastUsed","lastUsed"),r.onsuccess=()=>e(r.result),r.onerror=()=>t(r.error)})),this._dbPromise}async _request(e,t){const r=await this._db();return new Promise((s,a)=>{const i=r.transaction("blobs",e),o=t(i.objectStore("blobs"));i.oncomplete=()=>s(o.result),i.onerror=i.onabort=()=>a(i.error)})}_disablePersistent(e){console.warn("Persistent blob cache disabled:",e),this.persistent=!1}}class TgDownloader{constructor(e,t,r){this.service=e,this.cache=t,this.getKey=r,this._downloads=new Map}async getBlob(e,t,r,s){const a=this.cache&&this.cache.get(e);if(a)return a;let i=this._downloads.get(e);if(!i){i=this._download(e,t,r,s),this._downloads.set(e,i);const a=()=>this._downloads.delete(e);i.then(a,a)}return i}async _download(e,t,r,s){let a=this.cache&&await this.cache.getStored(e);if(!a){const s=await this.service.getFile(e,t,r);if(!s||!s.blob)throw new Error(`No blob for ${t}`);a=s.blob,this.cache&&await this.cache.putStored(e,a)}let i=a;const o=this.getKey();if(null!=s?s:!!o&&TgCrypto.isEncrypted(new Uint8Array(await a.slice(0,16).arrayBuffer()))){if(!o)throw new Error(`"${t}" is encrypted and there is no key to read it`);i=new Blob([await TgCrypto.decrypt(o,new Uint8Array(await a.arrayBuffer()))],{type:r||""})}return this.cache&&this.cache.put(e,i),i}async getOriginal(e){if(!e.parts)return this.getBlob(e.fullFileId,e.name,e.mime,e.encrypted);const t=[];for await(const r of this.originalParts(e))t.push(r);const r=new Blob(t,{type:e.mime||""});if(null!=e.size&&r.size!==e.size)throw new Error(`"${e.name}" is incomplete: ${r.size} of ${e.size} bytes`);return r}async*originalParts(e){const t=async t=>{const r=e.parts[t],s=await this.getBlob(r.fileId,`${e.name}.part${t+1}`,"application/octet-stream",e.encrypted);if(s.size!==r.size||await TgAlbumsApp._sha256(s)!==r.sha256)throw this.cache&&this.cache.delete(r.fileId),new Error(`Part ${t+1} of "${e.name}" is corrupted`);return s};let r=t(0);for(let s=0;s<e.parts.length;s++){const a=r;s+1<e.parts.length&&(r=t(s+1),r.catch(()=>{})),yield await a}}streamOriginal(e){const t=this,r=e.parts?this.originalParts(e):async function*(){yield await t.getOriginal(e)}();return new ReadableStream({async pull(e){const{value:t,done:s}=await r.next();s?e.close():e.enqueue(new Uint8Array(await t.arrayBuffer()))},cancel:()=>r.return()})}}class CanvasImageProcessor{isSupported(){return"function"==typeof createImageBitmap}async resize(e,{maxWidth:t,maxHeight:r,type:s,quality:a,orientation:i=1}){const o=await createImageBitmap(e);try{const n=i>1&&!await CanvasImageProcessor.decoderOrients()?i:1,l=n>=5,h=l?o.height:o.width,d=l?o.width:o.height,c=Math.min(1,Math.min(t/h,r/d)),u=Math.max(1,Math.round(h*c)),m=Math.max(1,Math.round(d*c)),p=this._createCanvas(u,m),f=p.getContext("2d"),b={2:[-1,0,0,1,u,0],3:[-1,0,0,-1,u,m],4:[1,0,0,-1,0,m],5:[0,1,1,0,0,0],6:[0,1,-1,0,u,0],7:[0,-1,-1,0,u,m],8:[0,-1,1,0,0,m]};b[n]&&f.transform(...b[n]),f.drawImage(o,0,0,l?m:u,l?u:m);const g=await this._encode(p,s||e.type||"image/png",a);if(!g)throw new Error(`${this.name} could not encode ${s}`);return g}finally{o.close&&o.close()}}static decoderOrients(){if(!CanvasImageProcessor._decoderOrients){const e="/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wCEAFA3PEY8MlBGQUZaVVBfeMiCeG5uePWvuZHI//////////////////////////////////////////////////8BVVpaeGl464KC6//////////////////////////////////////////////////////////////////////////AABEIAAEAAgMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/AKx6muqHwr0QS+J+p//Z",t=Uint8Array.from(atob(e),e=>e.charCodeAt(0));CanvasImageProcessor._decoderOrients=createImageBitmap(new Blob([t],{type:"image/jpeg"})).then(e=>1===e.width).catch(()=>!1)}return CanvasImageProcessor._decoderOrients}}class OffscreenCanvasImageProcessor extends CanvasImageProcessor{get name(){return"offscreen-canvas"}isSupported(){return super.isSupported()&&"undefined"!=typeof OffscreenCanvas}_createCanvas(e,t){return new OffscreenCanvas(e,t)}_encode(e,t,r){return e.convertToBlob({type:t,quality:r})}}class DomCanvasImageProcessor extends CanvasImageProcessor{get name(){return"dom-canvas"}isSupported(){return super.isSupported()&&"undefined"!=typeof document}_createCanvas(e,t){const r=document.createElement("canvas");return r.width=e,r.height=t,r}_encode(e,t,r){return new Promise(s=>e.toBlob(s,t,r))}}TgAlbumsApp.imageProcessors=[new OffscreenCanvasImageProcessor,new DomCanvasImageProcessor];class ImageMetadataReader{static async read(e){const t=new DataView(await e.slice(0,12).arrayBuffer());let r=null;return t.byteLength>=2&&65496===t.getUint16(0)?r=await ImageMetadataReader._readJpeg(e):t.byteLength>=8&&2303741511===t.getUint32(0)?r=await ImageMetadataReader._readPng(e):t.byteLength>=12&&"ftyp"===ImageMetadataReader._ascii(t,4,4)&&(r=await ImageMetadataReader._readIsoBmff(e)),r?(r.orientation>=5&&r.width&&r.height&&([r.width,r.height]=[r.height,r.width]),1===r.orientation&&delete r.orientation,Object.keys(r).length?r:null):null}static async _readJpeg(e){const t=new DataView(await e.slice(0,524288).arrayBuffer()),r={};let s=2;try{for(;s+4<=t.byteLength&&255===t.getUint8(s);){const e=t.getUint8(s+1);if(255===e){s++;continue}if(218===e||217===e)break;const a=t.getUint16(s+2),i=s+4,o=Math.min(t.byteLength,s+2+a);225===e&&"Exif\0\0"===ImageMetadataReader._ascii(t,i,6)?ImageMetadataReader._readTiff(new DataView(t.buffer,i+6,o-i-6),r):225===e&&"http://ns.adobe.com/xap/1.0/\0"===ImageMetadataReader._ascii(t,i,29)?ImageMetadataReader._readXmp(ImageMetadataReader._utf8(t,i+29,o),r):e>=192&&e<=207&&196!==e&&200!==e&&204!==e&&(r.height=t.getUint16(i+1),r.width=t.getUint16(i+3)),s+=2+a}}catch(e){}return r}static async _readPng(e){const t={},r=new DataView(await e.slice(16,24).arrayBuffer());8===r.byteLength&&(t.width=r.getUint32(0),t.height=r.getUint32(4));let s=8;for(;s+8<=e.size;){const r=new DataView(await e.slice(s,s+8).arrayBuffer()),a=r.getUint32(0),i=ImageMetadataReader._ascii(r,4,4);if("IEND"===i)break;if("eXIf"===i||"iTXt"===i){const r=new DataView(await e.slice(s+8,s+8+a).arrayBuffer());if("eXIf"===i)ImageMetadataReader._readTiff(r,t);else{const e=new Uint8Array(r.buffer),s=e.indexOf(0);if("XML:com.adobe.xmp"===ImageMetadataReader._ascii(r,0,s)&&0===e[s+1]){const a=e.indexOf(0,s+3),i=e.indexOf(0,a+1)+1;-1!==a&&i>0&&ImageMetadataReader._readXmp(ImageMetadataReader._utf8(r,i,e.length),t)}}}s+=12+a}return t}static async _readIsoBmff(e){const t=new DataView(await e.slice(0,1048576).arrayBuffer()),r=ImageMetadataReader._ascii(t,0,t.byteLength),s={},a=r.search(/Exif\0\0(II\*\0|MM\0\*)/);-1!==a&&ImageMetadataReader._readTiff(new DataView(t.buffer,a+6),s);const i=r.indexOf("<x:xmpmeta");if(-1!==i){const e=r.indexOf("</x:xmpmeta>",i);ImageMetadataReader._readXmp(ImageMetadataReader._utf8(t,i,-1===e?t.byteLength:e+12),s)}let o=0,n=0;for(let e=r.indexOf("ispe");-1!==e&&e+16<=t.byteLength;e=r.indexOf("ispe",e+4)){const r=t.getUint32(e+8),s=t.getUint32(e+12);r*s>o*n&&(o=r,n=s)}if(o){const e=r.indexOf("irot"),a=-1!==e&&e+4<t.byteLength?3&t.getUint8(e+4):0;s.width=a%2?n:o,s.height=a%2?o:n}return delete s.orientation,s}static _readTiff(e,t){try{const r=e.getUint16(0);if(18761!==r&&19789!==r)return;const s=18761===r,a=ImageMetadataReader._readIfd(e,e.getUint32(4,s),s,{271:"make",272:"model",274:"orientation",306:"dateTime",34665:"exifIfd",34853:"gpsIfd"}),i=a.exifIfd?ImageMetadataReader._readIfd(e,a.exifIfd,s,{36867:"dateTimeOriginal",36868:"dateTimeDigitized",36881:"offsetTimeOriginal",40962:"width",40963:"height"}):{},o=a.gpsIfd?ImageMetadataReader._readIfd(e,a.gpsIfd,s,{1:"latRef",2:"lat",3:"lonRef",4:"lon",5:"altRef",6:"alt"}):{},n=ImageMetadataReader._exifDate(i.dateTimeOriginal||i.dateTimeDigitized||a.dateTime,i.offsetTimeOriginal);if(n&&(t.takenAt=n),(a.make||a.model)&&(t.camera={make:a.make||null,model:a.model||null}),a.orientation>=1&&a.orientation<=8&&(t.orientation=a.orientation),i.width&&i.height&&!t.width&&(t.width=i.width,t.height=i.height),Array.isArray(o.lat)&&Array.isArray(o.lon)){const e=([e,t,r])=>e+t/60+r/3600;t.gps={latitude:e(o.lat)*("S"===o.latRef?-1:1),longitude:e(o.lon)*("W"===o.lonRef?-1:1)},"number"==typeof o.alt&&isFinite(o.alt)&&(t.gps.altitude=o.alt*(1===o.altRef?-1:1))}}catch(e){}}static _readIfd(e,t,r,s){const a={},i=e.getUint16(t,r);for(let o=0;o<i;o++){const i=t+2+12*o,n=s[e.getUint16(i,r)];n&&(a[n]=ImageMetadataReader._tiffValue(e,i,r))}return a}static _tiffValue(e,t,r){const s=e.getUint16(t+2,r),a=e.getUint32(t+4,r),i={1:1,2:1,3:2,4:4,5:8,7:1,9:4,10:8}[s];if(!i||!a)return null;const o=i*a<=4?t+8:e.getUint32(t+8,r);if(o+i*a>e.byteLength)return null;if(2===s)return ImageMetadataReader._ascii(e,o,a).replace(/\0[\s\S]*$/,"").trim();const n=t=>{switch(s){case 3:return e.getUint16(o+2*t,r);case 4:return e.getUint32(o+4*t,r);case 9:return e.getInt32(o+4*t,r);case 5:return e.getUint32(o+8*t,r)/e.getUint32(o+8*t+4,r);case 10:return e.getInt32(o+8*t,r)/e.getInt32(o+8*t+4,r);default:return e.getUint8(o+t)}};return 1===a?n(0):Array.from({length:Math.min(a,16)},(e,t)=>n(t))}static _readXmp(e,t){const r=t=>{const r=new RegExp(`${t}\\s*=\\s*"([^"]*)"|<${t}>([^<]*)</${t}>`).exec(e);return r?(null!=r[1]?r[1]:r[2]).trim():null};if(!t.takenAt){const e=r("exif:DateTimeOriginal")||r("xmp:CreateDate")||r("photoshop:DateCreated");e&&!isNaN(Date.parse(e))&&(t.takenAt=e)}if(!t.orientation){const e=Number(r("tiff:Orientation"));e>=1&&e<=8&&(t.orientation=e)}if(t.camera||!r("tiff:Make")&&!r("tiff:Model")||(t.camera={make:r("tiff:Make"),model:r("tiff:Model")}),!t.width){const e=Number(r("exif:PixelXDimension")||r("tiff:ImageWidth")),s=Number(r("exif:PixelYDimension")||r("tiff:ImageLength"));e&&s&&(t.width=e,t.height=s)}if(!t.gps){const e=ImageMetadataReader._xmpCoordinate(r("exif:GPSLatitude")),s=ImageMetadataReader._xmpCoordinate(r("exif:GPSLongitude"));null!=e&&null!=s&&(t.gps={latitude:e,longitude:s})}}static _xmpCoordinate(e){const t=/^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(e||"");if(!t)return null;const r=Number(t[1])+Number(t[2])/60+(t[3]?Number(t[3])/3600:0);return"S"===t[4]||"W"===t[4]?-r:r}static _exifDate(e,t){const r=/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(e||"");if(!r||"0000"===r[1])return null;const s=/^[+-]\d{2}:\d{2}$/.test(t||"")?t:"";return`${r[1]}-${r[2]}-${r[3]}T${r[4]}:${r[5]}:${r[6]}${s}`}static _ascii(e,t,r){const s=Math.min(e.byteLength,t+r);return new TextDecoder("latin1").decode(new Uint8Array(e.buffer,e.byteOffset+t,Math.max(0,s-t)))}static _utf8(e,t,r){return(new TextDecoder).decode(new Uint8Array(e.buffer,e.byteOffset+t,Math.max(0,r-t)))}}class DomVideoProcessor{constructor(e={}){this.timeoutMs=null!=e.timeoutMs?e.timeoutMs:15e3}get name(){return"dom-video"}isSupported(){return"undefined"!=typeof document&&"undefined"!=typeof URL&&"function"==typeof URL.createObjectURL}async extractPoster(e,{time:t=1,type:r="image/jpeg",quality:s=.9}={}){const a=URL.createObjectURL(e),i=document.createElement("video");i.muted=!0,i.playsInline=!0,i.preload="auto";try{await DomVideoProcessor._until(i,"loadeddata",()=>{i.src=a},this.timeoutMs);const e=isFinite(i.duration)?i.duration:null,o=e?Math.min(Math.max(0,t),Math.max(0,e-.1)):0;await DomVideoProcessor._until(i,"seeked",()=>{i.currentTime=o},this.timeoutMs);const n=i.videoWidth,l=i.videoHeight,h=document.createElement("canvas");h.width=n,h.height=l,h.getContext("2d").drawImage(i,0,0,n,l);return{poster:await new Promise(e=>h.toBlob(e,r,s)),duration:e,width:n,height:l}}finally{i.removeAttribute("src"),i.load(),URL.revokeObjectURL(a)}}static _until(e,t,r,s=0){return new Promise((a,i)=>{let o=null;const n=r=>()=>{clearTimeout(o),e.removeEventListener(t,l),e.removeEventListener("error",h),r?i(new Error(r)):a()},l=n(null),h=n(`Video could not be decoded (${t})`);e.addEventListener(t,l),e.addEventListener("error",h),s&&(o=setTimeout(n(`Video timed out after ${s}ms waiting for ${t}`),s)),r()})}}TgAlbumsApp.videoProcessors=[new DomVideoProcessor];class TgZip{static async write(e){if(e.length>65535)throw new Error("Too many entries for a ZIP archive");const t=new TextEncoder,r=[],s=[];let a=0;for(const i of e){const e=t.encode(i.name),o=i.blob.size,[n,l]=TgZip._dosDateTime(i.date?new Date(i.date):new Date);if(a+o>4294967295)throw new Error("ZIP archive would exceed 4 GB");const h=await TgZip._blobCrc32(i.blob),d=new DataView(new ArrayBuffer(30));d.setUint32(0,67324752,!0),d.setUint16(4,20,!0),d.setUint16(6,2048,!0),d.setUint16(8,0,!0),d.setUint16(10,n,!0),d.setUint16(12,l,!0),d.setUint32(14,h,!0),d.setUint32(18,o,!0),d.setUint32(22,o,!0),d.setUint16(26,e.length,!0);const c=new DataView(new ArrayBuffer(46));c.setUint32(0,33639248,!0),c.setUint16(4,20,!0),c.setUint16(6,20,!0);for(let e=6;e<28;e+=2)c.setUint16(e+2,d.getUint16(e,!0),!0);c.setUint32(42,a,!0),r.push(d,e,i.blob),s.push(c,e),a+=30+e.length+o}const i=s.reduce((e,t)=>e+t.byteLength,0),o=new DataView(new ArrayBuffer(22));return o.setUint32(0,101010256,!0),o.setUint16(8,e.length,!0),o.setUint16(10,e.length,!0),o.setUint32(12,i,!0),o.setUint32(16,a,!0),new Blob(r.concat(s,[o]),{type:"application/zip"})}static async read(e){const t=Math.min(e.size,65557),r=new DataView(await e.slice(e.size-t).arrayBuffer());let s=-1;for(let e=t-22;e>=0;e--)if(101010256===r.getUint32(e,!0)){s=e;break}if(-1===s)throw new Error("Not a ZIP archive");const a=r.getUint16(s+10,!0),i=r.getUint32(s+12,!0),o=r.getUint32(s+16,!0);if(4294967295===o||65535===a)throw new Error("ZIP64 archives are not supported");const n=new DataView(await e.slice(o,o+i).arrayBuffer()),l=new TextDecoder,h=[];for(let t=0,r=0;t<a;t++){if(33639248!==n.getUint32(r,!0))throw new Error("Corrupt ZIP central directory");const t=n.getUint16(r+10,!0),s=n.getUint32(r+20,!0),a=n.getUint32(r+24,!0),i=n.getUint16(r+28,!0),o=i+n.getUint16(r+30,!0)+n.getUint16(r+32,!0),d=n.getUint32(r+42,!0),c=l.decode(new Uint8Array(n.buffer,n.byteOffset+r+46,i));r+=46+o,h.push({name:c,size:a,directory:c.endsWith("/"),blob:async()=>{const r=new DataView(await e.slice(d,d+30).arrayBuffer()),a=d+30+r.getUint16(26,!0)+r.getUint16(28,!0),i=e.slice(a,a+s);if(0===t)return i;if(8===t&&"function"==typeof DecompressionStream)return new Response(i.stream().pipeThrough(new DecompressionStream("deflate-raw"))).blob();throw new Error(`Unsupported ZIP compression method ${t} for "${c}"`)}})}return h}static crc32(e,t=0){let r=TgZip._crcTable;if(!r){r=TgZip._crcTable=new Uint32Array(256);for(let e=0;e<256;e++){let t=e;for(let e=0;e<8;e++)t=1&t?3988292384^t>>>1:t>>>1;r[e]=t>>>0}}let s=(4294967295^t)>>>0;for(let t=0;t<e.length;t++)s=r[255&(s^e[t])]^s>>>8;return(4294967295^s)>>>0}static async _blobCrc32(e){const t=e.stream().getReader();let r=0;for(;;){const{value:e,done:s}=await t.read();if(s)return r;r=TgZip.crc32(e,r)}}static _dosDateTime(e){return(isNaN(e)||e.getFullYear()<1980)&&(e=new Date(1980,0,1)),[e.getHours()<<11|e.getMinutes()<<5|e.getSeconds()>>1,e.getFullYear()-1980<<9|e.getMonth()+1<<5|e.getDate()]}}class TgCrypto{static get MAGIC(){return[84,71,69,49]}static async createKey(e,t=6e5){const r=crypto.getRandomValues(new Uint8Array(32)),s=await TgCrypto._wrap(r,e,t);return{key:await TgCrypto._importDataKey(r),info:s}}static async unlock(e,t){return TgCrypto._importDataKey(await TgCrypto._unwrap(e,t))}static async rewrap(e,t,r){return TgCrypto._wrap(await TgCrypto._unwrap(e,r),t,r.iterations)}static async encrypt(e,t){const r=crypto.getRandomValues(new Uint8Array(12)),s=new Uint8Array(await crypto.subtle.encrypt({name:"AES-GCM",iv:r},e,t)),a=new Uint8Array(16+s.length);return a.set(TgCrypto.MAGIC,0),a.set(r,4),a.set(s,16),a}static async decrypt(e,t){if(!TgCrypto.isEncrypted(t))throw new Error("Data is not encrypted");return new Uint8Array(await crypto.subtle.decrypt({name:"AES-GCM",iv:t.subarray(4,16)},e,t.subarray(16)))}static isEncrypted(e){return e.length>=16&&TgCrypto.MAGIC.every((t,r)=>e[r]===t)}static async _wrap(e,t,r){const s=crypto.getRandomValues(new Uint8Array(16)),a=await TgCrypto._deriveKek(t,s,r),i=crypto.getRandomValues(new Uint8Array(12)),o=new Uint8Array(await crypto.subtle.encrypt({name:"AES-GCM",iv:i},a,e));return{kdf:"PBKDF2",hash:"SHA-256",iterations:r,cipher:"AES-GCM",salt:TgCrypto.toBase64(s),iv:TgCrypto.toBase64(i),wrappedKey:TgCrypto.toBase64(o)}}static async _unwrap(e,t){if("PBKDF2"!==t.kdf||"AES-GCM"!==t.cipher)throw new Error(`Unsupported encryption scheme ${t.kdf}/${t.cipher}`);const r=await TgCrypto._deriveKek(e,TgCrypto.fromBase64(t.salt),t.iterations);try{return new Uint8Array(await crypto.subtle.decrypt({name:"AES-GCM",iv:TgCrypto.fromBase64(t.iv)},r,TgCrypto.fromBase64(t.wrappedKey)))}catch(e){const t=new Error("Wrong passphrase");throw t.code="BAD_PASSPHRASE",t}}static async _deriveKek(e,t,r){if(!e||"string"!=typeof e)throw new Error("Passphrase required");const s=await crypto.subtle.importKey("raw",(new TextEncoder).encode(e),"PBKDF2",!1,["deriveKey"]);return crypto.subtle.deriveKey({name:"PBKDF2",hash:"SHA-256",salt:t,iterations:r},s,{name:"AES-GCM",length:256},!1,["encrypt","decrypt"])}static _importDataKey(e){return crypto.subtle.importKey("raw",e,{name:"AES-GCM"},!1,["encrypt","decrypt"])}static toBase64(e){let t="";for(let r=0;r<e.length;r+=32768)t+=String.fromCharCode.apply(null,e.subarray(r,r+32768));return btoa(t)}static fromBase64(e){return Uint8Array.from(atob(e),e=>e.charCodeAt(0))}}"undefined"!=typeof module&&module.exports&&(module.exports={TgAlbumsApp:TgAlbumsApp,Album:Album,AlbumFile:AlbumFile,TgAlbumsViewer:TgAlbumsViewer,TgTransport:TgTransport,TgDownloader:TgDownloader,OffscreenCanvasImageProcessor:OffscreenCanvasImageProcessor,DomCanvasImageProcessor:DomCanvasImageProcessor,DomVideoProcessor:DomVideoProcessor,ImageMetadataReader:ImageMetadataReader,TgZip:TgZip,TgCrypto:TgCrypto,TgBlobCache:TgBlobCache});
\ No newline at end of file
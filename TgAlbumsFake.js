@@ -0,0 +1,171 @@
+// In-memory fakes of the Telegram Bot API and TgFileService, so the whole
+// TgAlbumsApp / Album / AlbumFile flow can run in Node tests without network
+// (see TgAlbumsFake.test.js, run with node --test).
+//
+//   const { TgAlbumsApp } = require('./TgAlbumsApp.js');
+//   const { TgFakeBotApi } = require('./TgAlbumsFake.js');
+//   const api = new TgFakeBotApi();
+//   const service = api.createFileService();
+//   const app = new TgAlbumsApp(service); // shares service.transport
+//   await app.ready();
+
+const TransportClass = (typeof TgTransport !== 'undefined') ? TgTransport : require('./TgAlbumsApp.js').TgTransport;
+
+// --- TgFakeBotApi class ---
+// Implements getChat, setChatDescription, sendDocument, sendPhoto, sendMediaGroup and getFile
+// plus file downloads behind a fetch-compatible function (api.fetch).
+// options.uploadLimit / options.downloadLimit: the Bot API's 50 MB sendDocument and 20 MB getFile
+// limits in bytes, lower them to test large files with small blobs.
+class TgFakeBotApi {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || 'https://fake.telegram.local';
+    this.uploadLimit = options.uploadLimit != null ? options.uploadLimit : 50 * 1024 * 1024;
+    this.downloadLimit = options.downloadLimit != null ? options.downloadLimit : 20 * 1024 * 1024;
+    this.chats = new Map(); // chatId -> { id, type, description }
+    this.files = new Map(); // file_id -> Blob
+    this.messages = []; // messages of sendPhoto/sendMediaGroup, for assertions
+    this.calls = []; // [{ method, params }] for assertions
+    this._failures = []; // queued { method, response } injected by failNext
+    this._nextId = 1;
+    this.fetch = this.fetch.bind(this);
+  }
+
+  // failNext: makes the next call of method (or any method for '*') fail with the given error,
+  // e.g. api.failNext('sendDocument', { error_code: 429, retry_after: 0 })
+  failNext(method, { error_code = 500, description = 'Internal Server Error', retry_after } = {}) {
+    const response = { ok: false, error_code, description };
+    if (retry_after != null) response.parameters = { retry_after };
+    this._failures.push({ method, response });
+  }
+
+  createFileService(botToken = '123456:TEST', chatId = -1001, transportOptions = {}) {
+    if (!this.chats.has(String(chatId))) this.chats.set(String(chatId), { id: chatId, type: 'supergroup', description: '' });
+    const transport = new TransportClass(Object.assign({ baseUrl: this.baseUrl, fetch: this.fetch, backoffMs: 1 }, transportOptions));
+    return new TgFakeFileService(botToken, chatId, transport);
+  }
+
+  async fetch(url, init = {}) {
+    const { pathname } = new URL(url);
+    const download = pathname.match(/^\/file\/bot[^/]+\/(.+)$/);
+    if (download) {
+      const blob = this.files.get(decodeURIComponent(download[1]));
+      return blob ? new Response(blob, { status: 200 }) : new Response('Not Found', { status: 404 });
+    }
+    const call = pathname.match(/^\/bot[^/]+\/(\w+)$/);
+    if (!call) return TgFakeBotApi._json({ ok: false, error_code: 404, description: 'Not Found' });
+    const method = call[1];
+    const params = {};
+    if (typeof FormData !== 'undefined' && init.body instanceof FormData) {
+      for (const [k, v] of init.body) params[k] = v;
+    } else if (init.body) {
+      Object.assign(params, JSON.parse(init.body));
+    }
+    this.calls.push({ method, params });
+    const failIdx = this._failures.findIndex(f => f.method === method || f.method === '*');
+    if (failIdx !== -1) return TgFakeBotApi._json(this._failures.splice(failIdx, 1)[0].response);
+    try {
+      return TgFakeBotApi._json({ ok: true, result: await this._handle(method, params) });
+    } catch (e) {
+      if (e.errorCode) return TgFakeBotApi._json({ ok: false, error_code: e.errorCode, description: e.message });
+      return TgFakeBotApi._json({ ok: false, error_code: 400, description: `Bad Request: ${e.message}` });
+    }
+  }
+
+  async _handle(method, params) {
+    switch (method) {
+      case 'getChat': {
+        return Object.assign({}, this._chat(params.chat_id));
+      }
+      case 'setChatDescription': {
+        this._chat(params.chat_id).description = String(params.description || '');
+        return true;
+      }
+      case 'sendDocument': {
+        this._chat(params.chat_id);
+        if (!params.document || typeof params.document.arrayBuffer !== 'function') throw new Error('document required');
+        if (params.document.size > this.uploadLimit) {
+          throw Object.assign(new Error('Request Entity Too Large'), { errorCode: 413 });
+        }
+        const fileId = `fake_${this._nextId++}`;
+        this.files.set(fileId, new Blob([await params.document.arrayBuffer()]));
+        return { message_id: this._nextId++, document: { file_id: fileId, file_unique_id: fileId, file_size: params.document.size } };
+      }
+      case 'sendPhoto': {
+        this._chat(params.chat_id);
+        if (!params.photo || typeof params.photo.arrayBuffer !== 'function') throw new Error('photo required');
+        return this._postPhoto(params.chat_id, params.photo, params.caption);
+      }
+      case 'sendMediaGroup': {
+        this._chat(params.chat_id);
+        const media = JSON.parse(params.media || '[]');
+        if (media.length < 2 || media.length > 10) throw new Error('media must include 2-10 items');
+        const groupId = String(this._nextId++);
+        const messages = [];
+        for (const item of media) {
+          const attach = /^attach:\/\/(.+)$/.exec(item.media || '');
+          const photo = attach && params[attach[1]];
+          if (!photo || typeof photo.arrayBuffer !== 'function') throw new Error(`media ${item.media} not found`);
+          messages.push(await this._postPhoto(params.chat_id, photo, item.caption, groupId));
+        }
+        return messages;
+      }
+      case 'getFile': {
+        const blob = this.files.get(params.file_id);
+        if (!blob) throw new Error('wrong file_id or the file is temporarily unavailable');
+        if (blob.size > this.downloadLimit) throw new Error('file is too big');
+        return { file_id: params.file_id, file_unique_id: params.file_id, file_size: blob.size, file_path: params.file_id };
+      }
+      default:
+        throw new Error(`method ${method} is not implemented by TgFakeBotApi`);
+    }
+  }
+
+  async _postPhoto(chatId, blob, caption, groupId) {
+    const fileId = `fake_${this._nextId++}`;
+    this.files.set(fileId, new Blob([await blob.arrayBuffer()]));
+    const message = { message_id: this._nextId++, chat: { id: chatId }, photo: [{ file_id: fileId, file_size: blob.size }] };
+    if (caption) message.caption = String(caption);
+    if (groupId) message.media_group_id = groupId;
+    this.messages.push(message);
+    return message;
+  }
+
+  _chat(chatId) {
+    const chat = this.chats.get(String(chatId));
+    if (!chat) throw new Error('chat not found');
+    return chat;
+  }
+
+  static _json(body) {
+    return new Response(JSON.stringify(body), { status: body.ok ? 200 : body.error_code, headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+// --- TgFakeFileService class ---
+// Same surface TgAlbumsApp uses from TgFileService: botToken, chatId, transport, putFile, getFile.
+class TgFakeFileService {
+  constructor(botToken, chatId, transport) {
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.transport = transport;
+  }
+
+  async putFile(blob) {
+    const form = new FormData();
+    form.append('chat_id', String(this.chatId));
+    form.append('document', blob, 'file');
+    const message = await this.transport.call(this.botToken, 'sendDocument', form);
+    return message.document.file_id;
+  }
+
+  async getFile(fileId, name, mime) {
+    const file = await this.transport.call(this.botToken, 'getFile', { file_id: fileId });
+    const res = await this.transport.request(this.transport.fileUrl(this.botToken, file.file_path));
+    const blob = new Blob([await res.arrayBuffer()], { type: mime || '' });
+    return { blob, name };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TgFakeBotApi, TgFakeFileService };
+}
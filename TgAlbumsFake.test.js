@@ -0,0 +1,109 @@
+// Node tests of TgTransport and the app flow against the in-memory Bot API fake.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TgAlbumsApp } = require('./TgAlbumsApp.js');
+const { TgFakeBotApi } = require('./TgAlbumsFake.js');
+
+// a fetch that hangs (until aborted) for the requests hang(url, init) picks, and is api.fetch otherwise
+function hangingFetch(api, hang) {
+  return (url, init = {}) => {
+    if (!hang(url, init)) return api.fetch(url, init);
+    return new Promise((resolve, reject) => {
+      if (init.signal) init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    });
+  };
+}
+
+// renditions without a canvas: the original's bytes prefixed with the target width
+const imageProcessor = { name: 'fake', isSupported: () => true, resize: async (blob, o) => new Blob([`${o.maxWidth}:` + await blob.text()], { type: 'image/jpeg' }) };
+
+const calls = (api, method) => api.calls.filter(c => c.method === method).length;
+
+test('429 is retried after retry_after', async () => {
+  const api = new TgFakeBotApi();
+  const service = api.createFileService();
+  api.failNext('getChat', { error_code: 429, description: 'Too Many Requests', retry_after: 0 });
+  const chat = await service.transport.call(service.botToken, 'getChat', { chat_id: service.chatId });
+  assert.equal(chat.id, service.chatId);
+  assert.equal(calls(api, 'getChat'), 2);
+});
+
+test('errors other than 429 and 5xx are not retried', async () => {
+  const api = new TgFakeBotApi();
+  const service = api.createFileService();
+  api.failNext('getChat', { error_code: 400, description: 'Bad Request: nope' });
+  await assert.rejects(service.transport.call(service.botToken, 'getChat', { chat_id: service.chatId }), e => e.errorCode === 400);
+  assert.equal(calls(api, 'getChat'), 1);
+});
+
+test('a timed-out call is retried, a timed-out sendDocument is not', async () => {
+  const api = new TgFakeBotApi();
+  let hangs = 1;
+  const fetch = hangingFetch(api, url => /sendDocument|getChat/.test(url) && hangs-- > 0);
+  const service = api.createFileService(undefined, undefined, { fetch, timeoutMs: 20, transferTimeoutMs: 20 });
+  const chat = await service.transport.call(service.botToken, 'getChat', { chat_id: service.chatId });
+  assert.equal(chat.id, service.chatId);
+
+  hangs = 1;
+  const before = api.files.size;
+  await assert.rejects(service.putFile(new Blob(['x'])), e => e.code === 'TIMEOUT');
+  assert.equal(api.files.size, before);
+  await service.putFile(new Blob(['x'])); // the caller decides whether to send again
+  assert.equal(api.files.size, before + 1);
+});
+
+test('uploads get transferTimeoutMs instead of timeoutMs', async () => {
+  const api = new TgFakeBotApi();
+  const slow = (url, init) => new Promise(resolve => setTimeout(resolve, 40)).then(() => api.fetch(url, init));
+  const service = api.createFileService(undefined, undefined, { fetch: slow, timeoutMs: 10, transferTimeoutMs: 1000, retries: 0 });
+  const fileId = await service.putFile(new Blob(['slow']));
+  assert.ok(api.files.has(fileId));
+  await assert.rejects(service.transport.call(service.botToken, 'getChat', { chat_id: service.chatId }), e => e.code === 'TIMEOUT');
+});
+
+test('a download whose body stalls times out', async () => {
+  const api = new TgFakeBotApi();
+  const fetch = (url, init = {}) => {
+    if (!url.includes('/file/')) return api.fetch(url, init);
+    // headers arrive, then the body stops after its first byte
+    return Promise.resolve(new Response(new ReadableStream({ start(c) { c.enqueue(new Uint8Array([1])); } })));
+  };
+  const service = api.createFileService(undefined, undefined, { fetch, transferTimeoutMs: 20, retries: 1 });
+  const fileId = await service.putFile(new Blob(['stalled']));
+  await assert.rejects(service.getFile(fileId, 'a.bin'), e => e.code === 'TIMEOUT');
+});
+
+test('putFile / getFile round-trip', async () => {
+  const api = new TgFakeBotApi();
+  const service = api.createFileService();
+  const fileId = await service.putFile(new Blob(['hello']));
+  const { blob, name } = await service.getFile(fileId, 'hello.txt', 'text/plain');
+  assert.equal(name, 'hello.txt');
+  assert.equal(blob.type, 'text/plain');
+  assert.equal(await blob.text(), 'hello');
+  await assert.rejects(service.getFile('fake_missing', 'x'), /wrong file_id/);
+});
+
+test('addFiles, then a fresh app reads the album back', async () => {
+  const api = new TgFakeBotApi();
+  const service = api.createFileService();
+  const app = new TgAlbumsApp(service, { imageProcessor, cache: false });
+  await app.ready();
+  const { album } = await app.createAlbum('Holiday');
+  api.failNext('sendDocument', { error_code: 429, description: 'Too Many Requests', retry_after: 0 });
+  const res = await album.addFiles([[new Blob(['one']), 'one.jpg', 'image/jpeg'], [new Blob(['two']), 'two.jpg', 'image/jpeg']]);
+  assert.equal(res.ok, true);
+  assert.equal(res.added, 2);
+
+  const reloaded = new TgAlbumsApp(service, { imageProcessor, cache: false });
+  await reloaded.ready();
+  const [again] = await reloaded.findAlbumsByName('Holiday');
+  assert.ok(again);
+  await again.ready();
+  assert.deepEqual(again.files.map(f => f.name), ['one.jpg', 'two.jpg']);
+  const full = await reloaded._downloader.getOriginal(again.files[1]);
+  assert.equal(await full.text(), 'two');
+  assert.deepEqual((await reloaded.verify()).issues, []);
+});